@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * chandy-seidel.js - Command-line tool for the Chandy-Seidel adjustment
+ *
+ * Runs the adjustment over the data folder and writes summary (and
+ * optionally distribution) outputs as CSV or JSON. Run with --help for usage.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    loadDataFolder,
+    runAdjustment,
+    summaryToCSV,
+    summaryToJSON,
+    distributionsToCSV,
+    distributionsToJSON,
+    validateDataFolder,
+    validationToCSV,
+    validationToJSON,
+    countIssues,
+    METHODS
+} from '../node/index.js';
+import { parsePovertyLines } from '../js/poverty.js';
+
+const DEFAULT_DATA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../data');
+
+const USAGE = `Usage: chandy-seidel [options]
+
+Run the Chandy-Seidel adjustment (or an alternative top-income correction)
+over every country-year in the data folder.
+
+Options:
+  --data <dir>         Data folder (default: the repository's data/)
+  --gap-share <x>      Fraction of the NAS gap attributed to top incomes, 0-1 (default 0.5)
+  --nas <source>       NAS source: hfce, gdp or custom (default hfce)
+  --nas-ratio <r>      Custom NAS mean as a ratio to the survey mean (with --nas custom)
+  --nas-mean <m>       Custom NAS mean in $/day, applied to every country-year
+                       (with --nas custom)
+  --nas-label <text>   Name of the custom aggregate, recorded in the output
+  --cutoff <p>         Top tail cutoff, 0-1 (default 0.9)
+  --method <id>        Correction method: chandy-seidel, proportional or
+                       pareto-fit (default chandy-seidel)
+  --poverty-lines <l>  Also report FGT0/1/2 at these $/day lines (comma-separated,
+                       e.g. 3,4.2,8.3)
+  --country <codes>    Only these countries (comma-separated, repeatable)
+  --year <years>       Only these years (comma-separated, repeatable)
+  --format <fmt>       csv or json (default csv)
+  --out <dir>          Write summary and distribution files to this folder
+                       (default: print the summary to stdout)
+  --distributions      Also write the adjusted distributions (requires --out)
+  --validate           Check the distribution and NAS files instead of adjusting;
+                       exits with status 1 if any country-year has errors
+  -h, --help           Show this help
+`;
+
+/**
+ * Parse and validate command-line options
+ */
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            data: { type: 'string', default: DEFAULT_DATA_DIR },
+            'gap-share': { type: 'string', default: '0.5' },
+            nas: { type: 'string', default: 'hfce' },
+            'nas-ratio': { type: 'string' },
+            'nas-mean': { type: 'string' },
+            'nas-label': { type: 'string' },
+            cutoff: { type: 'string', default: '0.9' },
+            method: { type: 'string', default: 'chandy-seidel' },
+            'poverty-lines': { type: 'string' },
+            country: { type: 'string', multiple: true, default: [] },
+            year: { type: 'string', multiple: true, default: [] },
+            format: { type: 'string', default: 'csv' },
+            out: { type: 'string' },
+            distributions: { type: 'boolean', default: false },
+            validate: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const gapShare = Number(values['gap-share']);
+    if (!isFinite(gapShare) || gapShare < 0 || gapShare > 1) {
+        throw new Error(`--gap-share must be between 0 and 1 (got ${values['gap-share']})`);
+    }
+
+    const topDecileCutoff = Number(values.cutoff);
+    if (!isFinite(topDecileCutoff) || topDecileCutoff <= 0 || topDecileCutoff >= 1) {
+        throw new Error(`--cutoff must be strictly between 0 and 1 (got ${values.cutoff})`);
+    }
+
+    if (!['hfce', 'gdp', 'custom'].includes(values.nas)) {
+        throw new Error(`--nas must be hfce, gdp or custom (got ${values.nas})`);
+    }
+
+    let customNas = null;
+    if (values.nas === 'custom') {
+        const type = values['nas-mean'] !== undefined ? 'mean' : 'ratio';
+        const value = Number(values[`nas-${type}`]);
+        if (!isFinite(value) || value <= 0) {
+            throw new Error('--nas custom needs a positive --nas-ratio or --nas-mean');
+        }
+        customNas = { type, value, label: values['nas-label'] || '' };
+    }
+
+    if (!Object.keys(METHODS).includes(values.method)) {
+        throw new Error(`--method must be one of ${Object.keys(METHODS).join(', ')} (got ${values.method})`);
+    }
+
+    const povertyLines = values['poverty-lines'] !== undefined ? parsePovertyLines(values['poverty-lines']) : undefined;
+    if (povertyLines === null) {
+        throw new Error(`--poverty-lines must be positive numbers (got ${values['poverty-lines']})`);
+    }
+
+    if (!['csv', 'json'].includes(values.format)) {
+        throw new Error(`--format must be csv or json (got ${values.format})`);
+    }
+
+    if (values.distributions && !values.out) {
+        throw new Error('--distributions requires --out');
+    }
+
+    const splitList = list => list.flatMap(v => v.split(',')).map(v => v.trim()).filter(Boolean);
+
+    return {
+        help: values.help,
+        dataDir: values.data,
+        params: { gapShare, nasSource: values.nas, customNas, topDecileCutoff, method: values.method, povertyLines },
+        filter: {
+            countries: splitList(values.country).map(c => c.toUpperCase()),
+            years: splitList(values.year).map(Number)
+        },
+        format: values.format,
+        outDir: values.out,
+        distributions: values.distributions,
+        validate: values.validate
+    };
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const data = await loadDataFolder(options.dataDir);
+
+    if (options.validate) {
+        await writeValidationReport(data, options);
+        return;
+    }
+
+    const rows = runAdjustment(data, options.params, options.filter);
+
+    const asJSON = value => JSON.stringify(value, null, 2) + '\n';
+    const summary = options.format === 'json' ? asJSON(summaryToJSON(rows)) : summaryToCSV(rows);
+
+    if (!options.outDir) {
+        process.stdout.write(summary);
+        return;
+    }
+
+    await mkdir(options.outDir, { recursive: true });
+
+    const summaryFile = path.join(options.outDir, `summary.${options.format}`);
+    await writeFile(summaryFile, summary);
+    console.error(`Wrote ${summaryFile}`);
+
+    if (options.distributions) {
+        const distributions = options.format === 'json'
+            ? asJSON(distributionsToJSON(rows))
+            : distributionsToCSV(rows);
+
+        const distFile = path.join(options.outDir, `distributions.${options.format}`);
+        await writeFile(distFile, distributions);
+        console.error(`Wrote ${distFile}`);
+    }
+
+    const adjusted = rows.filter(r => r.result.adjusted).length;
+    console.error(`${adjusted} of ${rows.length} country-years adjusted`);
+}
+
+/**
+ * Write the validation report for --validate
+ */
+async function writeValidationReport(data, options) {
+    const rows = validateDataFolder(data, { topDecileCutoff: options.params.topDecileCutoff }, options.filter);
+    const report = options.format === 'json'
+        ? JSON.stringify(validationToJSON(rows), null, 2) + '\n'
+        : validationToCSV(rows);
+
+    if (options.outDir) {
+        await mkdir(options.outDir, { recursive: true });
+        const reportFile = path.join(options.outDir, `validation.${options.format}`);
+        await writeFile(reportFile, report);
+        console.error(`Wrote ${reportFile}`);
+    } else {
+        process.stdout.write(report);
+    }
+
+    const withErrors = rows.filter(row => countIssues(row.issues).errors > 0).length;
+    const withWarnings = rows.filter(row => countIssues(row.issues).warnings > 0).length;
+    console.error(`${rows.length} country-years checked: ${withErrors} with errors, ${withWarnings} with warnings`);
+
+    if (withErrors > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`chandy-seidel: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -4,22 +4,83 @@
  * Coordinates data loading, calculations, and UI updates.
  */
 
-import { calculateChandySeidel } from './chandy-seidel.js';
-import { calculateGini, calculateStatistics, formatGini, formatPercent } from './lorenz.js';
-import { LorenzChart, createLegend } from './chart.js';
+import { DEFAULT_METHOD, METHODS, getMethod, runMethod } from './methods.js';
+import {
+    calculateAreaBetweenCurves,
+    calculateGeneralizedLorenz,
+    calculateGini,
+    calculateGroupShares,
+    calculateLorenzGap,
+    calculateLorenzRange,
+    calculateQuantileFunction,
+    calculateStatistics,
+    calculateTopShare,
+    checkDominance,
+    formatGini,
+    formatPercent
+} from './lorenz.js';
+import { GroupedBarChart, LorenzChart, LineChart, WaterfallChart, createLegend } from './chart.js';
 import {
     loadCountries,
     loadNasData,
     getDistribution,
     getNasForCountryYear,
+    getNasMean,
+    formatNasSource,
     getAvailableYears,
     getCountriesByRegion
 } from './data-loader.js';
 import {
+    buildDistributionCSV,
+    buildLorenzCSV,
+    buildSummaryCSV,
+    exportCSVWithScript,
     exportDistributionCSV,
     exportSummaryCSV,
-    exportLorenzCSV
+    exportLorenzCSV,
+    exportGroupSharesCSV,
+    exportWorkbook,
+    exportMultipleSummaryCSV,
+    exportValidationCSV,
+    exportFigureSVG,
+    exportFigurePNG,
+    printFigure
 } from './export.js';
+import { FIGURE_SIZES, buildFigureSVG } from './figure.js';
+import {
+    BATCH_COLUMNS,
+    runBatchAdjustment,
+    runCountryTimeSeries,
+    runValidationReport,
+    sortBatchRows
+} from './batch.js';
+import { sweepGapShare } from './sensitivity.js';
+import { readUrlState, writeUrlState } from './url-state.js';
+import { compareWithReference } from './reference.js';
+import { simulateUncertainty } from './uncertainty.js';
+import { DEFAULT_POVERTY_LINES, comparePoverty, parsePovertyLines } from './poverty.js';
+import { decomposeGiniChange } from './decomposition.js';
+import { compareGrowthIncidence } from './growth.js';
+import { buildUploadedData, parseDistributionFile } from './upload.js';
+import { countIssues, validateDistribution } from './validation.js';
+import { buildWorkbookSheets, dataFingerprint } from './workbook.js';
+import { REPLICATION_DATASETS, buildRScript, buildStataScript } from './replication.js';
+
+// Rows of the "More indices" panel; each reads a value from calculateStatistics()
+const INDEX_ROWS = [
+    { label: 'Theil T', value: s => s.theil },
+    { label: 'MLD', value: s => s.mld },
+    { label: 'GE(-1)', value: s => s.ge.find(d => d.theta === -1)?.value },
+    { label: 'GE(2)', value: s => s.ge.find(d => d.theta === 2)?.value },
+    ...[0.5, 1, 2].map(epsilon => ({
+        label: `Atkinson (ε=${epsilon})`,
+        value: s => s.atkinson.find(d => d.epsilon === epsilon)?.value
+    })),
+    { label: '90/10', value: s => s.p90p10, decimals: 2 },
+    { label: '90/50', value: s => s.p90p50, decimals: 2 },
+    { label: '50/10', value: s => s.p50p10, decimals: 2 },
+    { label: 'Palma', value: s => s.palma, decimals: 2 }
+];
 
 // Application state
 const state = {
@@ -27,41 +88,151 @@ const state = {
     selectedYear: 2019,
     gapShare: 0.5,
     nasSource: 'hfce',
+    customNas: { type: 'ratio', value: 1.2, label: '' },
+    topCutoff: 0.9,
+    method: DEFAULT_METHOD,
+    activeView: 'lorenz',
+    showReference: false,
 
     // Data
     countries: [],
     currentDistribution: null,
     currentNasData: null,
     adjustmentResult: null,
+    referenceComparison: null,
+
+    // Poverty lines ($/day) and FGT measures before/after adjustment
+    povertyLines: DEFAULT_POVERTY_LINES,
+    poverty: null,
+
+    // Simulated uncertainty of the adjusted figures (off by default)
+    uncertainty: {
+        enabled: false,
+        nasError: 0.1,
+        gapShareRange: [0.25, 0.75],
+        draws: 200,
+        resampleTop: true,
+        result: null,
+        pending: false
+    },
 
     // Computed
     surveyGini: null,
     adjustedGini: null,
+    decomposition: null,
 
     // Chart data
     chartData: {
         surveyLorenz: null,
         adjustedLorenz: null,
-        paretoPoints: null
+        paretoPoints: null,
+        referenceLorenz: null,
+        band: null
+    },
+
+    // Magnified part of the Lorenz chart, [p0, p1]
+    inset: {
+        enabled: false,
+        range: [0.9, 1]
+    },
+
+    // Country-years pinned for overlay on the Lorenz chart
+    pinned: [],
+    nextPinId: 1,
+
+    // Parsed local file waiting for "Use Uploaded Data"
+    upload: {
+        parsed: null,
+        fileName: null
+    },
+
+    // Years compared in the growth incidence view (null = pick defaults)
+    growth: {
+        startYear: null,
+        endYear: null
+    },
+
+    // Cross-country batch results
+    batch: {
+        rows: null,
+        sortKey: 'country',
+        sortDir: 'asc'
+    },
+
+    // Data checks: issues of the loaded country-year and the all-files report
+    diagnostics: {
+        issues: null,
+        rows: null
     }
 };
 
 // Chart instance
 let chart = null;
 
+// Top-tail inset of the Lorenz chart (created when first shown)
+let insetChart = null;
+
+// Waterfall of the Gini change decomposition
+let decompositionChart = null;
+
+// Uncertainty simulation, run once the sliders have been still for a moment
+const scheduleUncertainty = debounce(runUncertainty, 300);
+
+// Pen's parade chart (created when the view is first shown)
+let paradeChart = null;
+
+// Income shares chart (created when the view is first shown)
+let sharesChart = null;
+
+// Growth incidence chart (created when the view is first shown)
+let growthChart = null;
+
+// Guards against out-of-order growth incidence results
+let growthRequestId = 0;
+
+// Lorenz gap and generalized Lorenz charts (created when the view is first shown)
+let gapCharts = null;
+
+// Gap-share sensitivity charts (created when the view is first shown)
+let sensitivityCharts = null;
+
+// Time-series charts (created when the view is first shown)
+let timeSeriesCharts = null;
+
+// Guards against out-of-order time-series results while the slider moves
+let timeSeriesRequestId = 0;
+
 // DOM Elements
 const elements = {
     countrySelect: document.getElementById('country-select'),
     yearButtons: document.getElementById('year-buttons'),
     loadBtn: document.getElementById('load-btn'),
+    uploadDrop: document.getElementById('upload-drop'),
+    uploadFile: document.getElementById('upload-file'),
+    uploadLabel: document.getElementById('upload-label'),
+    uploadYear: document.getElementById('upload-year'),
+    uploadSurveyMean: document.getElementById('upload-survey-mean'),
+    uploadNasMean: document.getElementById('upload-nas-mean'),
+    uploadBtn: document.getElementById('upload-btn'),
+    uploadStatus: document.getElementById('upload-status'),
     gapShareSlider: document.getElementById('gap-share-slider'),
     gapShareDisplay: document.getElementById('gap-share-display'),
     nasHfceRadio: document.getElementById('nas-hfce-radio'),
     nasGdpRadio: document.getElementById('nas-gdp-radio'),
+    nasCustomRadio: document.getElementById('nas-custom-radio'),
+    nasCustomPanel: document.getElementById('nas-custom-panel'),
+    nasCustomType: document.getElementById('nas-custom-type'),
+    nasCustomValue: document.getElementById('nas-custom-value'),
+    nasCustomLabel: document.getElementById('nas-custom-label'),
+    cutoffButtons: document.getElementById('cutoff-buttons'),
+    methodSelect: document.getElementById('method-select'),
+    methodDescription: document.getElementById('method-description'),
+    referenceToggle: document.getElementById('reference-toggle'),
 
     // Stats displays
     surveyMean: document.getElementById('survey-mean'),
     nasHfce: document.getElementById('nas-hfce'),
+    nasMeanLabel: document.getElementById('nas-mean-label'),
     nasGdp: document.getElementById('nas-gdp'),
     nasGap: document.getElementById('nas-gap'),
     paretoAlpha: document.getElementById('pareto-alpha'),
@@ -71,6 +242,30 @@ const elements = {
     giniAdjusted: document.getElementById('gini-adjusted'),
     giniChange: document.getElementById('gini-change'),
 
+    // Stata reference check
+    referenceStats: document.getElementById('reference-stats'),
+    referenceGini: document.getElementById('reference-gini'),
+    referenceBrowserGini: document.getElementById('reference-browser-gini'),
+    referenceGiniDiff: document.getElementById('reference-gini-diff'),
+    referenceMaxDiff: document.getElementById('reference-max-diff'),
+    referenceNote: document.getElementById('reference-note'),
+    referenceLegend: document.getElementById('reference-legend'),
+
+    // Uncertainty
+    uncertaintyToggle: document.getElementById('uncertainty-toggle'),
+    uncertaintyPanel: document.getElementById('uncertainty-panel'),
+    uncNasError: document.getElementById('unc-nas-error'),
+    uncGapLow: document.getElementById('unc-gap-low'),
+    uncGapHigh: document.getElementById('unc-gap-high'),
+    uncDraws: document.getElementById('unc-draws'),
+    uncResample: document.getElementById('unc-resample'),
+    uncGini: document.getElementById('unc-gini'),
+    uncTop10: document.getElementById('unc-top10'),
+    uncAlpha: document.getElementById('unc-alpha'),
+    uncNote: document.getElementById('unc-note'),
+    bandLegend: document.getElementById('band-legend'),
+    bandLegendLabel: document.getElementById('band-legend-label'),
+
     // New result displays
     meanSurvey: document.getElementById('mean-survey'),
     meanAdjusted: document.getElementById('mean-adjusted'),
@@ -78,6 +273,10 @@ const elements = {
     top10Survey: document.getElementById('top10-survey'),
     top10Adjusted: document.getElementById('top10-adjusted'),
     top10Change: document.getElementById('top10-change'),
+    indicesTable: document.getElementById('indices-table'),
+    povertyLines: document.getElementById('poverty-lines'),
+    povertyTable: document.getElementById('poverty-table'),
+    decompositionNote: document.getElementById('decomposition-note'),
 
     // UI elements
     selectionBadge: document.getElementById('selection-badge'),
@@ -88,8 +287,77 @@ const elements = {
 
     // Export buttons
     exportDistBtn: document.getElementById('export-dist-btn'),
+    exportXlsxBtn: document.getElementById('export-xlsx-btn'),
     exportSummaryBtn: document.getElementById('export-summary-btn'),
-    exportLorenzBtn: document.getElementById('export-lorenz-btn')
+    exportLorenzBtn: document.getElementById('export-lorenz-btn'),
+
+    // Pinned overlays
+    pinBtn: document.getElementById('pin-btn'),
+    clearPinsBtn: document.getElementById('clear-pins-btn'),
+
+    // Views
+    viewTabs: document.getElementById('view-tabs'),
+
+    // Cross-country batch
+    batchRunBtn: document.getElementById('batch-run-btn'),
+    batchExportBtn: document.getElementById('batch-export-btn'),
+    batchStatus: document.getElementById('batch-status'),
+    batchTable: document.getElementById('batch-table'),
+
+    // Figure export
+    figureSize: document.getElementById('figure-size'),
+    figureWidth: document.getElementById('figure-width'),
+    figureHeight: document.getElementById('figure-height'),
+    figureTitle: document.getElementById('figure-title'),
+    figureLegend: document.getElementById('figure-legend'),
+    figureGini: document.getElementById('figure-gini'),
+    figureDpi: document.getElementById('figure-dpi'),
+    figureSvgBtn: document.getElementById('figure-svg-btn'),
+    figurePngBtn: document.getElementById('figure-png-btn'),
+    figurePrintBtn: document.getElementById('figure-print-btn'),
+    figureStatus: document.getElementById('figure-status'),
+    replicationData: document.getElementById('replication-data'),
+    replicationStataBtn: document.getElementById('replication-stata-btn'),
+    replicationRBtn: document.getElementById('replication-r-btn'),
+    replicationStatus: document.getElementById('replication-status'),
+
+    // Diagnostics
+    dataChecks: document.getElementById('data-checks'),
+    diagnosticsStatus: document.getElementById('diagnostics-status'),
+    diagnosticsList: document.getElementById('diagnostics-list'),
+    diagnosticsRunBtn: document.getElementById('diagnostics-run-btn'),
+    diagnosticsReportStatus: document.getElementById('diagnostics-report-status'),
+    diagnosticsExportBtn: document.getElementById('diagnostics-export-btn'),
+    diagnosticsTable: document.getElementById('diagnostics-table'),
+
+    // Lorenz chart zoom and top-tail inset
+    zoomResetBtn: document.getElementById('zoom-reset-btn'),
+    insetToggle: document.getElementById('inset-toggle'),
+    insetFrom: document.getElementById('inset-from'),
+    insetTo: document.getElementById('inset-to'),
+    lorenzInset: document.getElementById('lorenz-inset'),
+
+    // Pen's parade
+    paradeStatus: document.getElementById('parade-status'),
+    paradeLogToggle: document.getElementById('parade-log-toggle'),
+
+    // Income shares
+    sharesStatus: document.getElementById('shares-status'),
+    sharesExportBtn: document.getElementById('shares-export-btn'),
+
+    // Growth incidence
+    growthStartYear: document.getElementById('growth-start-year'),
+    growthEndYear: document.getElementById('growth-end-year'),
+    growthStatus: document.getElementById('growth-status'),
+
+    // Curve gap
+    gapStatus: document.getElementById('gap-status'),
+
+    // Sensitivity
+    sensitivityStatus: document.getElementById('sensitivity-status'),
+
+    // Time series
+    timeSeriesStatus: document.getElementById('timeseries-status')
 };
 
 /**
@@ -99,7 +367,16 @@ async function init() {
     console.log('Initializing Chandy-Seidel Visualization...');
 
     // Initialize chart
-    chart = new LorenzChart('lorenz-chart');
+    chart = new LorenzChart('lorenz-chart', {
+        brushZoom: true,
+        onZoom: () => {
+            elements.zoomResetBtn.hidden = !chart.isZoomed();
+        }
+    });
+    decompositionChart = new WaterfallChart('decomposition-chart');
+
+    // Fill the method selector from the registry
+    populateMethodSelect();
 
     // Set up event listeners
     setupEventListeners();
@@ -130,13 +407,16 @@ async function loadInitialData() {
         state.countries = countries;
 
         // Populate country dropdown
-        populateCountryDropdown(countries);
+        await populateCountryDropdown(countries);
 
         // Enable load button
         elements.loadBtn.disabled = false;
 
-        // Auto-select first country and load its data
-        await autoSelectFirstCountry();
+        // Restore a shared link, or auto-select first country and load its data
+        const restored = await applyUrlState(readUrlState());
+        if (!restored) {
+            await autoSelectFirstCountry();
+        }
 
         showLoading(false);
     } catch (error) {
@@ -170,6 +450,95 @@ async function autoSelectFirstCountry() {
     await loadDistribution();
 }
 
+/**
+ * Apply selection and parameters decoded from the URL
+ *
+ * @returns {Promise<boolean>} True if a country-year from the URL was loaded
+ */
+async function applyUrlState(urlState) {
+    if (urlState.gapShare !== undefined) {
+        state.gapShare = urlState.gapShare;
+        elements.gapShareSlider.value = Math.round(urlState.gapShare * 100);
+        elements.gapShareDisplay.textContent = `${Math.round(urlState.gapShare * 100)}%`;
+    }
+
+    if (urlState.customNas) {
+        state.customNas = urlState.customNas;
+        syncCustomNasInputs();
+    }
+
+    if (urlState.nasSource) {
+        state.nasSource = urlState.nasSource;
+        elements.nasHfceRadio.checked = urlState.nasSource === 'hfce';
+        elements.nasGdpRadio.checked = urlState.nasSource === 'gdp';
+        elements.nasCustomRadio.checked = urlState.nasSource === 'custom';
+        elements.nasCustomPanel.hidden = urlState.nasSource !== 'custom';
+    }
+
+    if (urlState.topCutoff !== undefined) {
+        state.topCutoff = urlState.topCutoff;
+        syncCutoffButtons();
+    }
+
+    if (urlState.method && getMethod(urlState.method)) {
+        state.method = urlState.method;
+        elements.methodSelect.value = urlState.method;
+        updateMethodDescription();
+    }
+
+    if (urlState.reference !== undefined) {
+        state.showReference = urlState.reference;
+        elements.referenceToggle.checked = urlState.reference;
+    }
+
+    let loaded = false;
+    const option = urlState.country
+        ? elements.countrySelect.querySelector(`option[value="${urlState.country}"]`)
+        : null;
+
+    if (option) {
+        const years = JSON.parse(option.dataset.years || '[]');
+
+        elements.countrySelect.value = urlState.country;
+        state.selectedCountry = urlState.country;
+        if (years.includes(urlState.year)) {
+            state.selectedYear = urlState.year;
+        }
+
+        populateYearButtons(years);
+        await loadDistribution();
+        loaded = true;
+    } else if (state.currentDistribution) {
+        recalculateAdjustment();
+    }
+
+    if (urlState.view && elements.viewTabs.querySelector(`[data-view="${urlState.view}"]`)) {
+        switchView(urlState.view);
+    }
+
+    return loaded;
+}
+
+/**
+ * Mirror the loaded selection and parameters in the URL
+ */
+function syncUrlState() {
+    // A local file cannot be shared through the URL; keep the last shareable state
+    if (state.currentDistribution?.isUpload) return;
+
+    writeUrlState({
+        country: state.currentDistribution?.countryCode ?? state.selectedCountry,
+        year: state.currentDistribution?.year ?? state.selectedYear,
+        gapShare: state.gapShare,
+        nasSource: state.nasSource,
+        customNas: state.customNas,
+        topCutoff: state.topCutoff,
+        method: state.method,
+        view: state.activeView,
+        reference: state.showReference
+    });
+}
+
 /**
  * Populate country dropdown with optgroups by region
  */
@@ -210,6 +579,30 @@ async function populateCountryDropdown(countries) {
     });
 }
 
+/**
+ * Populate the correction method selector from the method registry
+ */
+function populateMethodSelect() {
+    elements.methodSelect.innerHTML = '';
+
+    Object.entries(METHODS).forEach(([id, method]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = method.label;
+        elements.methodSelect.appendChild(option);
+    });
+
+    elements.methodSelect.value = state.method;
+    updateMethodDescription();
+}
+
+/**
+ * Show the description of the selected method under the selector
+ */
+function updateMethodDescription() {
+    elements.methodDescription.textContent = getMethod(state.method)?.description || '';
+}
+
 /**
  * Set up event listeners
  */
@@ -226,6 +619,34 @@ function setupEventListeners() {
     // NAS source radio
     elements.nasHfceRadio.addEventListener('change', onNasSourceChange);
     elements.nasGdpRadio.addEventListener('change', onNasSourceChange);
+    elements.nasCustomRadio.addEventListener('change', onNasSourceChange);
+    [elements.nasCustomType, elements.nasCustomValue, elements.nasCustomLabel].forEach(input => {
+        input.addEventListener('change', onCustomNasChange);
+    });
+
+    // Top tail cutoff
+    elements.cutoffButtons.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', onCutoffChange);
+    });
+
+    // Correction method
+    elements.methodSelect.addEventListener('change', onMethodChange);
+
+    // Stata reference toggle
+    elements.referenceToggle.addEventListener('change', onReferenceToggle);
+
+    // Poverty lines
+    elements.povertyLines.addEventListener('change', onPovertyLinesChange);
+
+    // Uncertainty band and its settings
+    [
+        elements.uncertaintyToggle,
+        elements.uncNasError,
+        elements.uncGapLow,
+        elements.uncGapHigh,
+        elements.uncDraws,
+        elements.uncResample
+    ].forEach(input => input.addEventListener('change', onUncertaintyChange));
 
     // Export buttons
     elements.exportDistBtn.addEventListener('click', () => {
@@ -234,13 +655,16 @@ function setupEventListeners() {
         }
     });
 
+    elements.exportXlsxBtn.addEventListener('click', exportExcelWorkbook);
+
     elements.exportSummaryBtn.addEventListener('click', () => {
         if (state.adjustmentResult && state.selectedCountry) {
             exportSummaryCSV(
                 state.adjustmentResult,
                 { surveyGini: state.surveyGini, adjustedGini: state.adjustedGini },
                 state.selectedCountry,
-                state.selectedYear
+                state.selectedYear,
+                state.poverty
             );
         }
     });
@@ -251,13 +675,147 @@ function setupEventListeners() {
         }
     });
 
+    // Pinned overlays
+    elements.pinBtn.addEventListener('click', pinCurrent);
+    elements.clearPinsBtn.addEventListener('click', () => {
+        state.pinned = [];
+        renderPinnedLegend();
+        updateChart();
+    });
+
+    // View tabs
+    elements.viewTabs.querySelectorAll('[data-view]').forEach(tab => {
+        tab.addEventListener('click', () => switchView(tab.dataset.view));
+    });
+
+    // Local distribution file
+    elements.uploadFile.addEventListener('change', () => {
+        if (elements.uploadFile.files.length > 0) {
+            readUploadFile(elements.uploadFile.files[0]);
+        }
+    });
+    elements.uploadDrop.addEventListener('dragover', event => {
+        event.preventDefault();
+        elements.uploadDrop.classList.add('dragover');
+    });
+    elements.uploadDrop.addEventListener('dragleave', () => {
+        elements.uploadDrop.classList.remove('dragover');
+    });
+    elements.uploadDrop.addEventListener('drop', event => {
+        event.preventDefault();
+        elements.uploadDrop.classList.remove('dragover');
+        if (event.dataTransfer.files.length > 0) {
+            readUploadFile(event.dataTransfer.files[0]);
+        }
+    });
+    elements.uploadBtn.addEventListener('click', useUploadedData);
+
+    // Lorenz zoom and inset
+    elements.zoomResetBtn.addEventListener('click', () => chart.resetZoom());
+    elements.insetToggle.addEventListener('change', onInsetChange);
+    elements.insetFrom.addEventListener('change', onInsetChange);
+    elements.insetTo.addEventListener('change', onInsetChange);
+
+    // Pen's parade
+    elements.paradeLogToggle.addEventListener('change', () => {
+        if (paradeChart) {
+            paradeChart.setLogY(elements.paradeLogToggle.checked);
+        }
+    });
+
+    // Income shares
+    elements.sharesExportBtn.addEventListener('click', () => {
+        if (state.chartData.surveyLorenz && state.selectedCountry) {
+            exportGroupSharesCSV(state.chartData.surveyLorenz, state.adjustmentResult, state.selectedCountry, state.selectedYear);
+        }
+    });
+
+    // Growth incidence years
+    [elements.growthStartYear, elements.growthEndYear].forEach(select => {
+        select.addEventListener('change', () => {
+            state.growth.startYear = parseInt(elements.growthStartYear.value);
+            state.growth.endYear = parseInt(elements.growthEndYear.value);
+            updateGrowthChart();
+        });
+    });
+
+    // Cross-country batch
+    elements.batchRunBtn.addEventListener('click', runBatch);
+
+    elements.batchExportBtn.addEventListener('click', () => {
+        if (state.batch.rows) {
+            exportMultipleSummaryCSV(sortBatchRows(state.batch.rows, state.batch.sortKey, state.batch.sortDir));
+        }
+    });
+
+    // Stata and R export
+    elements.replicationData.replaceChildren(
+        ...Object.entries(REPLICATION_DATASETS).map(([key, dataset]) => new Option(dataset.label, key))
+    );
+    elements.replicationStataBtn.addEventListener('click', () => exportReplication('stata'));
+    elements.replicationRBtn.addEventListener('click', () => exportReplication('r'));
+
+    // Figure export
+    elements.figureSize.replaceChildren(
+        ...FIGURE_SIZES.map(size => new Option(size.label, size.id)),
+        new Option('Custom size', 'custom')
+    );
+    elements.figureSize.addEventListener('change', applyFigureSize);
+    [elements.figureWidth, elements.figureHeight].forEach(input => {
+        input.addEventListener('input', () => {
+            elements.figureSize.value = 'custom';
+        });
+    });
+    elements.figureSize.value = 'double';
+    applyFigureSize();
+
+    elements.figureSvgBtn.addEventListener('click', () => {
+        const figure = buildFigure();
+        if (figure) {
+            exportFigureSVG(figure, figureFileName());
+        }
+    });
+    elements.figurePngBtn.addEventListener('click', exportFigureAsPNG);
+    elements.figurePrintBtn.addEventListener('click', () => {
+        const figure = buildFigure();
+        if (figure && !printFigure(figure, figureFileName())) {
+            setFigureStatus('Allow pop-ups for this page to print the figure', true);
+        }
+    });
+
+    // Data checks
+    elements.dataChecks.addEventListener('click', () => switchView('diagnostics'));
+    elements.diagnosticsRunBtn.addEventListener('click', runDiagnosticsReport);
+
+    elements.diagnosticsExportBtn.addEventListener('click', () => {
+        if (state.diagnostics.rows) {
+            exportValidationCSV(state.diagnostics.rows);
+        }
+    });
+
+    // Links pasted into an already open page
+    window.addEventListener('hashchange', () => {
+        applyUrlState(readUrlState());
+    });
+
     // Window resize
     window.addEventListener('resize', debounce(() => {
-        if (chart) {
+        if (chart && state.activeView === 'lorenz') {
             chart.resize();
-            if (state.chartData.surveyLorenz) {
-                chart.update(state.chartData);
-            }
+            updateChart();
+            decompositionChart.resize();
+        } else if (paradeChart && state.activeView === 'parade') {
+            paradeChart.resize();
+        } else if (sharesChart && state.activeView === 'shares') {
+            sharesChart.resize();
+        } else if (growthChart && state.activeView === 'growth') {
+            growthChart.resize();
+        } else if (gapCharts && state.activeView === 'gap') {
+            Object.values(gapCharts).forEach(c => c.resize());
+        } else if (sensitivityCharts && state.activeView === 'sensitivity') {
+            Object.values(sensitivityCharts).forEach(c => c.resize());
+        } else if (timeSeriesCharts && state.activeView === 'timeseries') {
+            Object.values(timeSeriesCharts).forEach(c => c.resize());
         }
     }, 250));
 }
@@ -353,6 +911,85 @@ function onGapShareChange(event) {
  */
 function onNasSourceChange(event) {
     state.nasSource = event.target.value;
+    elements.nasCustomPanel.hidden = state.nasSource !== 'custom';
+
+    // Recalculate if we have data
+    if (state.currentDistribution) {
+        updateDataDisplay();
+        recalculateAdjustment();
+    }
+}
+
+/**
+ * Handle edits to the custom NAS value, type or label
+ */
+function onCustomNasChange() {
+    const value = parseFloat(elements.nasCustomValue.value);
+    const valid = isFinite(value) && value > 0;
+    elements.nasCustomValue.classList.toggle('is-invalid', !valid);
+    if (!valid) return;
+
+    state.customNas = {
+        type: elements.nasCustomType.value,
+        value,
+        label: elements.nasCustomLabel.value.trim()
+    };
+
+    if (state.nasSource === 'custom' && state.currentDistribution) {
+        updateDataDisplay();
+        recalculateAdjustment();
+    } else {
+        syncUrlState();
+    }
+}
+
+/**
+ * Show the custom NAS definition in its inputs
+ */
+function syncCustomNasInputs() {
+    elements.nasCustomType.value = state.customNas.type;
+    elements.nasCustomValue.value = state.customNas.value;
+    elements.nasCustomLabel.value = state.customNas.label;
+    elements.nasCustomValue.classList.remove('is-invalid');
+}
+
+/**
+ * NAS mean of the loaded country-year under the selected source
+ */
+function currentNasMean() {
+    return getNasMean(
+        state.currentNasData,
+        state.nasSource,
+        state.customNas,
+        state.currentDistribution?.surveyMean
+    );
+}
+
+/**
+ * Display name of the selected NAS source
+ */
+function nasSourceLabel() {
+    return formatNasSource(state.nasSource, state.customNas);
+}
+
+/**
+ * Handle top tail cutoff change
+ */
+function onCutoffChange(event) {
+    state.topCutoff = parseFloat(event.target.value);
+
+    // Recalculate if we have data
+    if (state.currentDistribution) {
+        recalculateAdjustment();
+    }
+}
+
+/**
+ * Handle correction method change
+ */
+function onMethodChange(event) {
+    state.method = event.target.value;
+    updateMethodDescription();
 
     // Recalculate if we have data
     if (state.currentDistribution) {
@@ -360,6 +997,78 @@ function onNasSourceChange(event) {
     }
 }
 
+/**
+ * Check the cutoff button matching the current cutoff, if there is one
+ */
+function syncCutoffButtons() {
+    elements.cutoffButtons.querySelectorAll('input').forEach(input => {
+        input.checked = Math.abs(parseFloat(input.value) - state.topCutoff) < 1e-9;
+    });
+}
+
+/**
+ * Handle Stata reference toggle
+ */
+function onReferenceToggle(event) {
+    state.showReference = event.target.checked;
+
+    if (state.currentDistribution) {
+        recalculateAdjustment();
+    } else {
+        updateReferenceDisplay();
+        syncUrlState();
+    }
+}
+
+/**
+ * Handle edits to the poverty lines
+ *
+ * Invalid input is flagged and the previous lines stay in use.
+ */
+function onPovertyLinesChange(event) {
+    const lines = parsePovertyLines(event.target.value);
+    event.target.classList.toggle('is-invalid', !lines);
+    if (!lines) return;
+
+    state.povertyLines = lines;
+    event.target.value = lines.map(line => line.toFixed(2)).join(', ');
+
+    if (state.currentDistribution) {
+        recalculateAdjustment();
+    }
+}
+
+/**
+ * Handle the uncertainty toggle and settings
+ *
+ * Out-of-range inputs are clamped and written back, so the fields always
+ * show the settings actually used.
+ */
+function onUncertaintyChange() {
+    const readNumber = (input, min, max, fallback) => {
+        const value = parseFloat(input.value);
+        const clamped = isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+        input.value = clamped;
+        return clamped;
+    };
+
+    const unc = state.uncertainty;
+    unc.enabled = elements.uncertaintyToggle.checked;
+    unc.nasError = readNumber(elements.uncNasError, 0, 50, 10) / 100;
+    unc.draws = Math.round(readNumber(elements.uncDraws, 20, 2000, 200));
+    unc.resampleTop = elements.uncResample.checked;
+
+    const gapLow = readNumber(elements.uncGapLow, 0, 100, 25);
+    const gapHigh = readNumber(elements.uncGapHigh, 0, 100, 75);
+    unc.gapShareRange = [Math.min(gapLow, gapHigh) / 100, Math.max(gapLow, gapHigh) / 100];
+
+    if (state.currentDistribution) {
+        recalculateAdjustment();
+    } else {
+        updateUncertaintyDisplay();
+    }
+}
+
 /**
  * Load distribution data for selected country/year
  */
@@ -393,8 +1102,12 @@ async function loadDistribution() {
 
         // Enable export buttons
         elements.exportDistBtn.disabled = false;
+        setFigureExportEnabled(true);
+        setReplicationExportEnabled(true);
         elements.exportSummaryBtn.disabled = false;
+        elements.exportXlsxBtn.disabled = false;
         elements.exportLorenzBtn.disabled = false;
+        elements.pinBtn.disabled = false;
 
         showLoading(false);
     } catch (error) {
@@ -404,6 +1117,93 @@ async function loadDistribution() {
     }
 }
 
+/**
+ * Read and parse a dropped or picked distribution file
+ */
+async function readUploadFile(file) {
+    state.upload = { parsed: null, fileName: file.name };
+    elements.uploadBtn.disabled = true;
+
+    try {
+        const parsed = parseDistributionFile(await file.text(), file.name);
+        state.upload.parsed = parsed;
+
+        // Prefill what the file carries, without overwriting typed values
+        if (!elements.uploadLabel.value) {
+            elements.uploadLabel.value = file.name.replace(/\.[^.]+$/, '');
+        }
+        if (!elements.uploadYear.value && parsed.year) {
+            elements.uploadYear.value = parsed.year;
+        }
+        if (!elements.uploadSurveyMean.value && parsed.surveyMean) {
+            elements.uploadSurveyMean.value = parsed.surveyMean;
+        }
+
+        setUploadStatus(`${file.name}: ${parsed.bins.length} bins read`);
+        elements.uploadBtn.disabled = false;
+    } catch (error) {
+        setUploadStatus(`${file.name}: ${error.message}`, true);
+    }
+}
+
+/**
+ * Validate the parsed file with the typed means and run it like a bundled distribution
+ */
+function useUploadedData() {
+    if (!state.upload.parsed) return;
+
+    let uploaded;
+    try {
+        uploaded = buildUploadedData(state.upload.parsed, {
+            label: elements.uploadLabel.value.trim(),
+            year: parseInt(elements.uploadYear.value) || null,
+            surveyMean: parseFloat(elements.uploadSurveyMean.value) || null,
+            nasMean: parseFloat(elements.uploadNasMean.value) || null
+        });
+    } catch (error) {
+        setUploadStatus(error.message, true);
+        return;
+    }
+
+    const { distData, nasData } = uploaded;
+
+    hideNoData();
+    clearResults();
+
+    state.currentDistribution = distData;
+    state.currentNasData = nasData;
+    state.selectedCountry = distData.countryCode;
+    state.selectedYear = distData.year;
+
+    elements.selectionBadge.textContent = `${distData.countryCode} ${distData.year} (uploaded)`;
+    elements.selectionBadge.classList.remove('bg-secondary');
+    elements.selectionBadge.classList.add('bg-primary');
+
+    updateDataDisplay();
+    recalculateAdjustment();
+
+    elements.exportDistBtn.disabled = false;
+    setFigureExportEnabled(true);
+    setReplicationExportEnabled(true);
+    elements.exportSummaryBtn.disabled = false;
+    elements.exportXlsxBtn.disabled = false;
+    elements.exportLorenzBtn.disabled = false;
+    elements.pinBtn.disabled = false;
+
+    setUploadStatus(nasData.hfce
+        ? `Using ${distData.distribution.length} uploaded bins`
+        : `Using ${distData.distribution.length} uploaded bins; enter a NAS mean to adjust`);
+}
+
+/**
+ * Show a message under the upload controls
+ */
+function setUploadStatus(message, isError = false) {
+    elements.uploadStatus.textContent = message;
+    elements.uploadStatus.classList.toggle('text-danger', isError);
+    elements.uploadStatus.classList.toggle('text-muted', !isError);
+}
+
 /**
  * Recalculate adjustment with current parameters
  */
@@ -414,21 +1214,21 @@ function recalculateAdjustment() {
     const surveyMean = state.currentDistribution.surveyMean;
 
     // Get NAS value based on selected source
-    let nasMean = null;
-    if (state.currentNasData) {
-        nasMean = state.nasSource === 'hfce'
-            ? state.currentNasData.hfce
-            : state.currentNasData.gdp;
-    }
-
-    // Calculate Chandy-Seidel adjustment
-    const result = calculateChandySeidel(
-        distribution,
-        surveyMean,
-        nasMean,
-        state.gapShare,
-        0.9  // top decile cutoff
-    );
+    const nasMean = currentNasMean();
+
+    // Calculate the adjustment with the selected method, recording the NAS source
+    const result = {
+        ...runMethod(
+            state.method,
+            distribution,
+            surveyMean,
+            nasMean,
+            state.gapShare,
+            state.topCutoff
+        ),
+        nasSource: state.nasSource,
+        nasLabel: nasSourceLabel()
+    };
 
     state.adjustmentResult = result;
 
@@ -441,6 +1241,7 @@ function recalculateAdjustment() {
     } else {
         state.adjustedGini = null;
     }
+    state.decomposition = decomposeGiniChange(result);
 
     // Update chart data
     state.chartData.surveyLorenz = surveyLorenz;
@@ -453,8 +1254,63 @@ function recalculateAdjustment() {
         state.chartData.paretoPoints = null;
     }
 
+    // Compare with the Stata-precomputed tail, if requested
+    const referenceDist = state.currentDistribution.referenceDist;
+    state.referenceComparison = state.showReference ? compareWithReference(referenceDist, result) : null;
+    state.chartData.referenceLorenz = state.referenceComparison?.available ? referenceDist : null;
+
+    // Poverty at each line, survey vs. adjusted
+    state.poverty = comparePoverty(surveyLorenz, surveyMean, result, state.povertyLines);
+
+    // Rerun the adjustment with perturbed inputs, if requested. The draws
+    // wait until the sliders settle; the point estimate updates right away.
+    const unc = state.uncertainty;
+    unc.result = null;
+    unc.pending = unc.enabled && result.adjusted;
+    state.chartData.band = null;
+    if (unc.pending) {
+        scheduleUncertainty();
+    }
+
     // Update displays
+    updateDiagnostics();
     updateResultsDisplay();
+    updateIndicesDisplay();
+    updatePovertyDisplay();
+    updateReferenceDisplay();
+    updateUncertaintyDisplay();
+    updateChart();
+    updateDecompositionChart();
+    updateParadeChart();
+    updateSharesChart();
+    updateGrowthChart();
+    updateGapCharts();
+    updateSensitivityCharts();
+    updateTimeSeriesCharts();
+    syncUrlState();
+}
+
+/**
+ * Run the uncertainty simulation for the current adjustment and redraw the band
+ */
+function runUncertainty() {
+    const unc = state.uncertainty;
+    const dist = state.currentDistribution;
+    const result = state.adjustmentResult;
+    if (!unc.pending || !dist || !result?.adjusted) return;
+
+    unc.result = simulateUncertainty(dist.distribution, dist.surveyMean, currentNasMean(), {
+        topDecileCutoff: state.topCutoff,
+        method: state.method,
+        draws: unc.draws,
+        nasError: unc.nasError,
+        gapShareRange: unc.gapShareRange,
+        resampleTop: unc.resampleTop
+    });
+    unc.pending = false;
+    state.chartData.band = unc.result?.band || null;
+
+    updateUncertaintyDisplay();
     updateChart();
 }
 
@@ -470,9 +1326,12 @@ function updateDataDisplay() {
         ? `$${dist.surveyMean.toFixed(2)}/day`
         : '--';
 
-    // NAS values
-    elements.nasHfce.textContent = nas?.hfce
-        ? `$${nas.hfce.toFixed(2)}/day`
+    // NAS mean of the selected source
+    const nasMean = currentNasMean();
+    elements.nasMeanLabel.textContent = state.nasSource === 'custom' ? 'NAS (custom)' : `NAS (${nasSourceLabel()})`;
+    elements.nasMeanLabel.title = nasSourceLabel();
+    elements.nasHfce.textContent = nasMean
+        ? `$${nasMean.toFixed(2)}/day`
         : 'N/A';
 
     elements.nasGdp.textContent = nas?.gdp
@@ -480,7 +1339,6 @@ function updateDataDisplay() {
         : 'N/A';
 
     // Gap
-    const nasMean = state.nasSource === 'hfce' ? nas?.hfce : nas?.gdp;
     if (dist?.surveyMean && nasMean) {
         const gap = nasMean - dist.surveyMean;
         const gapPct = (gap / dist.surveyMean) * 100;
@@ -500,7 +1358,7 @@ function updateResultsDisplay() {
 
     // Pareto parameters
     if (result?.adjusted) {
-        elements.paretoAlpha.textContent = result.alpha.toFixed(3);
+        elements.paretoAlpha.textContent = result.alpha !== null ? result.alpha.toFixed(3) : '--';
         elements.surveyCoverage.textContent = `${(result.surveyPct * 100).toFixed(1)}%`;
         elements.paretoBins.textContent = result.paretoTailBins;
     } else {
@@ -568,37 +1426,154 @@ function updateResultsDisplay() {
         elements.top10Change.className = 'results-change-badge';
     }
 
-    // Status message
+    // Status message, pointing to the data checks when they found something
     if (result && !result.adjusted) {
-        showStatus(result.reason);
+        const checks = state.diagnostics.issues ? countIssues(state.diagnostics.issues) : null;
+        showStatus(checks && checks.errors + checks.warnings > 0
+            ? `${result.reason} (data checks: ${formatIssueCount(checks.errors, checks.warnings)}, see Diagnostics)`
+            : result.reason);
     } else {
         hideStatus();
     }
 }
 
 /**
- * Calculate top 10% income share from Lorenz curve
+ * Update the Stata reference comparison display
  */
-function getTop10Share(lorenz) {
-    if (!lorenz || lorenz.length < 2) return null;
-
-    // Find L at p=0.9 (bottom 90%)
-    let l90 = null;
-    for (let i = 0; i < lorenz.length - 1; i++) {
-        if (lorenz[i].p <= 0.9 && lorenz[i + 1].p >= 0.9) {
-            // Interpolate
-            const t = (0.9 - lorenz[i].p) / (lorenz[i + 1].p - lorenz[i].p);
-            l90 = lorenz[i].l + t * (lorenz[i + 1].l - lorenz[i].l);
-            break;
-        }
-    }
-
-    if (l90 === null) {
-        // Fallback: find closest point to 0.9
-        const closest = lorenz.reduce((prev, curr) =>
-            Math.abs(curr.p - 0.9) < Math.abs(prev.p - 0.9) ? curr : prev
-        );
-        l90 = closest.l;
+function updateReferenceDisplay() {
+    const comparison = state.referenceComparison;
+
+    elements.referenceStats.hidden = !state.showReference;
+    elements.referenceLegend.hidden = !state.chartData.referenceLorenz;
+
+    if (comparison?.available) {
+        const sign = comparison.giniDiff > 0 ? '+' : '';
+        elements.referenceGini.textContent = formatGini(comparison.referenceGini);
+        elements.referenceBrowserGini.textContent = formatGini(comparison.browserGini);
+        elements.referenceGiniDiff.textContent = `${sign}${comparison.giniDiff.toFixed(4)}`;
+        elements.referenceMaxDiff.textContent = `${(comparison.maxLorenzDiff * 100).toFixed(2)} pp`;
+        elements.referenceNote.textContent = `Largest gap at p = ${(comparison.maxLorenzDiffAt * 100).toFixed(1)}%`;
+    } else {
+        elements.referenceGini.textContent = '--';
+        elements.referenceBrowserGini.textContent = '--';
+        elements.referenceGiniDiff.textContent = '--';
+        elements.referenceMaxDiff.textContent = '--';
+        elements.referenceNote.textContent = comparison ? comparison.reason : '';
+    }
+}
+
+/**
+ * Update the "More indices" table for the survey and adjusted curves
+ */
+function updateIndicesDisplay() {
+    const tbody = elements.indicesTable.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    if (!state.chartData.surveyLorenz) return;
+
+    const surveyStats = calculateStatistics(state.chartData.surveyLorenz);
+    const adjustedStats = state.chartData.adjustedLorenz ? calculateStatistics(state.chartData.adjustedLorenz) : null;
+
+    INDEX_ROWS.forEach(row => {
+        const format = stats => {
+            const value = stats ? row.value(stats) : null;
+            return (value !== null && value !== undefined && isFinite(value))
+                ? value.toFixed(row.decimals ?? 3)
+                : '--';
+        };
+
+        const tr = document.createElement('tr');
+        [row.label, format(surveyStats), format(adjustedStats)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+/**
+ * Update the poverty table (FGT0/1/2 in % of population, survey -> adjusted)
+ */
+function updatePovertyDisplay() {
+    const tbody = elements.povertyTable.querySelector('tbody');
+    tbody.innerHTML = '';
+
+    (state.poverty || []).forEach(({ line, survey, adjusted }) => {
+        const tr = document.createElement('tr');
+
+        const lineCell = document.createElement('td');
+        lineCell.textContent = `$${line.toFixed(2)}`;
+        tr.appendChild(lineCell);
+
+        ['headcount', 'gap', 'severity'].forEach(key => {
+            const td = document.createElement('td');
+            const before = survey ? (survey[key] * 100).toFixed(1) : '--';
+            const after = adjusted ? (adjusted[key] * 100).toFixed(1) : '--';
+            td.textContent = `${before} → ${after}`;
+            tr.appendChild(td);
+        });
+
+        tbody.appendChild(tr);
+    });
+}
+
+/**
+ * Update the uncertainty intervals and band legend
+ */
+function updateUncertaintyDisplay() {
+    const unc = state.uncertainty;
+    const sim = unc.result;
+
+    elements.uncertaintyPanel.hidden = !unc.enabled;
+    elements.bandLegend.hidden = !state.chartData.band;
+
+    const formatInterval = (interval, format) => interval
+        ? `${format(interval.low)}–${format(interval.high)}`
+        : '--';
+
+    elements.uncGini.textContent = formatInterval(sim?.gini, v => v.toFixed(3));
+    elements.uncTop10.textContent = formatInterval(sim?.top10, v => formatPercent(v));
+    elements.uncAlpha.textContent = formatInterval(sim?.alpha, v => v.toFixed(2));
+
+    if (sim) {
+        const levelPct = `${Math.round(sim.level * 100)}%`;
+        elements.bandLegendLabel.textContent = `${levelPct} band`;
+        elements.uncNote.textContent = `${levelPct} percentile intervals from ${sim.valid} of ${sim.draws} draws`;
+    } else if (unc.pending) {
+        elements.uncNote.textContent = `Simulating ${unc.draws} draws...`;
+    } else if (unc.enabled && state.adjustmentResult) {
+        elements.uncNote.textContent = state.adjustmentResult.adjusted
+            ? 'None of the draws could be adjusted'
+            : 'No adjustment to simulate for this country-year';
+    } else {
+        elements.uncNote.textContent = '';
+    }
+}
+
+/**
+ * Calculate top 10% income share from Lorenz curve
+ */
+function getTop10Share(lorenz) {
+    if (!lorenz || lorenz.length < 2) return null;
+
+    // Find L at p=0.9 (bottom 90%)
+    let l90 = null;
+    for (let i = 0; i < lorenz.length - 1; i++) {
+        if (lorenz[i].p <= 0.9 && lorenz[i + 1].p >= 0.9) {
+            // Interpolate
+            const t = (0.9 - lorenz[i].p) / (lorenz[i + 1].p - lorenz[i].p);
+            l90 = lorenz[i].l + t * (lorenz[i + 1].l - lorenz[i].l);
+            break;
+        }
+    }
+
+    if (l90 === null) {
+        // Fallback: find closest point to 0.9
+        const closest = lorenz.reduce((prev, curr) =>
+            Math.abs(curr.p - 0.9) < Math.abs(prev.p - 0.9) ? curr : prev
+        );
+        l90 = closest.l;
     }
 
     // Top 10% share = 1 - L(0.9)
@@ -610,8 +1585,365 @@ function getTop10Share(lorenz) {
  */
 function updateChart() {
     if (chart && state.chartData.surveyLorenz) {
-        chart.update(state.chartData);
+        chart.update({
+            ...state.chartData,
+            pinned: state.pinned.filter(pin => pin.visible)
+        });
+    }
+    updateInset();
+}
+
+/**
+ * Read the inset controls; an invalid range keeps the previous one
+ */
+function onInsetChange() {
+    const from = parseFloat(elements.insetFrom.value);
+    const to = parseFloat(elements.insetTo.value);
+    const valid = from >= 0 && to <= 1 && to - from >= 0.01;
+
+    elements.insetFrom.classList.toggle('is-invalid', !valid);
+    elements.insetTo.classList.toggle('is-invalid', !valid);
+
+    state.inset.enabled = elements.insetToggle.checked;
+    if (valid) {
+        state.inset.range = [from, to];
+    }
+    updateInset();
+}
+
+/**
+ * Draw the inset magnifying state.inset.range and outline that region on the main chart
+ *
+ * The inset's y axis is fitted to the curves it shows, so the gap between
+ * the survey and adjusted curves in the top tail is visible.
+ */
+function updateInset() {
+    if (!chart) return;
+
+    const pinned = state.pinned.filter(pin => pin.visible);
+    const { surveyLorenz, adjustedLorenz, referenceLorenz } = state.chartData;
+    const curves = [surveyLorenz, adjustedLorenz, referenceLorenz, ...pinned.flatMap(pin => [pin.surveyLorenz, pin.adjustedLorenz])];
+    const range = state.inset.enabled && surveyLorenz ? calculateLorenzRange(curves, state.inset.range) : null;
+
+    elements.lorenzInset.hidden = !range;
+    if (!range) {
+        chart.showRegion(null);
+        return;
+    }
+
+    const pad = Math.max((range[1] - range[0]) * 0.05, 0.002);
+    const domain = {
+        x: state.inset.range,
+        y: [Math.max(0, range[0] - pad), Math.min(1, range[1] + pad)]
+    };
+
+    // The inset measures its container, so create it once it is shown
+    if (!insetChart) {
+        insetChart = new LorenzChart('lorenz-inset', {
+            margin: { top: 8, right: 10, bottom: 22, left: 40 },
+            showAxisLabels: false,
+            domain
+        });
+    } else {
+        insetChart.setDomain(domain);
+    }
+    insetChart.update({ ...state.chartData, pinned });
+    chart.showRegion(domain);
+}
+
+/**
+ * Update the waterfall of the Gini change decomposition
+ */
+function updateDecompositionChart() {
+    if (!decompositionChart) return;
+
+    const dec = state.decomposition;
+    if (!dec) {
+        decompositionChart.clear();
+        elements.decompositionNote.textContent = 'Rescaled survey bins vs. added tail';
+        return;
+    }
+
+    decompositionChart.update([
+        { label: 'Survey', value: dec.surveyGini, type: 'total' },
+        {
+            label: 'Rescaling',
+            value: dec.rescalingEffect,
+            type: 'delta',
+            note: `Bins to p × ${(1 - dec.tailPopShare).toFixed(3)}, L × ${(1 - dec.tailIncomeShare).toFixed(3)}`
+        },
+        {
+            label: 'Tail',
+            value: dec.tailEffect,
+            type: 'delta',
+            note: `Income of the added ${formatPercent(dec.tailPopShare)} spread along the Pareto tail`
+        },
+        { label: 'Adjusted', value: dec.adjustedGini, type: 'total' }
+    ]);
+
+    elements.decompositionNote.textContent = dec.tailPopShare > 0
+        ? `The added ${formatPercent(dec.tailPopShare)} of population holds ${formatPercent(dec.tailIncomeShare)} of income`
+        : 'Population unchanged: the whole change comes from the top tail';
+}
+
+/**
+ * Export the current country-year with its parameters as an Excel workbook
+ */
+function exportExcelWorkbook() {
+    const dist = state.currentDistribution;
+    const result = state.adjustmentResult;
+    if (!dist || !result) return;
+
+    // The loaded distribution, not the selectors, which may already show another country-year
+    const { countryCode, year } = dist;
+    const sheets = buildWorkbookSheets({
+        countryCode,
+        countryName: state.countries.find(c => c.code === countryCode)?.name,
+        year,
+        distData: dist,
+        nasData: state.currentNasData,
+        result,
+        ginis: { surveyGini: state.surveyGini, adjustedGini: state.adjustedGini },
+        poverty: state.poverty,
+        params: {
+            gapShare: state.gapShare,
+            nasSource: state.nasSource,
+            nasLabel: nasSourceLabel(),
+            nasMean: currentNasMean(),
+            topDecileCutoff: state.topCutoff,
+            method: state.method
+        },
+        exportedAt: new Date()
+    });
+
+    if (!exportWorkbook(sheets, `chandy_seidel_${countryCode}_${year}.xlsx`)) {
+        showStatus('Excel export needs the SheetJS library, which did not load. Check the connection and reload the page.');
+    }
+}
+
+/**
+ * Fill the figure width and height from the selected preset size
+ */
+function applyFigureSize() {
+    const size = FIGURE_SIZES.find(s => s.id === elements.figureSize.value);
+    if (size) {
+        elements.figureWidth.value = size.width;
+        elements.figureHeight.value = size.height;
+    }
+}
+
+/**
+ * Build the Lorenz figure from the figure controls
+ *
+ * @returns {SVGSVGElement|null} Figure, or null (with a message) if the size is invalid
+ */
+function buildFigure() {
+    if (!state.chartData.surveyLorenz) return null;
+
+    const width = parseFloat(elements.figureWidth.value);
+    const height = parseFloat(elements.figureHeight.value);
+    const valid = size => isFinite(size) && size >= 1 && size <= 20;
+    if (!valid(width) || !valid(height)) {
+        setFigureStatus('Width and height must be between 1 and 20 inches', true);
+        return null;
+    }
+
+    const annotations = [];
+    if (elements.figureGini.checked) {
+        annotations.push(`Gini (survey): ${formatGini(state.surveyGini)}`);
+        if (state.adjustedGini !== null) {
+            const change = state.adjustedGini - state.surveyGini;
+            annotations.push(`Gini (adjusted): ${formatGini(state.adjustedGini)} (${change > 0 ? '+' : ''}${change.toFixed(3)})`);
+        }
+    }
+
+    setFigureStatus(`${width} × ${height} in`);
+    return buildFigureSVG(
+        { ...state.chartData, pinned: state.pinned.filter(pin => pin.visible) },
+        {
+            width,
+            height,
+            title: elements.figureTitle.value.trim(),
+            legend: elements.figureLegend.checked,
+            annotations
+        }
+    );
+}
+
+/**
+ * Rasterize the figure at the selected resolution and download it
+ */
+async function exportFigureAsPNG() {
+    const figure = buildFigure();
+    if (!figure) return;
+
+    const dpi = parseInt(elements.figureDpi.value);
+    elements.figurePngBtn.disabled = true;
+    try {
+        await exportFigurePNG(figure, figureFileName(), dpi);
+        setFigureStatus(`PNG at ${dpi} dpi`);
+    } catch (error) {
+        console.error('PNG export failed:', error);
+        setFigureStatus('PNG export failed', true);
+    } finally {
+        elements.figurePngBtn.disabled = false;
+    }
+}
+
+/**
+ * File name of figure exports, without extension, after the country-year drawn
+ */
+function figureFileName() {
+    const { countryCode, year } = state.currentDistribution;
+    return `chandy_seidel_${countryCode}_${year}_lorenz`;
+}
+
+/**
+ * Enable or disable the figure export buttons
+ */
+function setFigureExportEnabled(enabled) {
+    [elements.figureSvgBtn, elements.figurePngBtn, elements.figurePrintBtn].forEach(button => {
+        button.disabled = !enabled;
+    });
+}
+
+/**
+ * Export the selected data set as CSV with a Stata do-file or an R script
+ *
+ * @param {string} language - 'stata' or 'r'
+ */
+function exportReplication(language) {
+    const dist = state.currentDistribution;
+    const result = state.adjustmentResult;
+    if (!dist || !result) return;
+
+    const dataset = elements.replicationData.value;
+    const { countryCode, year } = dist;
+    const ginis = { surveyGini: state.surveyGini, adjustedGini: state.adjustedGini };
+
+    if (dataset === 'distribution' && !result.adjusted) {
+        setReplicationStatus(`No adjusted distribution: ${result.reason}`, true);
+        return;
     }
+
+    const csv = {
+        summary: () => buildSummaryCSV(result, ginis, countryCode, year, state.poverty),
+        lorenz: () => buildLorenzCSV(state.chartData),
+        distribution: () => buildDistributionCSV(result, countryCode, year)
+    }[dataset]();
+
+    // Upload labels may contain spaces and quotes, which the scripts read as part of the name
+    const fileBase = `chandy_seidel_${countryCode}_${year}_${dataset}`.replace(/[^A-Za-z0-9_-]+/g, '_');
+    const context = {
+        dataset,
+        dataFile: `${fileBase}.csv`,
+        headers: csv.slice(0, csv.indexOf('\n')).split(','),
+        countryCode,
+        year,
+        isUpload: Boolean(dist.isUpload),
+        dataVersion: dataFingerprint(dist, state.currentNasData),
+        exportedAt: new Date(),
+        params: {
+            method: state.method,
+            gapShare: state.gapShare,
+            nasSource: state.nasSource,
+            nasLabel: nasSourceLabel(),
+            nasMean: currentNasMean(),
+            customNas: state.customNas,
+            topDecileCutoff: state.topCutoff,
+            povertyLines: dataset === 'summary' && state.poverty ? state.povertyLines : []
+        }
+    };
+
+    if (language === 'stata') {
+        exportCSVWithScript(csv, buildStataScript(context), fileBase, 'do');
+    } else {
+        exportCSVWithScript(csv, buildRScript(context), fileBase, 'R');
+    }
+    setReplicationStatus(`${fileBase}.csv and the ${language === 'stata' ? 'do-file' : 'R script'} downloaded`);
+}
+
+/**
+ * Enable or disable the Stata and R export buttons
+ */
+function setReplicationExportEnabled(enabled) {
+    elements.replicationStataBtn.disabled = !enabled;
+    elements.replicationRBtn.disabled = !enabled;
+}
+
+/**
+ * Show a message under the Stata and R export controls
+ */
+function setReplicationStatus(message, isError = false) {
+    elements.replicationStatus.textContent = message;
+    elements.replicationStatus.classList.toggle('text-danger', isError);
+    elements.replicationStatus.classList.toggle('text-muted', !isError);
+}
+
+/**
+ * Show a message under the figure controls
+ */
+function setFigureStatus(message, isError = false) {
+    elements.figureStatus.textContent = message;
+    elements.figureStatus.classList.toggle('text-danger', isError);
+    elements.figureStatus.classList.toggle('text-muted', !isError);
+}
+
+/**
+ * Pin the current country-year and parameters as an overlay
+ */
+function pinCurrent() {
+    const dist = state.currentDistribution;
+    if (!dist || !state.chartData.surveyLorenz) return;
+
+    // Named after the loaded distribution: the selectors may already show another one
+    const label = `${dist.countryCode} ${dist.year} ` +
+        `(${(state.gapShare * 100).toFixed(0)}%, ${nasSourceLabel()}, top ${formatTopGroup(state.topCutoff)}` +
+        `${state.method === DEFAULT_METHOD ? '' : `, ${getMethod(state.method).label}`})`;
+
+    // Pinning the same selection twice adds nothing
+    if (state.pinned.some(pin => pin.label === label)) return;
+
+    const palette = chart.options.pinnedPalette;
+    const usedColors = state.pinned.map(pin => pin.color);
+    const color = palette.find(c => !usedColors.includes(c)) || palette[state.pinned.length % palette.length];
+
+    state.pinned.push({
+        id: state.nextPinId++,
+        label,
+        color,
+        visible: true,
+        surveyLorenz: state.chartData.surveyLorenz,
+        adjustedLorenz: state.chartData.adjustedLorenz,
+        surveyGini: state.surveyGini,
+        adjustedGini: state.adjustedGini
+    });
+
+    renderPinnedLegend();
+    updateChart();
+}
+
+/**
+ * Render the legend of pinned curves with show/hide and remove controls
+ */
+function renderPinnedLegend() {
+    createLegend('pinned-legend', state.pinned.map(pin => ({
+        label: `${pin.label} · Gini ${formatGini(pin.adjustedGini ?? pin.surveyGini)}`,
+        color: pin.color,
+        active: pin.visible,
+        onToggle: () => {
+            pin.visible = !pin.visible;
+            renderPinnedLegend();
+            updateChart();
+        },
+        onRemove: () => {
+            state.pinned = state.pinned.filter(p => p.id !== pin.id);
+            renderPinnedLegend();
+            updateChart();
+        }
+    })));
+
+    elements.clearPinsBtn.hidden = state.pinned.length === 0;
 }
 
 /**
@@ -623,7 +1955,12 @@ function clearResults() {
     state.adjustmentResult = null;
     state.surveyGini = null;
     state.adjustedGini = null;
-    state.chartData = { surveyLorenz: null, adjustedLorenz: null, paretoPoints: null };
+    state.decomposition = null;
+    state.referenceComparison = null;
+    state.uncertainty.result = null;
+    state.uncertainty.pending = false;
+    state.poverty = null;
+    state.chartData = { surveyLorenz: null, adjustedLorenz: null, paretoPoints: null, referenceLorenz: null, band: null };
 
     // Clear displays
     elements.surveyMean.textContent = '--';
@@ -636,20 +1973,791 @@ function clearResults() {
     elements.giniSurvey.textContent = '--';
     elements.giniAdjusted.textContent = '--';
     elements.giniChange.textContent = '--';
+    updateIndicesDisplay();
+    updatePovertyDisplay();
 
     // Disable export buttons
     elements.exportDistBtn.disabled = true;
+    setFigureExportEnabled(false);
+    setReplicationExportEnabled(false);
     elements.exportSummaryBtn.disabled = true;
+    elements.exportXlsxBtn.disabled = true;
     elements.exportLorenzBtn.disabled = true;
+    elements.pinBtn.disabled = true;
 
-    // Clear chart
+    // Clear charts
     if (chart) {
         chart.clear();
     }
+    updateInset();
+    updateDecompositionChart();
+    updateParadeChart();
+    updateSharesChart();
+    updateGapCharts();
+    updateDiagnostics();
 
     hideStatus();
 }
 
+/**
+ * Switch the center panel between views
+ */
+function switchView(view) {
+    state.activeView = view;
+
+    elements.viewTabs.querySelectorAll('[data-view]').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+
+    document.querySelectorAll('[data-view-panel]').forEach(panel => {
+        panel.hidden = panel.dataset.viewPanel !== view;
+    });
+
+    // The chart measures its container, which has no size while hidden
+    if (view === 'lorenz' && chart) {
+        chart.resize();
+        updateChart();
+    } else if (view === 'parade') {
+        if (paradeChart) {
+            paradeChart.init();
+        }
+        updateParadeChart();
+    } else if (view === 'shares') {
+        if (sharesChart) {
+            sharesChart.init();
+        }
+        updateSharesChart();
+    } else if (view === 'growth') {
+        if (growthChart) {
+            growthChart.init();
+        }
+        updateGrowthChart();
+    } else if (view === 'gap') {
+        if (gapCharts) {
+            Object.values(gapCharts).forEach(c => c.init());
+        }
+        updateGapCharts();
+    } else if (view === 'sensitivity') {
+        if (sensitivityCharts) {
+            Object.values(sensitivityCharts).forEach(c => c.init());
+        }
+        updateSensitivityCharts();
+    } else if (view === 'timeseries') {
+        if (timeSeriesCharts) {
+            Object.values(timeSeriesCharts).forEach(c => c.init());
+        }
+        updateTimeSeriesCharts();
+    }
+
+    syncUrlState();
+}
+
+/**
+ * Update the Lorenz gap and generalized Lorenz charts, survey vs. adjusted
+ *
+ * The status line says which curve dominates in each chart, or where they
+ * cross.
+ */
+function updateGapCharts() {
+    if (state.activeView !== 'gap') return;
+
+    if (!gapCharts) {
+        const shared = {
+            xLabel: 'Population percentile',
+            xFormat: d => `${(d * 100).toFixed(0)}%`,
+            xDomain: [0, 1],
+            xTicks: 10
+        };
+
+        gapCharts = {
+            lorenz: new LineChart('lorenz-gap-chart', { ...shared, yLabel: 'Gap in L(p)', yFormat: d => d.toFixed(3) }),
+            generalized: new LineChart('generalized-lorenz-chart', {
+                ...shared,
+                yLabel: '$/day (2021 PPP)',
+                yFormat: d => `$${d.toFixed(1)}`
+            })
+        };
+    }
+
+    const dist = state.currentDistribution;
+    const result = state.adjustmentResult;
+    if (!dist || !result?.adjusted) {
+        Object.values(gapCharts).forEach(c => c.clear());
+        elements.gapStatus.textContent = dist
+            ? `Survey only: ${result?.reason || 'no adjustment'}`
+            : 'Load a distribution to compare the survey and adjusted curves';
+        return;
+    }
+
+    const { colors } = chart.options;
+    const { surveyLorenz } = state.chartData;
+    const toValues = (points, key) => points.map(d => ({ x: d.p, y: d[key] }));
+
+    const lorenzGap = calculateLorenzGap(surveyLorenz, result.adjustedDist);
+    const glSurvey = calculateGeneralizedLorenz(surveyLorenz, dist.surveyMean);
+    const glAdjusted = calculateGeneralizedLorenz(result.adjustedDist, result.adjustedMean);
+    const glGap = glSurvey.map((d, i) => ({ p: d.p, gap: d.gl - glAdjusted[i].gl }));
+
+    const lorenzDominance = checkDominance(lorenzGap);
+    const glDominance = checkDominance(glGap);
+
+    // Mark where the added top population starts, and where the GL curves first cross
+    const tailStart = result.surveyPct < 1 ? result.surveyPct : null;
+    gapCharts.lorenz.update([
+        {
+            label: 'No gap',
+            color: colors.equality,
+            dashed: true,
+            width: 1,
+            values: [{ x: 0, y: 0 }, { x: 1, y: 0 }]
+        },
+        { label: 'Survey − adjusted', color: colors.adjusted, values: toValues(lorenzGap, 'gap') }
+    ], { marker: tailStart });
+
+    gapCharts.generalized.update([
+        { label: 'Survey', color: colors.survey, values: toValues(glSurvey, 'gl') },
+        { label: 'Adjusted', color: colors.adjusted, values: toValues(glAdjusted, 'gl') }
+    ], { marker: glDominance.crossings[0] ?? null });
+
+    const area = calculateAreaBetweenCurves(surveyLorenz, result.adjustedDist);
+    const { maxGap } = lorenzDominance;
+    elements.gapStatus.textContent = [
+        `Lorenz: ${describeDominance(lorenzDominance)}`,
+        `largest gap ${maxGap.gap.toFixed(3)} at ${formatPercent(maxGap.p, 0)}`,
+        `area ${area.toFixed(4)}`,
+        `Generalized Lorenz: ${describeDominance(glDominance)}`
+    ].join(' · ');
+}
+
+/**
+ * Describe a checkDominance() result, survey being the first curve
+ *
+ * @param {Object} dominance - Output of checkDominance()
+ * @returns {string} e.g. "survey dominates" or "curves cross at 62%"
+ */
+function describeDominance(dominance) {
+    if (dominance.dominant === 'first') return 'survey dominates';
+    if (dominance.dominant === 'second') return 'adjusted dominates';
+    if (dominance.dominant === 'equal') return 'curves coincide';
+    return `curves cross at ${dominance.crossings.map(p => formatPercent(p, 0)).join(', ')}`;
+}
+
+/**
+ * Update the gap-share sensitivity charts for the current selection
+ */
+function updateSensitivityCharts() {
+    if (state.activeView !== 'sensitivity') return;
+
+    if (!sensitivityCharts) {
+        const pct = d => `${(d * 100).toFixed(0)}%`;
+        const shared = { xLabel: 'Gap share', xFormat: pct, xDomain: [0, 1] };
+
+        sensitivityCharts = {
+            gini: new LineChart('sens-gini-chart', { ...shared, yLabel: 'Gini', yFormat: d => d.toFixed(3) }),
+            top10: new LineChart('sens-top10-chart', { ...shared, yLabel: 'Top 10% share', yFormat: d => `${(d * 100).toFixed(1)}%` }),
+            alpha: new LineChart('sens-alpha-chart', { ...shared, yLabel: 'Alpha', yFormat: d => d.toFixed(2) }),
+            mean: new LineChart('sens-mean-chart', { ...shared, yLabel: '$/day', yFormat: d => `$${d.toFixed(1)}` })
+        };
+    }
+
+    const dist = state.currentDistribution;
+    const nasMean = currentNasMean();
+
+    if (!dist || !nasMean) {
+        Object.values(sensitivityCharts).forEach(c => c.clear());
+        elements.sensitivityStatus.textContent = dist
+            ? 'No NAS data available for this country-year'
+            : 'Load a distribution to see the sensitivity curves';
+        return;
+    }
+
+    const points = sweepGapShare(dist.distribution, dist.surveyMean, nasMean, {
+        topDecileCutoff: state.topCutoff,
+        method: state.method
+    });
+    const { colors } = chart.options;
+
+    const adjustedSeries = (key, label) => ({
+        label,
+        color: colors.adjusted,
+        values: points.map(d => ({ x: d.gapShare, y: d[key] }))
+    });
+    const surveySeries = (value) => ({
+        label: 'Survey',
+        color: colors.survey,
+        dashed: true,
+        values: [{ x: 0, y: value }, { x: 1, y: value }]
+    });
+
+    const marker = { marker: state.gapShare };
+
+    sensitivityCharts.gini.update([
+        surveySeries(state.surveyGini),
+        adjustedSeries('gini', 'Adjusted')
+    ], marker);
+
+    sensitivityCharts.top10.update([
+        surveySeries(calculateTopShare(state.chartData.surveyLorenz, 0.1)),
+        adjustedSeries('top10', 'Adjusted')
+    ], marker);
+
+    sensitivityCharts.alpha.update([
+        adjustedSeries('alpha', 'Alpha')
+    ], marker);
+
+    sensitivityCharts.mean.update([
+        surveySeries(dist.surveyMean),
+        adjustedSeries('adjustedMean', 'Adjusted')
+    ], marker);
+
+    elements.sensitivityStatus.textContent =
+        `${state.selectedCountry} ${state.selectedYear}, ${nasSourceLabel()}, ` +
+        `top ${formatTopGroup(state.topCutoff)}, ${getMethod(state.method).label}: ` +
+        `adjusted values as the gap share varies; dashed lines show the survey value`;
+}
+
+/**
+ * Update the Pen's parade: welfare against population percentile
+ */
+function updateParadeChart() {
+    if (state.activeView !== 'parade') return;
+
+    if (!paradeChart) {
+        paradeChart = new LineChart('parade-chart', {
+            xLabel: 'Population percentile',
+            yLabel: '$/day (2021 PPP)',
+            xFormat: d => `${(d * 100).toFixed(d >= 0.99 && d < 1 ? 1 : 0)}%`,
+            yFormat: d => `$${d.toLocaleString('en-US', { maximumFractionDigits: d >= 10 ? 0 : 2 })}`,
+            xDomain: [0, 1],
+            xTicks: 10,
+            logY: elements.paradeLogToggle.checked
+        });
+    }
+
+    const dist = state.currentDistribution;
+    const result = state.adjustmentResult;
+    if (!dist) {
+        paradeChart.clear();
+        elements.paradeStatus.textContent = 'Load a distribution to see its Pen\'s parade';
+        return;
+    }
+
+    const { colors } = chart.options;
+    const series = (label, color, lorenz, mean) => ({
+        label,
+        color,
+        values: calculateQuantileFunction(lorenz, mean).map(d => ({ x: d.p, y: d.welfare }))
+    });
+
+    const lines = [series('Survey', colors.survey, state.chartData.surveyLorenz, dist.surveyMean)];
+    if (result?.adjusted) {
+        lines.push(series('Adjusted', colors.adjusted, result.adjustedDist, result.adjustedMean));
+    }
+
+    // Mark where the added top population starts
+    const tailStart = result?.adjusted && result.surveyPct < 1 ? result.surveyPct : null;
+    paradeChart.update(lines, { marker: tailStart });
+
+    const top = lines.map(s => s.values[s.values.length - 1]?.y).filter(y => y !== undefined);
+    elements.paradeStatus.textContent = result?.adjusted
+        ? `Richest bin: $${top[0].toFixed(0)}/day in the survey, $${top[top.length - 1].toFixed(0)}/day adjusted`
+        : `Survey only: ${result?.reason || 'no adjustment'}`;
+}
+
+/**
+ * Update the income shares of each decile and top group, survey vs. adjusted
+ */
+function updateSharesChart() {
+    elements.sharesExportBtn.disabled = !state.chartData.surveyLorenz;
+
+    if (state.activeView !== 'shares') return;
+
+    if (!sharesChart) {
+        sharesChart = new GroupedBarChart('shares-chart', {
+            xLabel: 'Population group',
+            yLabel: 'Share of income',
+            yFormat: d => `${(d * 100).toFixed(1)}%`
+        });
+    }
+
+    const surveyLorenz = state.chartData.surveyLorenz;
+    const result = state.adjustmentResult;
+    if (!surveyLorenz) {
+        sharesChart.clear();
+        elements.sharesStatus.textContent = 'Load a distribution to see its income shares';
+        return;
+    }
+
+    const { colors } = chart.options;
+    const survey = calculateGroupShares(surveyLorenz);
+    const adjusted = result?.adjusted ? calculateGroupShares(result.adjustedDist) : null;
+
+    const series = [{ label: 'Survey', color: colors.survey, values: survey.map(g => g.share) }];
+    if (adjusted) {
+        series.push({ label: 'Adjusted', color: colors.adjusted, values: adjusted.map(g => g.share) });
+    }
+    sharesChart.update(survey.map(g => g.label), series);
+
+    // Deciles that lose share to the new top
+    const losers = adjusted
+        ? survey.filter((g, i) => g.key.startsWith('d') && adjusted[i].share < g.share).map(g => g.label)
+        : [];
+    elements.sharesStatus.textContent = adjusted
+        ? (losers.length ? `Lose share after adjustment: ${losers.join(', ')}` : 'No decile loses share')
+        : `Survey only: ${result?.reason || 'no adjustment'}`;
+}
+
+/**
+ * Update the growth incidence curves between the two chosen years
+ */
+async function updateGrowthChart() {
+    if (state.activeView !== 'growth') return;
+
+    if (!growthChart) {
+        growthChart = new LineChart('growth-chart', {
+            xLabel: 'Population percentile',
+            yLabel: 'Annual growth',
+            xFormat: d => `${(d * 100).toFixed(0)}%`,
+            yFormat: d => `${(d * 100).toFixed(1)}%`,
+            xDomain: [0, 1],
+            xTicks: 10
+        });
+    }
+
+    const countryCode = state.currentDistribution?.countryCode;
+    if (!countryCode || state.currentDistribution.isUpload) {
+        growthChart.clear();
+        populateGrowthYears([]);
+        elements.growthStatus.textContent = countryCode
+            ? 'Uploaded data has a single year'
+            : 'Load a distribution to compare two years';
+        return;
+    }
+
+    const years = [...await getAvailableYears(countryCode)].sort((a, b) => a - b);
+    const { startYear, endYear } = pickGrowthYears(years);
+    populateGrowthYears(years, startYear, endYear);
+
+    if (startYear === null || startYear >= endYear) {
+        growthChart.clear();
+        elements.growthStatus.textContent = years.length < 2
+            ? `Only one survey year for ${countryCode}`
+            : 'Pick a start year before the end year';
+        return;
+    }
+
+    const requestId = ++growthRequestId;
+    let comparison;
+    try {
+        const load = async year => ({
+            year,
+            distData: await getDistribution(countryCode, year),
+            nasData: await getNasForCountryYear(countryCode, year)
+        });
+        const [start, end] = await Promise.all([load(startYear), load(endYear)]);
+
+        comparison = compareGrowthIncidence(start, end, {
+            gapShare: state.gapShare,
+            nasSource: state.nasSource,
+            customNas: state.customNas,
+            topDecileCutoff: state.topCutoff,
+            method: state.method
+        });
+    } catch (error) {
+        if (requestId !== growthRequestId) return;
+        growthChart.clear();
+        elements.growthStatus.textContent = `Could not load ${countryCode} ${startYear}–${endYear}`;
+        return;
+    }
+
+    // A newer request (or a view switch) superseded this one
+    if (requestId !== growthRequestId || state.activeView !== 'growth') return;
+
+    const { colors } = chart.options;
+    const curve = (label, color, gic) => ({
+        label,
+        color,
+        values: gic.points.map(d => ({ x: d.p, y: d.growth }))
+    });
+    const meanLine = (label, color, gic) => ({
+        label,
+        color,
+        dashed: true,
+        width: 1.5,
+        values: [{ x: 0, y: gic.meanGrowth }, { x: 1, y: gic.meanGrowth }]
+    });
+
+    const { survey, adjusted } = comparison;
+    const series = [curve('Survey', colors.survey, survey), meanLine('Survey mean', colors.survey, survey)];
+    if (adjusted) {
+        series.push(curve('Adjusted', colors.adjusted, adjusted), meanLine('Adjusted mean', colors.adjusted, adjusted));
+    }
+    growthChart.update(series);
+
+    const verdict = gic => gic.proPoor ? 'pro-poor' : 'not pro-poor';
+    const pct = v => `${(v * 100).toFixed(1)}%`;
+    elements.growthStatus.textContent = adjusted
+        ? `Bottom 40%: ${pct(survey.bottom40Growth)} vs mean ${pct(survey.meanGrowth)} a year in the survey (${verdict(survey)}), ` +
+          `${pct(adjusted.bottom40Growth)} vs ${pct(adjusted.meanGrowth)} adjusted (${verdict(adjusted)})`
+        : `Survey only (${comparison.reason}): bottom 40% ${pct(survey.bottom40Growth)} vs mean ${pct(survey.meanGrowth)} a year`;
+}
+
+/**
+ * Choose the growth incidence years: the user's picks if still available,
+ * otherwise the earliest year up to the loaded year
+ */
+function pickGrowthYears(years) {
+    if (years.length < 2) {
+        return { startYear: null, endYear: null };
+    }
+
+    const { startYear, endYear } = state.growth;
+    if (years.includes(startYear) && years.includes(endYear)) {
+        return { startYear, endYear };
+    }
+
+    const end = state.selectedYear > years[0] ? state.selectedYear : years[years.length - 1];
+    state.growth = { startYear: years[0], endYear: end };
+    return state.growth;
+}
+
+/**
+ * Fill both growth incidence year selectors
+ */
+function populateGrowthYears(years, startYear = null, endYear = null) {
+    [[elements.growthStartYear, startYear], [elements.growthEndYear, endYear]].forEach(([select, selected]) => {
+        select.innerHTML = '';
+        years.forEach(year => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            option.selected = year === selected;
+            select.appendChild(option);
+        });
+        select.disabled = years.length < 2;
+    });
+}
+
+/**
+ * Update the time-series charts for every year of the loaded country
+ */
+async function updateTimeSeriesCharts() {
+    if (state.activeView !== 'timeseries') return;
+
+    if (!timeSeriesCharts) {
+        const shared = { xLabel: 'Year', xFormat: d => d.toFixed(0), showPoints: true };
+
+        timeSeriesCharts = {
+            gini: new LineChart('ts-gini-chart', { ...shared, yLabel: 'Gini', yFormat: d => d.toFixed(3) }),
+            change: new LineChart('ts-change-chart', { ...shared, yLabel: 'Adjusted - survey', yFormat: d => d.toFixed(3) }),
+            ratio: new LineChart('ts-ratio-chart', { ...shared, yLabel: 'NAS / survey', yFormat: d => d.toFixed(2) }),
+            alpha: new LineChart('ts-alpha-chart', { ...shared, yLabel: 'Alpha', yFormat: d => d.toFixed(2) })
+        };
+    }
+
+    const countryCode = state.currentDistribution?.countryCode;
+    if (!countryCode || state.currentDistribution.isUpload) {
+        Object.values(timeSeriesCharts).forEach(c => c.clear());
+        elements.timeSeriesStatus.textContent = countryCode
+            ? 'Uploaded data has a single year'
+            : 'Load a distribution to see its time series';
+        return;
+    }
+
+    const requestId = ++timeSeriesRequestId;
+    const skippedYears = [];
+    let points;
+    try {
+        points = await runCountryTimeSeries(countryCode, {
+            gapShare: state.gapShare,
+            topDecileCutoff: state.topCutoff,
+            method: state.method
+        }, year => skippedYears.push(year));
+    } catch (error) {
+        if (requestId !== timeSeriesRequestId) return;
+        Object.values(timeSeriesCharts).forEach(c => c.clear());
+        elements.timeSeriesStatus.textContent = `Could not load the years of ${countryCode}`;
+        return;
+    }
+
+    // A newer request (or a view switch) superseded this one
+    if (requestId !== timeSeriesRequestId || state.activeView !== 'timeseries') return;
+
+    const { colors } = chart.options;
+    const gdpColor = '#0d9488';
+    const extras = { marker: state.selectedYear, xTickValues: points.map(d => d.year) };
+
+    const series = (label, color, getY, dashed = false) => ({
+        label,
+        color,
+        dashed,
+        values: points.map(d => ({ x: d.year, y: getY(d) }))
+    });
+
+    timeSeriesCharts.gini.update([
+        series('Survey', colors.survey, d => d.surveyGini),
+        series('Adjusted (HFCE)', colors.adjusted, d => d.hfce.adjustedGini),
+        series('Adjusted (GDP)', gdpColor, d => d.gdp.adjustedGini)
+    ], extras);
+
+    const change = source => d =>
+        (d[source].adjustedGini !== null && d.surveyGini !== null) ? d[source].adjustedGini - d.surveyGini : null;
+
+    timeSeriesCharts.change.update([
+        series('HFCE', colors.adjusted, change('hfce')),
+        series('GDP', gdpColor, change('gdp'))
+    ], extras);
+
+    timeSeriesCharts.ratio.update([
+        series('HFCE', colors.adjusted, d => d.hfce.nasRatio),
+        series('GDP', gdpColor, d => d.gdp.nasRatio)
+    ], extras);
+
+    timeSeriesCharts.alpha.update([
+        series('HFCE', colors.adjusted, d => d.hfce.alpha),
+        series('GDP', gdpColor, d => d.gdp.alpha)
+    ], extras);
+
+    if (points.length === 0) {
+        elements.timeSeriesStatus.textContent = `No distribution data for ${countryCode}`;
+    } else if (points.length === 1) {
+        elements.timeSeriesStatus.textContent = `${countryCode} has only one year with data`;
+    } else {
+        elements.timeSeriesStatus.textContent =
+            `${countryCode}, ${points.length} years, gap share ${(state.gapShare * 100).toFixed(0)}%, ` +
+            `top ${formatTopGroup(state.topCutoff)}, ${getMethod(state.method).label}`;
+    }
+
+    if (skippedYears.length > 0) {
+        elements.timeSeriesStatus.textContent += ` (could not load ${skippedYears.join(', ')})`;
+    }
+}
+
+/**
+ * Run the adjustment for every country-year with the current parameters
+ */
+async function runBatch() {
+    elements.batchRunBtn.disabled = true;
+    elements.batchExportBtn.disabled = true;
+
+    try {
+        const rows = await runBatchAdjustment(
+            {
+                gapShare: state.gapShare,
+                nasSource: state.nasSource,
+                customNas: state.customNas,
+                topDecileCutoff: state.topCutoff,
+                method: state.method,
+                povertyLines: state.povertyLines
+            },
+            (done, total) => {
+                elements.batchStatus.textContent = `Running ${done} / ${total}...`;
+            }
+        );
+
+        state.batch.rows = rows;
+
+        const adjustedCount = rows.filter(r => r.result.adjusted).length;
+        elements.batchStatus.textContent =
+            `${adjustedCount} of ${rows.length} country-years adjusted ` +
+            `(gap share ${(state.gapShare * 100).toFixed(0)}%, ${nasSourceLabel()}, ` +
+            `top ${formatTopGroup(state.topCutoff)}, ${getMethod(state.method).label})`;
+
+        renderBatchTable();
+        elements.batchExportBtn.disabled = false;
+    } catch (error) {
+        console.error('Batch adjustment failed:', error);
+        elements.batchStatus.textContent = 'Batch adjustment failed';
+    } finally {
+        elements.batchRunBtn.disabled = false;
+    }
+}
+
+/**
+ * Render the cross-country results table
+ */
+function renderBatchTable() {
+    const { rows, sortKey, sortDir } = state.batch;
+    const thead = elements.batchTable.querySelector('thead');
+    const tbody = elements.batchTable.querySelector('tbody');
+
+    // Header with sort indicators
+    const headerRow = document.createElement('tr');
+    BATCH_COLUMNS.forEach(column => {
+        const th = document.createElement('th');
+        th.textContent = column.label;
+        th.className = 'sortable';
+        if (column.key === sortKey) {
+            th.classList.add(sortDir === 'asc' ? 'sorted-asc' : 'sorted-desc');
+        }
+        th.addEventListener('click', () => {
+            const sameKey = state.batch.sortKey === column.key;
+            state.batch.sortKey = column.key;
+            state.batch.sortDir = sameKey && state.batch.sortDir === 'asc' ? 'desc' : 'asc';
+            renderBatchTable();
+        });
+        headerRow.appendChild(th);
+    });
+    thead.replaceChildren(headerRow);
+
+    // Body
+    tbody.replaceChildren(...sortBatchRows(rows || [], sortKey, sortDir).map(row => {
+        const tr = document.createElement('tr');
+        if (!row.result.adjusted) {
+            tr.className = 'not-adjusted';
+        }
+
+        BATCH_COLUMNS.forEach(column => {
+            const td = document.createElement('td');
+            td.textContent = formatBatchCell(column.key, column.value(row));
+            tr.appendChild(td);
+        });
+
+        return tr;
+    }));
+}
+
+/**
+ * Format a cross-country table cell for display
+ */
+function formatBatchCell(key, value) {
+    if (value === null || value === undefined) {
+        return '--';
+    }
+
+    switch (key) {
+        case 'giniSurvey':
+        case 'giniAdjusted':
+            return formatGini(value);
+        case 'giniChange':
+            return `${value > 0 ? '+' : ''}${value.toFixed(4)}`;
+        case 'alpha':
+            return value.toFixed(3);
+        case 'gap':
+            return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+        case 'coverage':
+            return formatPercent(value);
+        default:
+            return String(value);
+    }
+}
+
+/**
+ * Check the loaded country-year and show the issues
+ *
+ * Runs with the current top-tail cutoff, since the number of bins above
+ * it decides whether the tail can be fitted.
+ */
+function updateDiagnostics() {
+    const dist = state.currentDistribution;
+    const issues = dist
+        ? validateDistribution(dist, state.currentNasData, { topDecileCutoff: state.topCutoff })
+        : null;
+    state.diagnostics.issues = issues;
+
+    elements.dataChecks.classList.remove('has-errors', 'has-warnings');
+
+    if (!issues) {
+        elements.dataChecks.textContent = '--';
+        elements.dataChecks.disabled = true;
+        elements.diagnosticsStatus.textContent = 'Load a distribution to check its bins';
+        elements.diagnosticsList.replaceChildren();
+        return;
+    }
+
+    const { errors, warnings } = countIssues(issues);
+    elements.dataChecks.textContent = formatIssueCount(errors, warnings);
+    elements.dataChecks.disabled = false;
+    elements.dataChecks.classList.toggle('has-errors', errors > 0);
+    elements.dataChecks.classList.toggle('has-warnings', errors === 0 && warnings > 0);
+
+    elements.diagnosticsStatus.textContent =
+        `${dist.countryCode} ${dist.year}: ${dist.distribution.length} bins, ` +
+        `top tail from p = ${state.topCutoff}`;
+
+    elements.diagnosticsList.replaceChildren(...(issues.length > 0 ? issues : [null]).map(issue => {
+        const li = document.createElement('li');
+        const badge = document.createElement('span');
+        badge.className = `severity-badge ${issue ? issue.severity : 'ok'}`;
+        badge.textContent = issue ? issue.severity : 'ok';
+        li.append(badge, issue ? issue.message : 'No problems found');
+        return li;
+    }));
+}
+
+/**
+ * Check every country-year in countries.json
+ */
+async function runDiagnosticsReport() {
+    elements.diagnosticsRunBtn.disabled = true;
+    elements.diagnosticsExportBtn.disabled = true;
+
+    try {
+        const rows = await runValidationReport(
+            { topDecileCutoff: state.topCutoff },
+            (done, total) => {
+                elements.diagnosticsReportStatus.textContent = `Checking ${done} / ${total}...`;
+            }
+        );
+
+        state.diagnostics.rows = rows;
+
+        const count = severity => rows.filter(row => row.issues.some(issue => issue.severity === severity)).length;
+        elements.diagnosticsReportStatus.textContent =
+            `${rows.length} country-years checked: ${count('error')} with errors, ${count('warning')} with warnings`;
+
+        renderDiagnosticsTable();
+        elements.diagnosticsExportBtn.disabled = false;
+    } catch (error) {
+        console.error('Validation report failed:', error);
+        elements.diagnosticsReportStatus.textContent = 'Validation report failed';
+    } finally {
+        elements.diagnosticsRunBtn.disabled = false;
+    }
+}
+
+/**
+ * Render the all-files validation table, country-years with errors first
+ */
+function renderDiagnosticsTable() {
+    const tbody = elements.diagnosticsTable.querySelector('tbody');
+    const rank = row => {
+        const { errors, warnings } = countIssues(row.issues);
+        return errors > 0 ? 0 : warnings > 0 ? 1 : 2;
+    };
+
+    tbody.replaceChildren(...[...state.diagnostics.rows].sort((a, b) => rank(a) - rank(b)).map(row => {
+        const { errors, warnings } = countIssues(row.issues);
+        const tr = document.createElement('tr');
+
+        [row.countryCode, row.year, errors, warnings].forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+        });
+
+        const td = document.createElement('td');
+        td.className = 'issue-text';
+        td.textContent = row.issues.map(issue => issue.message).join('; ') || 'OK';
+        tr.appendChild(td);
+
+        return tr;
+    }));
+}
+
+/**
+ * Short summary of a country-year's checks, e.g. "1 error, 2 warnings"
+ */
+function formatIssueCount(errors, warnings) {
+    if (errors === 0 && warnings === 0) return 'OK';
+
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return [
+        errors > 0 ? plural(errors, 'error') : null,
+        warnings > 0 ? plural(warnings, 'warning') : null
+    ].filter(Boolean).join(', ');
+}
+
 /**
  * Show loading overlay
  */
@@ -700,6 +2808,13 @@ function showError(message) {
     setTimeout(() => errorDiv.remove(), 5000);
 }
 
+/**
+ * Format a top tail cutoff as the size of the top group (0.95 -> "5%")
+ */
+function formatTopGroup(cutoff) {
+    return `${+((1 - cutoff) * 100).toFixed(1)}%`;
+}
+
 /**
  * Debounce utility
  */
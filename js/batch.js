@@ -0,0 +1,264 @@
+/**
+ * batch.js - Cross-country batch adjustment
+ *
+ * Runs the Chandy-Seidel adjustment over many country-years at once: every
+ * country-year in countries.json for the cross-country table, or every year
+ * of one country for the time-series view.
+ */
+
+import { runMethod } from './methods.js';
+import { comparePoverty } from './poverty.js';
+import { calculateGini } from './lorenz.js';
+import { validateDistribution } from './validation.js';
+import {
+    loadCountries,
+    getDistribution,
+    getNasForCountryYear,
+    getNasMean,
+    getAvailableYears,
+    formatNasSource
+} from './data-loader.js';
+
+/**
+ * Columns of the cross-country results table
+ *
+ * Each column knows how to pull its sort value from a batch row
+ * ({countryCode, year, result, ginis}).
+ */
+export const BATCH_COLUMNS = [
+    { key: 'country', label: 'Country', value: row => row.countryCode },
+    { key: 'year', label: 'Year', value: row => row.year },
+    { key: 'giniSurvey', label: 'Gini (survey)', value: row => row.ginis.surveyGini },
+    { key: 'giniAdjusted', label: 'Gini (adjusted)', value: row => row.ginis.adjustedGini },
+    { key: 'giniChange', label: 'Change', value: row => giniChange(row) },
+    { key: 'alpha', label: 'Alpha', value: row => row.result.alpha ?? null },
+    { key: 'gap', label: 'Gap', value: row => row.result.gapPercent ?? null },
+    { key: 'coverage', label: 'Coverage', value: row => row.result.surveyPct ?? null },
+    { key: 'note', label: 'Note', value: row => row.result.adjusted ? null : row.result.reason }
+];
+
+/**
+ * Run the adjustment for one country-year
+ *
+ * @param {Object} distData - Output of getDistribution()
+ * @param {Object} nasData - NAS record for the same country-year
+ * @param {Object} params - {gapShare, nasSource, customNas, topDecileCutoff, method,
+ *                          povertyLines}; customNas ({type, value, label}) is
+ *                          used when nasSource is 'custom'
+ * @returns {Object} Batch row {countryCode, year, result, ginis}, plus poverty
+ *                   (see comparePoverty) when povertyLines is given. The result
+ *                   is tagged with nasSource and nasLabel.
+ */
+export function summarizeCountryYear(distData, nasData, params) {
+    const { gapShare = 0.5, nasSource = 'hfce', customNas = null, topDecileCutoff = 0.9, method, povertyLines } = params;
+
+    const result = {
+        ...runMethod(
+            method,
+            distData.distribution,
+            distData.surveyMean,
+            getNasMean(nasData, nasSource, customNas, distData.surveyMean),
+            gapShare,
+            topDecileCutoff
+        ),
+        nasSource,
+        nasLabel: formatNasSource(nasSource, customNas)
+    };
+
+    const surveyLorenz = distData.distribution.map(d => ({ p: d.p, l: d.l }));
+
+    const row = {
+        countryCode: distData.countryCode,
+        year: distData.year,
+        result,
+        ginis: {
+            surveyGini: calculateGini(surveyLorenz),
+            adjustedGini: result.adjusted ? calculateGini(result.adjustedDist) : null
+        }
+    };
+
+    if (povertyLines) {
+        row.poverty = comparePoverty(surveyLorenz, distData.surveyMean, result, povertyLines);
+    }
+
+    return row;
+}
+
+/**
+ * Run the adjustment for every country-year in countries.json
+ *
+ * Country-years whose distribution cannot be loaded are kept as
+ * non-adjusted rows so they still show up in the table and export.
+ *
+ * @param {Object} params - {gapShare, nasSource, customNas, topDecileCutoff, method, povertyLines}
+ * @param {Function} onProgress - Optional callback(done, total)
+ * @returns {Promise<Array>} Batch rows
+ */
+export async function runBatchAdjustment(params, onProgress) {
+    const countries = await loadCountries();
+
+    const jobs = [];
+    countries.forEach(country => {
+        (country.years || []).forEach(year => jobs.push({ countryCode: country.code, year }));
+    });
+
+    const rows = [];
+
+    for (const { countryCode, year } of jobs) {
+        try {
+            const [distData, nasData] = await Promise.all([
+                getDistribution(countryCode, year),
+                getNasForCountryYear(countryCode, year)
+            ]);
+            rows.push(summarizeCountryYear(distData, nasData, params));
+        } catch (error) {
+            rows.push({
+                countryCode,
+                year,
+                result: { adjusted: false, reason: error.message },
+                ginis: { surveyGini: null, adjustedGini: null }
+            });
+        }
+
+        if (onProgress) {
+            onProgress(rows.length, jobs.length);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Check every country-year in countries.json
+ *
+ * Country-years whose distribution cannot be loaded get a single
+ * 'load-failed' error.
+ *
+ * @param {Object} options - {topDecileCutoff} passed to validateDistribution()
+ * @param {Function} onProgress - Optional callback(done, total)
+ * @returns {Promise<Array>} Rows of {countryCode, year, issues}
+ */
+export async function runValidationReport(options, onProgress) {
+    const countries = await loadCountries();
+
+    const jobs = [];
+    countries.forEach(country => {
+        (country.years || []).forEach(year => jobs.push({ countryCode: country.code, year }));
+    });
+
+    const rows = [];
+
+    for (const { countryCode, year } of jobs) {
+        try {
+            const [distData, nasData] = await Promise.all([
+                getDistribution(countryCode, year),
+                getNasForCountryYear(countryCode, year)
+            ]);
+            rows.push({ countryCode, year, issues: validateDistribution(distData, nasData, options) });
+        } catch (error) {
+            rows.push({
+                countryCode,
+                year,
+                issues: [{ code: 'load-failed', severity: 'error', message: error.message, row: null }]
+            });
+        }
+
+        if (onProgress) {
+            onProgress(rows.length, jobs.length);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Run the adjustment for every available year of one country
+ *
+ * Each year is adjusted against both HFCE and GDP so the two variants can
+ * be compared over time. Years that fail to load are skipped and reported
+ * through onSkip.
+ *
+ * @param {string} countryCode - ISO3 country code
+ * @param {Object} params - {gapShare, topDecileCutoff, method}
+ * @param {Function} onSkip - Optional callback(year, error) for each skipped year
+ * @returns {Promise<Array>} Array of {year, surveyGini, hfce, gdp} sorted by year,
+ *                           where hfce/gdp are {nasRatio, adjustedGini, alpha}
+ */
+export async function runCountryTimeSeries(countryCode, params, onSkip) {
+    const years = [...await getAvailableYears(countryCode)].sort((a, b) => a - b);
+    const series = [];
+
+    for (const year of years) {
+        let distData;
+        let nasData;
+        try {
+            [distData, nasData] = await Promise.all([
+                getDistribution(countryCode, year),
+                getNasForCountryYear(countryCode, year)
+            ]);
+        } catch (error) {
+            if (onSkip) {
+                onSkip(year, error);
+            }
+            continue;
+        }
+
+        const point = { year, surveyGini: null };
+
+        ['hfce', 'gdp'].forEach(nasSource => {
+            const row = summarizeCountryYear(distData, nasData, { ...params, nasSource });
+            const nasMean = getNasMean(nasData, nasSource);
+
+            point.surveyGini = row.ginis.surveyGini;
+            point[nasSource] = {
+                nasRatio: (nasMean && distData.surveyMean) ? nasMean / distData.surveyMean : null,
+                adjustedGini: row.ginis.adjustedGini,
+                alpha: row.result.adjusted ? row.result.alpha : null
+            };
+        });
+
+        series.push(point);
+    }
+
+    return series;
+}
+
+/**
+ * Sort batch rows by a column key
+ *
+ * Missing values always sort last, regardless of direction.
+ *
+ * @param {Array} rows - Batch rows
+ * @param {string} key - Column key from BATCH_COLUMNS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} New sorted array
+ */
+export function sortBatchRows(rows, key, direction = 'asc') {
+    const column = BATCH_COLUMNS.find(c => c.key === key);
+    if (!column) {
+        return [...rows];
+    }
+
+    const sign = direction === 'desc' ? -1 : 1;
+
+    return [...rows].sort((a, b) => {
+        const va = column.value(a);
+        const vb = column.value(b);
+
+        if (va === null || va === undefined) return (vb === null || vb === undefined) ? 0 : 1;
+        if (vb === null || vb === undefined) return -1;
+
+        if (typeof va === 'string') {
+            return sign * va.localeCompare(vb);
+        }
+        return sign * (va - vb);
+    });
+}
+
+/**
+ * Absolute Gini change for a batch row
+ */
+function giniChange(row) {
+    const { surveyGini, adjustedGini } = row.ginis;
+    return (surveyGini !== null && adjustedGini !== null) ? adjustedGini - surveyGini : null;
+}
@@ -183,8 +183,10 @@ export function calculateChandySeidel(distribution, surveyMean, nasMean, gapShar
  * - l_pareto = 1 - (1 - p_pareto)^(1 - 1/alpha)
  * - p_adj = p_pareto * (1 - top_decile_p) * survey_pct + (1 - survey_pct_top * (1 - top_decile_p)) * survey_pct
  * - l_adj = ratio * top_decile_l + l_pareto * (1 - ratio * top_decile_l)
+ *
+ * @returns {Array} Tail bins {p, l, isPareto, pPareto, lPareto}, ending at p_pareto = 1
  */
-function generateParetoTail(alpha, surveyPctTop, ratio, topDecileL, topDecileP, surveyPct) {
+export function generateParetoTail(alpha, surveyPctTop, ratio, topDecileL, topDecileP, surveyPct) {
     // Number of new bins
     const numBins = Math.max(1, Math.floor(100 * (1 - surveyPctTop)) + 1);
     const tail = [];
@@ -252,6 +254,7 @@ export function getAdjustmentSummary(result) {
 - NAS mean: $${result.nasMean.toFixed(2)}/day
 - Gap: ${result.gapPercent.toFixed(1)}%
 - Gap share used: ${(result.gapShare * 100).toFixed(0)}%
+- Top tail cutoff: p >= ${result.topDecileCutoff}
 - Pareto alpha: ${result.alpha.toFixed(3)}
 - Survey coverage: ${(result.surveyPct * 100).toFixed(1)}% of adjusted population
 - New Pareto bins: ${result.paretoTailBins}`;
@@ -24,16 +24,27 @@ export class LorenzChart {
                 survey: '#2563eb',
                 adjusted: '#dc2626',
                 paretoPoints: '#ef4444',
+                reference: '#059669',
                 grid: '#e5e7eb'
             },
+            // Colors assigned to pinned country-years, in order
+            pinnedPalette: ['#7c3aed', '#0d9488', '#d97706', '#db2777', '#65a30d', '#4b5563'],
             lineWidth: {
                 equality: 1,
                 survey: 2.5,
-                adjusted: 2.5
+                adjusted: 2.5,
+                reference: 2
             },
             animationDuration: 300,
             showGrid: true,
             showTooltip: true,
+            showAxisLabels: true,
+            // Visible part of the unit square, {x: [p0, p1], y: [l0, l1]}
+            domain: FULL_DOMAIN,
+            // Drag a rectangle to zoom in, double-click to reset
+            brushZoom: false,
+            // Called with the new domain after zooming or resetting
+            onZoom: null,
             ...options
         };
 
@@ -42,6 +53,9 @@ export class LorenzChart {
         this.xScale = null;
         this.yScale = null;
         this.tooltip = null;
+        this.domain = this.options.domain;
+        this.region = null;
+        this.lastData = null;
 
         this.init();
     }
@@ -72,13 +86,22 @@ export class LorenzChart {
 
         // Create scales
         this.xScale = d3.scaleLinear()
-            .domain([0, 1])
+            .domain(this.domain.x)
             .range([0, this.innerWidth]);
 
         this.yScale = d3.scaleLinear()
-            .domain([0, 1])
+            .domain(this.domain.y)
             .range([this.innerHeight, 0]);
 
+        // Curves are clipped to the plot area when zoomed in
+        this.clipId = `${this.containerId}-clip`;
+        this.svg.append('defs')
+            .append('clipPath')
+            .attr('id', this.clipId)
+            .append('rect')
+            .attr('width', this.innerWidth)
+            .attr('height', this.innerHeight);
+
         // Add grid
         if (this.options.showGrid) {
             this.addGrid();
@@ -87,28 +110,75 @@ export class LorenzChart {
         // Add axes
         this.addAxes();
 
-        // Add equality line
-        this.addEqualityLine();
-
         // Create line generators
         this.lorenzLine = d3.line()
             .x(d => this.xScale(d.p))
             .y(d => this.yScale(d.l))
             .curve(d3.curveMonotoneX);
 
-        // Create groups for curves
-        this.surveyGroup = this.g.append('g').attr('class', 'survey-curve');
-        this.adjustedGroup = this.g.append('g').attr('class', 'adjusted-curve');
-        this.paretoPointsGroup = this.g.append('g').attr('class', 'pareto-points');
+        this.plotGroup = this.g.append('g')
+            .attr('class', 'plot-area')
+            .attr('clip-path', `url(#${this.clipId})`);
+
+        // Add equality line
+        this.addEqualityLine();
+
+        // Uncertainty band around the adjusted curve
+        this.bandArea = d3.area()
+            .x(d => this.xScale(d.p))
+            .y0(d => this.yScale(d.low))
+            .y1(d => this.yScale(d.high))
+            .curve(d3.curveMonotoneX);
+
+        // Create groups for curves (band and pinned curves sit underneath the current ones)
+        this.bandGroup = this.plotGroup.append('g').attr('class', 'uncertainty-band');
+        this.pinnedGroup = this.plotGroup.append('g').attr('class', 'pinned-curves');
+        this.surveyGroup = this.plotGroup.append('g').attr('class', 'survey-curve');
+        this.adjustedGroup = this.plotGroup.append('g').attr('class', 'adjusted-curve');
+        this.referenceGroup = this.plotGroup.append('g').attr('class', 'reference-curve');
+        this.paretoPointsGroup = this.plotGroup.append('g').attr('class', 'pareto-points');
+        this.regionGroup = this.plotGroup.append('g').attr('class', 'inset-region');
+        this.drawRegion();
+
+        // Brush for zooming; it also receives the hover events (see addHoverAreas)
+        this.brushGroup = null;
+        if (this.options.brushZoom) {
+            this.addBrush();
+        }
 
         // Create tooltip
-        if (this.options.showTooltip) {
+        if (this.options.showTooltip && !this.tooltip) {
             this.createTooltip();
         }
     }
 
+    addBrush() {
+        const brush = d3.brush()
+            .extent([[0, 0], [this.innerWidth, this.innerHeight]])
+            .on('end', event => {
+                if (!event.selection) return;
+
+                const [[x0, y0], [x1, y1]] = event.selection;
+                this.brushGroup.call(brush.move, null);
+
+                // Ignore clicks and slivers
+                if (x1 - x0 < 5 || y1 - y0 < 5) return;
+
+                this.zoomTo({
+                    x: [this.xScale.invert(x0), this.xScale.invert(x1)],
+                    y: [this.yScale.invert(y1), this.yScale.invert(y0)]
+                });
+            });
+
+        this.brushGroup = this.g.append('g')
+            .attr('class', 'zoom-brush')
+            .call(brush)
+            .on('dblclick', () => this.resetZoom());
+    }
+
     addGrid() {
         const { colors } = this.options;
+        const inner = ticks => ticks.filter(v => v > 0 && v < 1);
 
         // X grid lines
         this.g.append('g')
@@ -117,7 +187,7 @@ export class LorenzChart {
             .call(d3.axisBottom(this.xScale)
                 .tickSize(-this.innerHeight)
                 .tickFormat('')
-                .tickValues([0.25, 0.5, 0.75]))
+                .tickValues(inner(shareTicks(this.domain.x))))
             .selectAll('line')
             .attr('stroke', colors.grid)
             .attr('stroke-dasharray', '3,3');
@@ -128,7 +198,7 @@ export class LorenzChart {
             .call(d3.axisLeft(this.yScale)
                 .tickSize(-this.innerWidth)
                 .tickFormat('')
-                .tickValues([0.25, 0.5, 0.75]))
+                .tickValues(inner(shareTicks(this.domain.y))))
             .selectAll('line')
             .attr('stroke', colors.grid)
             .attr('stroke-dasharray', '3,3');
@@ -138,14 +208,25 @@ export class LorenzChart {
     }
 
     addAxes() {
+        const xTicks = shareTicks(this.domain.x);
+        const yTicks = shareTicks(this.domain.y);
+
         // X axis
         this.g.append('g')
             .attr('class', 'x-axis')
             .attr('transform', `translate(0, ${this.innerHeight})`)
             .call(d3.axisBottom(this.xScale)
-                .tickFormat(d => `${(d * 100).toFixed(0)}%`)
-                .ticks(5)
-                .tickValues([0, 0.25, 0.5, 0.75, 1]));
+                .tickFormat(shareTickFormat(xTicks))
+                .tickValues(xTicks));
+
+        if (!this.options.showAxisLabels) {
+            this.g.append('g')
+                .attr('class', 'y-axis')
+                .call(d3.axisLeft(this.yScale)
+                    .tickFormat(shareTickFormat(yTicks))
+                    .tickValues(yTicks));
+            return;
+        }
 
         // X axis label
         this.g.append('text')
@@ -161,9 +242,8 @@ export class LorenzChart {
         this.g.append('g')
             .attr('class', 'y-axis')
             .call(d3.axisLeft(this.yScale)
-                .tickFormat(d => `${(d * 100).toFixed(0)}%`)
-                .ticks(5)
-                .tickValues([0, 0.25, 0.5, 0.75, 1]));
+                .tickFormat(shareTickFormat(yTicks))
+                .tickValues(yTicks));
 
         // Y axis label
         this.g.append('text')
@@ -183,7 +263,7 @@ export class LorenzChart {
         // 45-degree line (perfect equality)
         const equalityData = [{ p: 0, l: 0 }, { p: 1, l: 1 }];
 
-        this.g.append('path')
+        this.plotGroup.append('path')
             .datum(equalityData)
             .attr('class', 'equality-line')
             .attr('fill', 'none')
@@ -194,42 +274,73 @@ export class LorenzChart {
     }
 
     createTooltip() {
-        this.tooltip = d3.select('body')
-            .append('div')
-            .attr('class', 'lorenz-tooltip')
-            .style('position', 'absolute')
-            .style('visibility', 'hidden')
-            .style('background', 'rgba(255, 255, 255, 0.95)')
-            .style('border', '1px solid #d1d5db')
-            .style('border-radius', '6px')
-            .style('padding', '8px 12px')
-            .style('font-size', '12px')
-            .style('box-shadow', '0 2px 8px rgba(0,0,0,0.15)')
-            .style('pointer-events', 'none')
-            .style('z-index', '1000');
+        this.tooltip = createTooltipElement();
     }
 
     /**
      * Update chart with new data
      *
-     * @param {Object} data - Contains surveyLorenz, adjustedLorenz, and paretoPoints
+     * @param {Object} data - Contains surveyLorenz, adjustedLorenz, paretoPoints and optionally
+     *                        referenceLorenz (Stata adjusted curve),
+     *                        pinned (array of {label, color, surveyLorenz, adjustedLorenz}) and
+     *                        band (array of {p, low, high}, uncertainty around the adjusted curve)
      */
     update(data) {
         const { colors, lineWidth, animationDuration } = this.options;
+        this.lastData = data;
+
+        // Update uncertainty band
+        if (data.band) {
+            const bandPath = this.bandGroup.selectAll('path')
+                .data([data.band]);
+
+            animated(bandPath.enter()
+                .append('path')
+                .attr('fill', colors.adjusted)
+                .attr('fill-opacity', 0.15)
+                .attr('stroke', 'none')
+                .merge(bandPath), animationDuration)
+                .attr('d', this.bandArea);
+
+            bandPath.exit().remove();
+        } else {
+            this.bandGroup.selectAll('path').remove();
+        }
+
+        // Update pinned country-years: adjusted solid, survey dashed, in the pin's color
+        this.pinnedGroup.selectAll('path').remove();
+        (data.pinned || []).forEach(pin => {
+            if (pin.surveyLorenz) {
+                this.pinnedGroup.append('path')
+                    .datum(pin.surveyLorenz)
+                    .attr('fill', 'none')
+                    .attr('stroke', pin.color)
+                    .attr('stroke-width', lineWidth.survey * 0.7)
+                    .attr('stroke-dasharray', '6,3')
+                    .attr('opacity', 0.8)
+                    .attr('d', this.lorenzLine);
+            }
+            if (pin.adjustedLorenz) {
+                this.pinnedGroup.append('path')
+                    .datum(pin.adjustedLorenz)
+                    .attr('fill', 'none')
+                    .attr('stroke', pin.color)
+                    .attr('stroke-width', lineWidth.adjusted * 0.8)
+                    .attr('d', this.lorenzLine);
+            }
+        });
 
         // Update survey curve
         if (data.surveyLorenz) {
             const surveyPath = this.surveyGroup.selectAll('path')
                 .data([data.surveyLorenz]);
 
-            surveyPath.enter()
+            animated(surveyPath.enter()
                 .append('path')
                 .attr('fill', 'none')
                 .attr('stroke', colors.survey)
                 .attr('stroke-width', lineWidth.survey)
-                .merge(surveyPath)
-                .transition()
-                .duration(animationDuration)
+                .merge(surveyPath), animationDuration)
                 .attr('d', this.lorenzLine);
 
             surveyPath.exit().remove();
@@ -240,14 +351,12 @@ export class LorenzChart {
             const adjustedPath = this.adjustedGroup.selectAll('path')
                 .data([data.adjustedLorenz]);
 
-            adjustedPath.enter()
+            animated(adjustedPath.enter()
                 .append('path')
                 .attr('fill', 'none')
                 .attr('stroke', colors.adjusted)
                 .attr('stroke-width', lineWidth.adjusted)
-                .merge(adjustedPath)
-                .transition()
-                .duration(animationDuration)
+                .merge(adjustedPath), animationDuration)
                 .attr('d', this.lorenzLine);
 
             adjustedPath.exit().remove();
@@ -255,12 +364,31 @@ export class LorenzChart {
             this.adjustedGroup.selectAll('path').remove();
         }
 
+        // Update Stata reference curve
+        if (data.referenceLorenz) {
+            const referencePath = this.referenceGroup.selectAll('path')
+                .data([data.referenceLorenz]);
+
+            animated(referencePath.enter()
+                .append('path')
+                .attr('fill', 'none')
+                .attr('stroke', colors.reference)
+                .attr('stroke-width', lineWidth.reference)
+                .attr('stroke-dasharray', '2,3')
+                .merge(referencePath), animationDuration)
+                .attr('d', this.lorenzLine);
+
+            referencePath.exit().remove();
+        } else {
+            this.referenceGroup.selectAll('path').remove();
+        }
+
         // Update Pareto points
         if (data.paretoPoints && data.paretoPoints.length > 0) {
             const points = this.paretoPointsGroup.selectAll('circle')
                 .data(data.paretoPoints);
 
-            points.enter()
+            animated(points.enter()
                 .append('circle')
                 .attr('r', 4)
                 .attr('fill', colors.paretoPoints)
@@ -268,9 +396,7 @@ export class LorenzChart {
                 .attr('stroke-width', 1.5)
                 .merge(points)
                 .on('mouseover', (event, d) => this.showTooltip(event, d, 'Pareto'))
-                .on('mouseout', () => this.hideTooltip())
-                .transition()
-                .duration(animationDuration)
+                .on('mouseout', () => this.hideTooltip()), animationDuration)
                 .attr('cx', d => this.xScale(d.p))
                 .attr('cy', d => this.yScale(d.l));
 
@@ -285,12 +411,13 @@ export class LorenzChart {
 
     addHoverAreas(data) {
         // Remove existing hover areas
-        this.g.selectAll('.hover-area').remove();
+        this.g.selectAll('.hover-area, .hover-line, .hover-circle-survey, .hover-circle-adjusted').remove();
 
         if (!this.options.showTooltip) return;
 
-        // Create overlay for mouse tracking
-        const overlay = this.g.append('rect')
+        // Mouse tracking: on the zoom brush if there is one, so dragging
+        // still zooms, otherwise on a transparent overlay
+        const overlay = this.brushGroup || this.g.append('rect')
             .attr('class', 'hover-area')
             .attr('width', this.innerWidth)
             .attr('height', this.innerHeight)
@@ -303,25 +430,32 @@ export class LorenzChart {
             .attr('stroke', '#6b7280')
             .attr('stroke-width', 1)
             .attr('stroke-dasharray', '3,3')
+            .attr('pointer-events', 'none')
             .style('visibility', 'hidden');
 
         const hoverCircleSurvey = this.g.append('circle')
             .attr('class', 'hover-circle-survey')
             .attr('r', 5)
             .attr('fill', this.options.colors.survey)
+            .attr('pointer-events', 'none')
             .style('visibility', 'hidden');
 
         const hoverCircleAdjusted = this.g.append('circle')
             .attr('class', 'hover-circle-adjusted')
             .attr('r', 5)
             .attr('fill', this.options.colors.adjusted)
+            .attr('pointer-events', 'none')
             .style('visibility', 'hidden');
 
-        overlay.on('mousemove', (event) => {
-            const [mx] = d3.pointer(event);
+        const [pMin, pMax] = this.domain.x;
+        const [lMin, lMax] = this.domain.y;
+        const inView = l => l !== null && l >= lMin && l <= lMax;
+
+        overlay.on('mousemove.hover', (event) => {
+            const [mx] = d3.pointer(event, this.g.node());
             const p = this.xScale.invert(mx);
 
-            if (p < 0 || p > 1) {
+            if (p < pMin || p > pMax) {
                 hoverLine.style('visibility', 'hidden');
                 hoverCircleSurvey.style('visibility', 'hidden');
                 hoverCircleAdjusted.style('visibility', 'hidden');
@@ -341,25 +475,43 @@ export class LorenzChart {
                 .attr('y2', this.innerHeight)
                 .style('visibility', 'visible');
 
-            if (surveyL !== null) {
-                hoverCircleSurvey
-                    .attr('cx', this.xScale(p))
-                    .attr('cy', this.yScale(surveyL))
-                    .style('visibility', 'visible');
+            hoverCircleSurvey
+                .attr('cx', this.xScale(p))
+                .attr('cy', inView(surveyL) ? this.yScale(surveyL) : 0)
+                .style('visibility', inView(surveyL) ? 'visible' : 'hidden');
+
+            hoverCircleAdjusted
+                .attr('cx', this.xScale(p))
+                .attr('cy', inView(adjustedL) ? this.yScale(adjustedL) : 0)
+                .style('visibility', inView(adjustedL) ? 'visible' : 'hidden');
+
+            // Other curves: Stata reference, then pinned adjusted curves
+            // (survey curve if the pin could not be adjusted)
+            const otherL = (data.pinned || []).map(pin => ({
+                label: pin.label,
+                color: pin.color,
+                l: this.interpolate(pin.adjustedLorenz || pin.surveyLorenz, p)
+            }));
+
+            if (data.referenceLorenz) {
+                otherL.unshift({
+                    label: 'Stata',
+                    color: this.options.colors.reference,
+                    l: this.interpolate(data.referenceLorenz, p)
+                });
             }
 
-            if (adjustedL !== null) {
-                hoverCircleAdjusted
-                    .attr('cx', this.xScale(p))
-                    .attr('cy', this.yScale(adjustedL))
-                    .style('visibility', 'visible');
-            }
+            // Uncertainty band at the hovered p
+            const band = data.band ? {
+                low: this.interpolate(data.band.map(d => ({ p: d.p, l: d.low })), p),
+                high: this.interpolate(data.band.map(d => ({ p: d.p, l: d.high })), p)
+            } : null;
 
             // Show tooltip
-            this.showCurveTooltip(event, p, surveyL, adjustedL);
+            this.showCurveTooltip(event, p, surveyL, adjustedL, otherL, band);
         });
 
-        overlay.on('mouseout', () => {
+        overlay.on('mouseout.hover', () => {
             hoverLine.style('visibility', 'hidden');
             hoverCircleSurvey.style('visibility', 'hidden');
             hoverCircleAdjusted.style('visibility', 'hidden');
@@ -403,7 +555,7 @@ export class LorenzChart {
             .style('visibility', 'visible');
     }
 
-    showCurveTooltip(event, p, surveyL, adjustedL) {
+    showCurveTooltip(event, p, surveyL, adjustedL, otherL = [], band = null) {
         if (!this.tooltip) return;
 
         let html = `<strong>Population:</strong> ${(p * 100).toFixed(1)}%<br>`;
@@ -419,8 +571,18 @@ export class LorenzChart {
                 const diff = ((adjustedL - surveyL) * 100).toFixed(1);
                 html += `<br><span style="color:#6b7280">Diff: ${diff}%</span>`;
             }
+
+            if (band && band.low !== null && band.high !== null) {
+                html += `<br><span style="color:#6b7280">Band: ${(band.low * 100).toFixed(1)}&ndash;${(band.high * 100).toFixed(1)}%</span>`;
+            }
         }
 
+        otherL.forEach(curve => {
+            if (curve.l !== null) {
+                html += `<br><span style="color:${curve.color}">${curve.label}:</span> ${(curve.l * 100).toFixed(1)}%`;
+            }
+        });
+
         this.tooltip
             .html(html)
             .style('left', (event.pageX + 10) + 'px')
@@ -438,17 +600,95 @@ export class LorenzChart {
      * Clear all curves from chart
      */
     clear() {
+        this.bandGroup.selectAll('path').remove();
+        this.pinnedGroup.selectAll('path').remove();
         this.surveyGroup.selectAll('path').remove();
         this.adjustedGroup.selectAll('path').remove();
+        this.referenceGroup.selectAll('path').remove();
         this.paretoPointsGroup.selectAll('circle').remove();
-        this.g.selectAll('.hover-area').remove();
+        this.g.selectAll('.hover-area, .hover-line, .hover-circle-survey, .hover-circle-adjusted').remove();
+        if (this.brushGroup) {
+            this.brushGroup.on('.hover', null);
+        }
+        this.lastData = null;
+    }
+
+    /**
+     * Show part of the unit square, redrawing the last data
+     *
+     * @param {Object} domain - {x: [p0, p1], y: [l0, l1]}
+     */
+    zoomTo(domain) {
+        this.setDomain(domain);
+        if (this.lastData) {
+            this.update(this.lastData);
+        }
+        if (this.options.onZoom) {
+            this.options.onZoom(this.domain);
+        }
+    }
+
+    /**
+     * Back to the whole unit square
+     */
+    resetZoom() {
+        this.zoomTo(FULL_DOMAIN);
+    }
+
+    /**
+     * Whether the chart shows less than the unit square
+     */
+    isZoomed() {
+        return !sameDomain(this.domain, FULL_DOMAIN);
+    }
+
+    /**
+     * Set the visible domain and rebuild the axes, without drawing data
+     *
+     * @param {Object} domain - {x: [p0, p1], y: [l0, l1]}
+     */
+    setDomain(domain) {
+        this.domain = { x: [...domain.x], y: [...domain.y] };
+        this.init();
     }
 
     /**
-     * Resize chart to fit container
+     * Outline a region of the chart, e.g. the part shown in an inset
+     *
+     * @param {Object|null} region - {x: [p0, p1], y: [l0, l1]}, or null to remove it
+     */
+    showRegion(region) {
+        this.region = region;
+        this.drawRegion();
+    }
+
+    drawRegion() {
+        this.regionGroup.selectAll('rect').remove();
+        if (!this.region) return;
+
+        const [x0, x1] = this.region.x.map(this.xScale);
+        const [y1, y0] = this.region.y.map(this.yScale);
+
+        this.regionGroup.append('rect')
+            .attr('x', x0)
+            .attr('y', y0)
+            .attr('width', Math.max(0, x1 - x0))
+            .attr('height', Math.max(0, y1 - y0))
+            .attr('fill', 'none')
+            .attr('stroke', '#6b7280')
+            .attr('stroke-width', 1)
+            .attr('stroke-dasharray', '4,2')
+            .attr('pointer-events', 'none');
+    }
+
+    /**
+     * Resize chart to fit container, keeping the zoom and the current data
      */
     resize() {
         this.init();
+        if (this.lastData) {
+            this.update(this.lastData);
+        }
     }
 
     /**
@@ -464,6 +704,10 @@ export class LorenzChart {
 
 /**
  * Create a simple legend component
+ *
+ * Items are {label, color, dashed, isPoint}. Items with an onToggle callback
+ * become clickable and are dimmed when item.active is false; items with an
+ * onRemove callback get a small remove button.
  */
 export function createLegend(containerId, items) {
     const container = document.getElementById(containerId);
@@ -501,6 +745,883 @@ export function createLegend(containerId, items) {
 
         div.appendChild(swatch);
         div.appendChild(label);
+
+        if (item.onToggle) {
+            div.classList.add('legend-toggle');
+            div.style.cursor = 'pointer';
+            div.style.opacity = item.active === false ? '0.4' : '1';
+            div.title = item.active === false ? 'Show curve' : 'Hide curve';
+            div.addEventListener('click', () => item.onToggle(item));
+        }
+
+        if (item.onRemove) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn-close legend-remove ms-1';
+            remove.setAttribute('aria-label', `Remove ${item.label}`);
+            remove.addEventListener('click', (event) => {
+                event.stopPropagation();
+                item.onRemove(item);
+            });
+            div.appendChild(remove);
+        }
+
         container.appendChild(div);
     });
 }
+
+/**
+ * LineChart class for simple multi-series line charts
+ *
+ * Used for the auxiliary views (sensitivity, time series, ...) where each
+ * series is a list of {x, y} points. Points with y === null leave a gap, as
+ * do points with y <= 0 on a log y axis (logY option).
+ */
+export class LineChart {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            throw new Error(`Container element '${containerId}' not found`);
+        }
+
+        // Default options
+        this.options = {
+            margin: { top: 12, right: 15, bottom: 38, left: 50 },
+            xLabel: '',
+            yLabel: '',
+            xFormat: d => d,
+            yFormat: d => d,
+            xDomain: null,
+            yDomain: null,
+            xTicks: 5,
+            xTickValues: null,
+            yTicks: 4,
+            logY: false,
+            showPoints: false,
+            markerColor: '#6b7280',
+            gridColor: '#e5e7eb',
+            lineWidth: 2,
+            animationDuration: 300,
+            showTooltip: true,
+            ...options
+        };
+
+        this.svg = null;
+        this.tooltip = null;
+        this.series = [];
+        this.extras = {};
+        this.marker = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container.innerHTML = '';
+
+        const rect = this.container.getBoundingClientRect();
+        this.width = rect.width || 300;
+        this.height = rect.height || 200;
+
+        const { margin } = this.options;
+        this.innerWidth = Math.max(10, this.width - margin.left - margin.right);
+        this.innerHeight = Math.max(10, this.height - margin.top - margin.bottom);
+
+        this.svg = d3.select(this.container)
+            .append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('class', 'line-chart');
+
+        this.g = this.svg.append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        this.xScale = d3.scaleLinear().range([0, this.innerWidth]);
+        this.yScale = (this.options.logY ? d3.scaleLog() : d3.scaleLinear()).range([this.innerHeight, 0]);
+
+        this.gridGroup = this.g.append('g').attr('class', 'grid grid-y');
+        this.xAxisGroup = this.g.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${this.innerHeight})`);
+        this.yAxisGroup = this.g.append('g').attr('class', 'y-axis');
+
+        // Axis labels
+        this.g.append('text')
+            .attr('class', 'axis-label')
+            .attr('x', this.innerWidth / 2)
+            .attr('y', this.innerHeight + 32)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#374151')
+            .attr('font-size', '11px')
+            .text(this.options.xLabel);
+
+        this.g.append('text')
+            .attr('class', 'axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -this.innerHeight / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#374151')
+            .attr('font-size', '11px')
+            .text(this.options.yLabel);
+
+        this.seriesGroup = this.g.append('g').attr('class', 'series');
+        this.markerGroup = this.g.append('g').attr('class', 'marker');
+
+        this.line = d3.line()
+            .defined(d => this.isPlottable(d.y))
+            .x(d => this.xScale(d.x))
+            .y(d => this.yScale(d.y));
+
+        if (this.options.showTooltip && !this.tooltip) {
+            this.tooltip = createTooltipElement();
+        }
+    }
+
+    /**
+     * Update chart with new series
+     *
+     * @param {Array} series - Array of {label, color, values: [{x, y}], dashed}
+     * @param {Object} extras - Optional {marker: x value for a vertical marker line,
+     *                          xTickValues: explicit x ticks for this data}
+     */
+    update(series, extras = {}) {
+        const { animationDuration, lineWidth } = this.options;
+
+        this.series = series || [];
+        this.extras = extras;
+        this.marker = extras.marker ?? null;
+
+        this.updateScales();
+        this.updateAxes();
+
+        const paths = this.seriesGroup.selectAll('path')
+            .data(this.series);
+
+        paths.enter()
+            .append('path')
+            .attr('fill', 'none')
+            .merge(paths)
+            .attr('stroke', d => d.color)
+            .attr('stroke-width', d => d.width || lineWidth)
+            .attr('stroke-dasharray', d => d.dashed ? '5,4' : null)
+            .transition()
+            .duration(animationDuration)
+            .attr('d', d => this.line(d.values));
+
+        paths.exit().remove();
+
+        // Point markers (useful for series with only a few observations)
+        this.seriesGroup.selectAll('circle').remove();
+        if (this.options.showPoints) {
+            this.series.forEach(s => {
+                this.seriesGroup.selectAll(null)
+                    .data(s.values.filter(d => this.isPlottable(d.y)))
+                    .enter()
+                    .append('circle')
+                    .attr('cx', d => this.xScale(d.x))
+                    .attr('cy', d => this.yScale(d.y))
+                    .attr('r', 3)
+                    .attr('fill', s.color);
+            });
+        }
+
+        // Vertical marker (e.g. current slider value)
+        this.markerGroup.selectAll('*').remove();
+        if (this.marker !== null) {
+            this.markerGroup.append('line')
+                .attr('x1', this.xScale(this.marker))
+                .attr('x2', this.xScale(this.marker))
+                .attr('y1', 0)
+                .attr('y2', this.innerHeight)
+                .attr('stroke', this.options.markerColor)
+                .attr('stroke-width', 1)
+                .attr('stroke-dasharray', '3,3');
+
+            this.series.filter(s => !s.dashed).forEach(s => {
+                const point = this.nearestPoint(s.values, this.marker);
+                if (point && this.isPlottable(point.y)) {
+                    this.markerGroup.append('circle')
+                        .attr('cx', this.xScale(point.x))
+                        .attr('cy', this.yScale(point.y))
+                        .attr('r', 4)
+                        .attr('fill', s.color)
+                        .attr('stroke', '#fff')
+                        .attr('stroke-width', 1.5);
+                }
+            });
+        }
+
+        this.addHoverArea();
+    }
+
+    updateScales() {
+        const xs = [];
+        const ys = [];
+        this.series.forEach(s => s.values.forEach(d => {
+            xs.push(d.x);
+            if (this.isPlottable(d.y)) ys.push(d.y);
+        }));
+
+        const xDomain = this.options.xDomain || (xs.length ? d3.extent(xs) : [0, 1]);
+        let yDomain = this.options.yDomain;
+        if (!yDomain && this.options.logY) {
+            const [yMin, yMax] = ys.length ? d3.extent(ys) : [1, 10];
+            yDomain = [yMin / 1.2, yMax * 1.2];
+        } else if (!yDomain) {
+            const [yMin, yMax] = ys.length ? d3.extent(ys) : [0, 1];
+            const pad = (yMax - yMin) * 0.08 || Math.abs(yMax) * 0.1 || 1;
+            yDomain = [yMin - pad, yMax + pad];
+        }
+
+        this.xScale.domain(xDomain);
+        this.yScale.domain(yDomain).nice();
+    }
+
+    updateAxes() {
+        const { xFormat, yFormat, xTicks, yTicks, gridColor } = this.options;
+        const xTickValues = this.extras.xTickValues || this.options.xTickValues;
+
+        const xAxis = d3.axisBottom(this.xScale).ticks(xTicks).tickFormat(xFormat);
+        if (xTickValues) {
+            xAxis.tickValues(xTickValues);
+        }
+        this.xAxisGroup.call(xAxis);
+        // Log axes label powers of ten and a few steps in between
+        const yTickValues = this.options.logY ? logTickValues(this.yScale.domain(), yTicks) : null;
+        const yAxis = d3.axisLeft(this.yScale).ticks(yTicks).tickFormat(yFormat);
+        const yGrid = d3.axisLeft(this.yScale).ticks(yTicks).tickSize(-this.innerWidth).tickFormat('');
+        if (yTickValues) {
+            yAxis.tickValues(yTickValues);
+            yGrid.tickValues(yTickValues);
+        }
+        this.yAxisGroup.call(yAxis);
+
+        this.gridGroup.call(yGrid);
+        this.gridGroup.selectAll('line')
+            .attr('stroke', gridColor)
+            .attr('stroke-dasharray', '3,3');
+        this.gridGroup.select('.domain').remove();
+    }
+
+    /**
+     * Whether a y value can be drawn on the current y scale
+     */
+    isPlottable(y) {
+        return y !== null && y !== undefined && isFinite(y) && (!this.options.logY || y > 0);
+    }
+
+    /**
+     * Switch the y axis between linear and log scale, keeping the current series
+     */
+    setLogY(logY) {
+        if (this.options.logY === logY) return;
+
+        this.options.logY = logY;
+        this.resize();
+    }
+
+    addHoverArea() {
+        this.g.selectAll('.hover-area, .hover-line').remove();
+
+        if (!this.options.showTooltip || this.series.length === 0) return;
+
+        const hoverLine = this.g.append('line')
+            .attr('class', 'hover-line')
+            .attr('stroke', '#9ca3af')
+            .attr('stroke-width', 1)
+            .attr('y1', 0)
+            .attr('y2', this.innerHeight)
+            .style('visibility', 'hidden');
+
+        const overlay = this.g.append('rect')
+            .attr('class', 'hover-area')
+            .attr('width', this.innerWidth)
+            .attr('height', this.innerHeight)
+            .attr('fill', 'none')
+            .attr('pointer-events', 'all');
+
+        overlay.on('mousemove', (event) => {
+            const [mx] = d3.pointer(event);
+            const x = this.xScale.invert(mx);
+            const { xFormat, yFormat } = this.options;
+
+            let html = `<strong>${xFormat(x)}</strong>`;
+            let snappedX = x;
+
+            this.series.forEach(s => {
+                const point = this.nearestPoint(s.values, x);
+                if (!point) return;
+                snappedX = point.x;
+                const value = this.isPlottable(point.y)
+                    ? yFormat(point.y)
+                    : '--';
+                html += `<br><span style="color:${s.color}">${s.label}:</span> ${value}`;
+            });
+
+            hoverLine
+                .attr('x1', this.xScale(snappedX))
+                .attr('x2', this.xScale(snappedX))
+                .style('visibility', 'visible');
+
+            this.tooltip
+                .html(html)
+                .style('left', (event.pageX + 10) + 'px')
+                .style('top', (event.pageY - 10) + 'px')
+                .style('visibility', 'visible');
+        });
+
+        overlay.on('mouseout', () => {
+            hoverLine.style('visibility', 'hidden');
+            this.tooltip.style('visibility', 'hidden');
+        });
+    }
+
+    nearestPoint(values, x) {
+        if (!values || values.length === 0) return null;
+
+        return values.reduce((best, d) =>
+            Math.abs(d.x - x) < Math.abs(best.x - x) ? d : best
+        );
+    }
+
+    /**
+     * Clear all series from chart
+     */
+    clear() {
+        this.seriesGroup.selectAll('*').remove();
+        this.markerGroup.selectAll('*').remove();
+        this.g.selectAll('.hover-area, .hover-line').remove();
+        this.series = [];
+    }
+
+    /**
+     * Resize chart to fit container, keeping the current series
+     */
+    resize() {
+        this.init();
+        if (this.series.length > 0) {
+            this.update(this.series, this.extras);
+        }
+    }
+
+    /**
+     * Destroy chart and clean up
+     */
+    destroy() {
+        if (this.tooltip) {
+            this.tooltip.remove();
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * WaterfallChart - bars for a starting total, signed steps and an ending total
+ *
+ * Used for the Gini change decomposition: survey Gini, the effect of each
+ * step, then the adjusted Gini.
+ */
+export class WaterfallChart {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            throw new Error(`Container element '${containerId}' not found`);
+        }
+
+        this.options = {
+            margin: { top: 16, right: 10, bottom: 22, left: 42 },
+            colors: {
+                start: '#2563eb',
+                end: '#dc2626',
+                increase: '#f87171',
+                decrease: '#34d399',
+                connector: '#9ca3af',
+                grid: '#e5e7eb'
+            },
+            valueFormat: d => d.toFixed(3),
+            deltaFormat: d => `${d > 0 ? '+' : ''}${d.toFixed(3)}`,
+            yTicks: 3,
+            animationDuration: 300,
+            showTooltip: true,
+            ...options
+        };
+
+        this.steps = [];
+        this.tooltip = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container.innerHTML = '';
+
+        const rect = this.container.getBoundingClientRect();
+        this.width = rect.width || 260;
+        this.height = rect.height || 150;
+
+        const { margin } = this.options;
+        this.innerWidth = Math.max(10, this.width - margin.left - margin.right);
+        this.innerHeight = Math.max(10, this.height - margin.top - margin.bottom);
+
+        this.svg = d3.select(this.container)
+            .append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('class', 'waterfall-chart');
+
+        this.g = this.svg.append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        this.xScale = d3.scaleBand().range([0, this.innerWidth]).padding(0.3);
+        this.yScale = d3.scaleLinear().range([this.innerHeight, 0]);
+
+        this.gridGroup = this.g.append('g').attr('class', 'grid grid-y');
+        this.xAxisGroup = this.g.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${this.innerHeight})`);
+        this.yAxisGroup = this.g.append('g').attr('class', 'y-axis');
+        this.barGroup = this.g.append('g').attr('class', 'bars');
+
+        if (this.options.showTooltip && !this.tooltip) {
+            this.tooltip = createTooltipElement();
+        }
+    }
+
+    /**
+     * Update chart with new steps
+     *
+     * @param {Array} steps - Array of {label, value, type} where type is
+     *                        'total' (bar from the axis floor to value) or
+     *                        'delta' (bar from the running total by value)
+     */
+    update(steps) {
+        const { colors, valueFormat, deltaFormat, yTicks, gridColor, animationDuration } = this.options;
+        this.steps = steps || [];
+
+        // Running totals give each bar its start and end
+        let running = 0;
+        const bars = this.steps.map((step, i) => {
+            const start = step.type === 'total' ? null : running;
+            const end = step.type === 'total' ? step.value : running + step.value;
+            running = end;
+
+            let color = colors.increase;
+            if (step.type === 'total') {
+                color = i === 0 ? colors.start : colors.end;
+            } else if (step.value < 0) {
+                color = colors.decrease;
+            }
+
+            return { ...step, start, end, color };
+        });
+
+        // Totals are large compared with the steps, so the y axis does not start at zero
+        const values = bars.flatMap(b => [b.end, b.start]).filter(v => v !== null);
+        const [yMin, yMax] = values.length ? d3.extent(values) : [0, 1];
+        const pad = (yMax - yMin) * 0.25 || 0.01;
+        this.yScale.domain([Math.max(0, yMin - pad), yMax + pad]).nice();
+        const floor = this.yScale.domain()[0];
+
+        this.xScale.domain(bars.map(b => b.label));
+        this.xAxisGroup.call(d3.axisBottom(this.xScale).tickSize(0))
+            .selectAll('text')
+            .attr('font-size', '10px');
+        this.yAxisGroup.call(d3.axisLeft(this.yScale).ticks(yTicks).tickFormat(valueFormat));
+
+        this.gridGroup.call(d3.axisLeft(this.yScale)
+            .ticks(yTicks)
+            .tickSize(-this.innerWidth)
+            .tickFormat(''));
+        this.gridGroup.selectAll('line')
+            .attr('stroke', gridColor || colors.grid)
+            .attr('stroke-dasharray', '3,3');
+        this.gridGroup.select('.domain').remove();
+
+        this.barGroup.selectAll('*').remove();
+
+        const barTop = b => this.yScale(Math.max(b.start ?? floor, b.end));
+        const barHeight = b => Math.max(1, Math.abs(this.yScale(b.start ?? floor) - this.yScale(b.end)));
+
+        this.barGroup.selectAll('rect')
+            .data(bars)
+            .enter()
+            .append('rect')
+            .attr('x', b => this.xScale(b.label))
+            .attr('width', this.xScale.bandwidth())
+            .attr('fill', b => b.color)
+            .attr('y', this.innerHeight)
+            .attr('height', 0)
+            .on('mousemove', (event, b) => this.showTooltip(event, b))
+            .on('mouseout', () => this.hideTooltip())
+            .transition()
+            .duration(animationDuration)
+            .attr('y', barTop)
+            .attr('height', barHeight);
+
+        // Connectors from each bar's end to the next bar
+        bars.slice(0, -1).forEach((b, i) => {
+            this.barGroup.append('line')
+                .attr('x1', this.xScale(b.label) + this.xScale.bandwidth())
+                .attr('x2', this.xScale(bars[i + 1].label))
+                .attr('y1', this.yScale(b.end))
+                .attr('y2', this.yScale(b.end))
+                .attr('stroke', colors.connector)
+                .attr('stroke-dasharray', '2,2');
+        });
+
+        // Value labels above the bars
+        this.barGroup.selectAll('text')
+            .data(bars)
+            .enter()
+            .append('text')
+            .attr('x', b => this.xScale(b.label) + this.xScale.bandwidth() / 2)
+            .attr('y', b => barTop(b) - 3)
+            .attr('text-anchor', 'middle')
+            .attr('font-size', '10px')
+            .attr('fill', '#374151')
+            .text(b => b.type === 'total' ? valueFormat(b.value) : deltaFormat(b.value));
+    }
+
+    showTooltip(event, bar) {
+        if (!this.tooltip) return;
+
+        const { valueFormat, deltaFormat } = this.options;
+        let html = `<strong>${bar.label}</strong><br>`;
+        html += bar.type === 'total'
+            ? `Gini: ${valueFormat(bar.value)}`
+            : `Change: ${deltaFormat(bar.value)}<br>${valueFormat(bar.start)} &rarr; ${valueFormat(bar.end)}`;
+        if (bar.note) {
+            html += `<br><span style="color:#6b7280">${bar.note}</span>`;
+        }
+
+        this.tooltip
+            .html(html)
+            .style('left', (event.pageX + 10) + 'px')
+            .style('top', (event.pageY - 10) + 'px')
+            .style('visibility', 'visible');
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style('visibility', 'hidden');
+        }
+    }
+
+    /**
+     * Remove all bars
+     */
+    clear() {
+        this.barGroup.selectAll('*').remove();
+        this.steps = [];
+    }
+
+    /**
+     * Resize chart to fit container, keeping the current steps
+     */
+    resize() {
+        this.init();
+        if (this.steps.length > 0) {
+            this.update(this.steps);
+        }
+    }
+
+    /**
+     * Destroy chart and clean up
+     */
+    destroy() {
+        if (this.tooltip) {
+            this.tooltip.remove();
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+/**
+ * GroupedBarChart - side-by-side bars for a few series over shared categories
+ *
+ * Used for the income shares by group, survey vs. adjusted.
+ */
+export class GroupedBarChart {
+    constructor(containerId, options = {}) {
+        this.containerId = containerId;
+        this.container = document.getElementById(containerId);
+
+        if (!this.container) {
+            throw new Error(`Container element '${containerId}' not found`);
+        }
+
+        this.options = {
+            margin: { top: 12, right: 15, bottom: 38, left: 50 },
+            xLabel: '',
+            yLabel: '',
+            yFormat: d => d,
+            yTicks: 5,
+            gridColor: '#e5e7eb',
+            animationDuration: 300,
+            showTooltip: true,
+            ...options
+        };
+
+        this.categories = [];
+        this.series = [];
+        this.tooltip = null;
+
+        this.init();
+    }
+
+    init() {
+        this.container.innerHTML = '';
+
+        const rect = this.container.getBoundingClientRect();
+        this.width = rect.width || 300;
+        this.height = rect.height || 200;
+
+        const { margin } = this.options;
+        this.innerWidth = Math.max(10, this.width - margin.left - margin.right);
+        this.innerHeight = Math.max(10, this.height - margin.top - margin.bottom);
+
+        this.svg = d3.select(this.container)
+            .append('svg')
+            .attr('width', this.width)
+            .attr('height', this.height)
+            .attr('class', 'grouped-bar-chart');
+
+        this.g = this.svg.append('g')
+            .attr('transform', `translate(${margin.left}, ${margin.top})`);
+
+        this.xScale = d3.scaleBand().range([0, this.innerWidth]).paddingInner(0.2).paddingOuter(0.1);
+        this.seriesScale = d3.scaleBand().padding(0.05);
+        this.yScale = d3.scaleLinear().range([this.innerHeight, 0]);
+
+        this.gridGroup = this.g.append('g').attr('class', 'grid grid-y');
+        this.xAxisGroup = this.g.append('g')
+            .attr('class', 'x-axis')
+            .attr('transform', `translate(0, ${this.innerHeight})`);
+        this.yAxisGroup = this.g.append('g').attr('class', 'y-axis');
+
+        this.g.append('text')
+            .attr('class', 'axis-label')
+            .attr('x', this.innerWidth / 2)
+            .attr('y', this.innerHeight + 32)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#374151')
+            .attr('font-size', '11px')
+            .text(this.options.xLabel);
+
+        this.g.append('text')
+            .attr('class', 'axis-label')
+            .attr('transform', 'rotate(-90)')
+            .attr('x', -this.innerHeight / 2)
+            .attr('y', -38)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#374151')
+            .attr('font-size', '11px')
+            .text(this.options.yLabel);
+
+        this.barGroup = this.g.append('g').attr('class', 'bars');
+
+        if (this.options.showTooltip && !this.tooltip) {
+            this.tooltip = createTooltipElement();
+        }
+    }
+
+    /**
+     * Update chart with new data
+     *
+     * @param {Array<string>} categories - Category labels along the x axis
+     * @param {Array} series - Array of {label, color, values}, one value
+     *                         (or null) per category
+     */
+    update(categories, series) {
+        const { yFormat, yTicks, gridColor, animationDuration } = this.options;
+
+        this.categories = categories || [];
+        this.series = series || [];
+
+        const values = this.series.flatMap(s => s.values).filter(v => v !== null && isFinite(v));
+        const yMax = values.length ? d3.max(values) : 1;
+
+        this.xScale.domain(this.categories);
+        this.seriesScale.domain(this.series.map(s => s.label)).range([0, this.xScale.bandwidth()]);
+        this.yScale.domain([0, yMax * 1.05]).nice();
+
+        this.xAxisGroup.call(d3.axisBottom(this.xScale).tickSizeOuter(0));
+        this.yAxisGroup.call(d3.axisLeft(this.yScale).ticks(yTicks).tickFormat(yFormat));
+
+        this.gridGroup.call(d3.axisLeft(this.yScale)
+            .ticks(yTicks)
+            .tickSize(-this.innerWidth)
+            .tickFormat(''));
+        this.gridGroup.selectAll('line')
+            .attr('stroke', gridColor)
+            .attr('stroke-dasharray', '3,3');
+        this.gridGroup.select('.domain').remove();
+
+        this.barGroup.selectAll('*').remove();
+
+        const groups = this.barGroup.selectAll('g')
+            .data(this.categories)
+            .enter()
+            .append('g')
+            .attr('transform', c => `translate(${this.xScale(c)}, 0)`);
+
+        groups.selectAll('rect')
+            .data((c, i) => this.series.map(s => ({ series: s, value: s.values[i] })))
+            .enter()
+            .append('rect')
+            .attr('x', d => this.seriesScale(d.series.label))
+            .attr('width', this.seriesScale.bandwidth())
+            .attr('fill', d => d.series.color)
+            .attr('y', this.innerHeight)
+            .attr('height', 0)
+            .transition()
+            .duration(animationDuration)
+            .attr('y', d => this.yScale(d.value ?? 0))
+            .attr('height', d => this.innerHeight - this.yScale(d.value ?? 0));
+
+        // One hover target per category, covering all its bars
+        groups.append('rect')
+            .attr('class', 'hover-area')
+            .attr('width', this.xScale.bandwidth())
+            .attr('height', this.innerHeight)
+            .attr('fill', 'transparent')
+            .on('mousemove', (event, c) => this.showTooltip(event, this.categories.indexOf(c)))
+            .on('mouseout', () => this.hideTooltip());
+    }
+
+    showTooltip(event, index) {
+        if (!this.tooltip) return;
+
+        const { yFormat } = this.options;
+        let html = `<strong>${this.categories[index]}</strong>`;
+        this.series.forEach(s => {
+            const value = s.values[index];
+            html += `<br><span style="color:${s.color}">${s.label}:</span> ${value !== null && value !== undefined ? yFormat(value) : '--'}`;
+        });
+
+        // Change between the first two series
+        const [first, second] = this.series.map(s => s.values[index]);
+        if (this.series.length === 2 && first !== null && second !== null && first !== undefined && second !== undefined) {
+            const diff = second - first;
+            html += `<br>Change: ${diff > 0 ? '+' : ''}${yFormat(diff)}`;
+        }
+
+        this.tooltip
+            .html(html)
+            .style('left', (event.pageX + 10) + 'px')
+            .style('top', (event.pageY - 10) + 'px')
+            .style('visibility', 'visible');
+    }
+
+    hideTooltip() {
+        if (this.tooltip) {
+            this.tooltip.style('visibility', 'hidden');
+        }
+    }
+
+    /**
+     * Remove all bars
+     */
+    clear() {
+        this.barGroup.selectAll('*').remove();
+        this.categories = [];
+        this.series = [];
+    }
+
+    /**
+     * Resize chart to fit container, keeping the current data
+     */
+    resize() {
+        this.init();
+        if (this.series.length > 0) {
+            this.update(this.categories, this.series);
+        }
+    }
+
+    /**
+     * Destroy chart and clean up
+     */
+    destroy() {
+        if (this.tooltip) {
+            this.tooltip.remove();
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+// Whole unit square of a Lorenz chart
+const FULL_DOMAIN = { x: [0, 1], y: [0, 1] };
+
+/**
+ * Tick values for a population or income share axis
+ *
+ * Quarters on the whole [0, 1] range, about five round steps when zoomed in.
+ */
+function shareTicks([min, max]) {
+    return min === 0 && max === 1 ? [0, 0.25, 0.5, 0.75, 1] : d3.ticks(min, max, 5);
+}
+
+/**
+ * Percent format with as many decimals as the tick step needs
+ */
+function shareTickFormat(ticks) {
+    const step = ticks.length > 1 ? Math.abs(ticks[1] - ticks[0]) : 1;
+    const decimals = d3.precisionFixed(step * 100);
+    return d => `${(d * 100).toFixed(decimals)}%`;
+}
+
+/**
+ * Whether two {x, y} domains are equal
+ */
+function sameDomain(a, b) {
+    return ['x', 'y'].every(axis => a[axis][0] === b[axis][0] && a[axis][1] === b[axis][1]);
+}
+
+/**
+ * Transition a selection, or update it at once when duration is 0
+ *
+ * A zero-length D3 transition still applies on the next animation frame;
+ * the figure export needs the curves drawn when update() returns.
+ */
+function animated(selection, duration) {
+    return duration > 0 ? selection.transition().duration(duration) : selection;
+}
+
+/**
+ * Tick values for a log axis: 1-2-5 steps per decade, thinned to about count ticks
+ */
+function logTickValues([min, max], count) {
+    const ticks = [];
+    for (let e = Math.floor(Math.log10(min)); e <= Math.ceil(Math.log10(max)); e++) {
+        [1, 2, 5].forEach(m => {
+            const v = m * Math.pow(10, e);
+            if (v >= min && v <= max) ticks.push(v);
+        });
+    }
+
+    const decades = ticks.filter(v => Number.isInteger(Math.log10(v)));
+    return ticks.length <= count * 2 || decades.length < 2 ? ticks : decades;
+}
+
+/**
+ * Create the shared floating tooltip element
+ */
+function createTooltipElement() {
+    return d3.select('body')
+        .append('div')
+        .attr('class', 'lorenz-tooltip')
+        .style('position', 'absolute')
+        .style('visibility', 'hidden')
+        .style('background', 'rgba(255, 255, 255, 0.95)')
+        .style('border', '1px solid #d1d5db')
+        .style('border-radius', '6px')
+        .style('padding', '8px 12px')
+        .style('font-size', '12px')
+        .style('box-shadow', '0 2px 8px rgba(0,0,0,0.15)')
+        .style('pointer-events', 'none')
+        .style('z-index', '1000');
+}
@@ -103,10 +103,23 @@ export async function getDistribution(countryCode, year) {
         throw new Error(`No data available for ${countryCode} in ${year}`);
     }
 
-    const yearData = countryData.years[year];
+    return parseYearData(countryCode, year, countryData.years[year]);
+}
 
+/**
+ * Convert one year of a distribution file into the standard format
+ *
+ * Shared by getDistribution() and the Node API, which reads the same
+ * files from disk instead of fetching them.
+ *
+ * @param {string} countryCode - ISO3 country code
+ * @param {number} year - Year
+ * @param {Object} yearData - Entry of the file's `years` object ({bins, survey_mean})
+ * @returns {Object} Distribution data with bins array
+ */
+export function parseYearData(countryCode, year, yearData) {
     // Convert bins to standard format {p, l, w}
-    const distribution = yearData.bins.map(bin => ({
+    const allBins = yearData.bins.map(bin => ({
         p: bin.p,
         l: bin.l,
         w: bin.w,
@@ -114,14 +127,40 @@ export async function getDistribution(countryCode, year) {
         isNew: bin.new === 1
     }));
 
+    // Bins flagged new are the Stata-generated Pareto tail. The browser
+    // adjustment runs on the survey bins only; the full set is kept as the
+    // Stata reference curve.
+    const surveyBins = allBins.filter(d => !d.isNew);
+    const hasReference = surveyBins.length < allBins.length;
+    const distribution = hasReference ? renormalizeSurveyBins(surveyBins) : allBins;
+
     return {
         countryCode,
         year,
         distribution,
+        referenceDist: hasReference ? [...allBins].sort((a, b) => a.p - b.p) : null,
         surveyMean: yearData.survey_mean || calculateMeanFromBins(distribution)
     };
 }
 
+/**
+ * Undo the Stata rescaling of survey bins that were exported alongside a tail
+ *
+ * After elongation the survey bins end at (survey_pct, ratio) rather than
+ * (1, 1); dividing by the last survey bin recovers the survey Lorenz curve.
+ * Survey bins that already end at (1, 1) are returned unchanged.
+ */
+function renormalizeSurveyBins(surveyBins) {
+    const sorted = [...surveyBins].sort((a, b) => a.p - b.p);
+    const last = sorted[sorted.length - 1];
+
+    if (!last || last.p <= 0 || last.l <= 0 || (last.p >= 0.9999 && last.l >= 0.9999)) {
+        return sorted;
+    }
+
+    return sorted.map(d => ({ ...d, p: d.p / last.p, l: d.l / last.l }));
+}
+
 /**
  * Get NAS data for a specific country and year
  *
@@ -139,6 +178,51 @@ export async function getNasForCountryYear(countryCode, year) {
     return nas[countryCode][year];
 }
 
+/**
+ * Pick the NAS mean matching the selected source
+ *
+ * The custom source is not read from nas_data.json: it is a typed NAS mean
+ * ($/day) or a ratio to the survey mean, e.g. for an adjusted aggregate
+ * such as HFCE minus imputed rents.
+ *
+ * @param {Object} nasRecord - NAS data for one country-year ({hfce, gdp, survey_mean})
+ * @param {string} nasSource - 'hfce', 'gdp' or 'custom'
+ * @param {Object} custom - {type: 'mean' | 'ratio', value} for the custom source
+ * @param {number} surveyMean - Survey mean a custom ratio applies to
+ *                              (default: the record's survey_mean)
+ * @returns {number|null} NAS mean ($/day) or null if unavailable
+ */
+export function getNasMean(nasRecord, nasSource, custom = null, surveyMean = null) {
+    if (nasSource === 'custom') {
+        if (!custom || !(custom.value > 0)) return null;
+        if (custom.type === 'mean') return custom.value;
+
+        const base = surveyMean ?? nasRecord?.survey_mean;
+        return base > 0 ? custom.value * base : null;
+    }
+
+    if (!nasRecord) {
+        return null;
+    }
+
+    const value = nasSource === 'gdp' ? nasRecord.gdp : nasRecord.hfce;
+    return value ?? null;
+}
+
+/**
+ * Display name of a NAS source
+ *
+ * @param {string} nasSource - 'hfce', 'gdp' or 'custom'
+ * @param {Object} custom - {label} of the custom source, if any
+ * @returns {string} e.g. "HFCE", or the custom label ("Custom NAS" if none)
+ */
+export function formatNasSource(nasSource, custom = null) {
+    if (nasSource === 'custom') {
+        return custom?.label || 'Custom NAS';
+    }
+    return (nasSource || '').toUpperCase();
+}
+
 /**
  * Get all available years for a country
  *
@@ -214,8 +298,14 @@ export async function getCountriesByRegion() {
 
 /**
  * Calculate mean welfare from distribution bins
+ *
+ * Used when a file has no survey_mean, and by validateDistribution() to
+ * check the survey_mean it does have.
+ *
+ * @param {Array} distribution - Array of {p, w} bins sorted by p
+ * @returns {number|null} Population-weighted mean of w, or null without w values
  */
-function calculateMeanFromBins(distribution) {
+export function calculateMeanFromBins(distribution) {
     let totalWelfare = 0;
     let totalPop = 0;
 
@@ -0,0 +1,77 @@
+/**
+ * decomposition.js - Decomposition of the Gini change from the adjustment
+ *
+ * Splits adjusted Gini - survey Gini into two sequential steps:
+ *
+ *   1. Rescaling: the survey bins moved to (p * surveyPct, l * ratio), with
+ *      the added population 1 - surveyPct holding the remaining income share
+ *      1 - ratio in equal amounts (a straight line to (1, 1)).
+ *   2. Tail: that straight segment replaced by the Pareto tail, i.e. the
+ *      added income concentrated according to alpha.
+ *
+ * The tail effect is the remainder. Since the rescaled curve already puts
+ * the added population above the survey with its whole income share, the
+ * rescaling step carries the gap between the two groups, and its Gini is
+ * surveyPct * ratio * G + surveyPct - ratio. The tail effect only measures
+ * how unequally the added income is spread within the top group, so it is
+ * small when the tail is a few percent of the population.
+ *
+ * The two effects add up to the total change exactly. Methods that keep the
+ * population (surveyPct = 1) have nothing to rescale, so the whole change is
+ * attributed to the tail.
+ */
+
+import { calculateGini } from './lorenz.js';
+
+/**
+ * Decompose the Gini change of an adjustment result
+ *
+ * @param {Object} result - Adjusted result from calculateChandySeidel() (or
+ *                          another method with the same shape)
+ * @returns {Object|null} {surveyGini, rescaledGini, adjustedGini,
+ *                         rescalingEffect, tailEffect, totalChange,
+ *                         tailPopShare, tailIncomeShare, rescaledLorenz};
+ *                         null if the result was not adjusted
+ */
+export function decomposeGiniChange(result) {
+    if (!result || !result.adjusted) {
+        return null;
+    }
+
+    const { surveyPct, ratio } = result;
+    const rescaledLorenz = surveyPct < 1
+        ? buildRescaledLorenz(result.originalDist, surveyPct, ratio)
+        : result.originalDist;
+
+    const surveyGini = calculateGini(result.originalDist);
+    const rescaledGini = calculateGini(rescaledLorenz);
+    const adjustedGini = calculateGini(result.adjustedDist);
+
+    return {
+        surveyGini,
+        rescaledGini,
+        adjustedGini,
+        rescalingEffect: rescaledGini - surveyGini,
+        tailEffect: adjustedGini - rescaledGini,
+        totalChange: adjustedGini - surveyGini,
+        tailPopShare: 1 - surveyPct,
+        tailIncomeShare: 1 - ratio,
+        rescaledLorenz
+    };
+}
+
+/**
+ * Survey bins rescaled by surveyPct and ratio, closed with a straight line to (1, 1)
+ */
+function buildRescaledLorenz(distribution, surveyPct, ratio) {
+    const rescaled = distribution
+        .map(d => ({ p: d.p * surveyPct, l: d.l * ratio }))
+        .sort((a, b) => a.p - b.p);
+
+    if (rescaled[0].p > 0) {
+        rescaled.unshift({ p: 0, l: 0 });
+    }
+    rescaled.push({ p: 1, l: 1 });
+
+    return rescaled;
+}
@@ -1,9 +1,55 @@
 /**
  * export.js - CSV export functionality for Chandy-Seidel visualization
  *
- * Provides utilities to export adjusted distributions and summary statistics.
+ * Provides utilities to export adjusted distributions and summary statistics,
+ * writes the Excel workbook (see workbook.js) and the Lorenz figure (see
+ * figure.js) as SVG, PNG or a print layout. The distribution and summary
+ * rows are built once, unformatted, and shared by the CSVs and the workbook.
  */
 
+import { decomposeGiniChange } from './decomposition.js';
+import { PX_PER_INCH, serializeFigure } from './figure.js';
+import { calculateGroupShares } from './lorenz.js';
+
+// Columns of the distribution exports; decimals is what the CSV writes
+export const DISTRIBUTION_COLUMNS = [
+    { key: 'country' },
+    { key: 'year' },
+    { key: 'quantile' },
+    { key: 'p_survey', decimals: 6 },
+    { key: 'l_survey', decimals: 6 },
+    { key: 'welfare_survey', decimals: 2 },
+    { key: 'p_adjusted', decimals: 6 },
+    { key: 'l_adjusted', decimals: 6 },
+    { key: 'is_pareto_tail' }
+];
+
+// Columns of the summary exports, read from {countryCode, year, result, ginis, dec}
+// where dec is the output of decomposeGiniChange(); text columns are quoted in CSV
+const SUMMARY_COLUMNS = [
+    { key: 'country', value: s => s.countryCode },
+    { key: 'year', value: s => s.year },
+    { key: 'survey_mean', value: s => s.result.surveyMean, decimals: 4 },
+    { key: 'nas_mean', value: s => s.result.nasMean, decimals: 4 },
+    { key: 'nas_source', value: s => s.result.nasSource },
+    { key: 'nas_label', value: s => s.result.nasLabel, text: true },
+    { key: 'adjusted_mean', value: s => s.result.adjustedMean, decimals: 4 },
+    { key: 'gap_percent', value: s => s.result.gapPercent, decimals: 2 },
+    { key: 'gap_share_used', value: s => s.result.gapShare, decimals: 2 },
+    { key: 'top_cutoff', value: s => s.result.topDecileCutoff, decimals: 3 },
+    { key: 'method', value: s => s.result.method },
+    { key: 'pareto_alpha', value: s => s.result.alpha, decimals: 4 },
+    { key: 'survey_pct', value: s => s.result.surveyPct, decimals: 4 },
+    { key: 'pareto_bins_added', value: s => s.result.paretoTailBins ?? 0 },
+    { key: 'gini_survey', value: s => s.ginis.surveyGini, decimals: 4 },
+    { key: 'gini_adjusted', value: s => s.ginis.adjustedGini, decimals: 4 },
+    { key: 'gini_change', value: s => giniChange(s.ginis), decimals: 4 },
+    { key: 'gini_change_percent', value: s => giniChangePercent(s.ginis), decimals: 2 },
+    { key: 'gini_rescaled', value: s => s.dec?.rescaledGini, decimals: 4 },
+    { key: 'gini_change_rescaling', value: s => s.dec?.rescalingEffect, decimals: 4 },
+    { key: 'gini_change_tail', value: s => s.dec?.tailEffect, decimals: 4 }
+];
+
 /**
  * Export adjusted distribution as CSV
  *
@@ -17,25 +63,54 @@ export function exportDistributionCSV(result, countryCode, year) {
         return;
     }
 
-    // Build CSV content with comprehensive columns
-    const headers = [
-        'country',
-        'year',
-        'quantile',
-        'p_survey',
-        'l_survey',
-        'welfare_survey',
-        'p_adjusted',
-        'l_adjusted',
-        'is_pareto_tail'
-    ];
+    const csv = buildDistributionCSV(result, countryCode, year);
+
+    // Download
+    downloadCSV(csv, `chandy_seidel_${countryCode}_${year}_distribution.csv`);
+}
+
+/**
+ * Build the adjusted distribution CSV content
+ *
+ * @param {Object} result - Chandy-Seidel adjustment result (must be adjusted)
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ * @param {boolean} includeHeader - Whether to start with the header line
+ * @returns {string} CSV content
+ */
+export function buildDistributionCSV(result, countryCode, year, includeHeader = true) {
+    const rows = buildDistributionRows(result, countryCode, year);
+
+    // Create CSV string
+    let csv = includeHeader ? DISTRIBUTION_COLUMNS.map(c => c.key).join(',') + '\n' : '';
+    rows.forEach(row => {
+        csv += row.map((value, i) => formatCell(value, DISTRIBUTION_COLUMNS[i])).join(',') + '\n';
+    });
 
+    return csv;
+}
+
+/**
+ * Build the rows of the distribution exports, in the order of DISTRIBUTION_COLUMNS
+ *
+ * The survey bins come first, each next to its rescaled position, then the
+ * Pareto tail bins. Values are left unformatted, null where blank; the
+ * adjusted columns are blank if the result was not adjusted.
+ *
+ * @param {Object} result - Adjustment result
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ * @param {Array} survey - Survey bins (defaults to result.originalDist)
+ * @returns {Array} Array of rows, each an array of values
+ */
+export function buildDistributionRows(result, countryCode, year, survey = result.originalDist) {
+    const adjustedDist = result.adjusted ? result.adjustedDist : [];
     const rows = [];
 
     // First, add all original survey distribution points
-    result.originalDist.forEach((d, idx) => {
+    survey.forEach((d, idx) => {
         // Find corresponding adjusted point (rescaled original)
-        const adjPoint = result.adjustedDist.find(a =>
+        const adjPoint = adjustedDist.find(a =>
             !a.isPareto && a.originalP !== undefined && Math.abs(a.originalP - d.p) < 0.0001
         );
 
@@ -43,93 +118,97 @@ export function exportDistributionCSV(result, countryCode, year) {
             countryCode,
             year,
             idx + 1,
-            d.p.toFixed(6),
-            d.l.toFixed(6),
-            d.w !== undefined ? d.w.toFixed(2) : '',
-            adjPoint ? adjPoint.p.toFixed(6) : '',
-            adjPoint ? adjPoint.l.toFixed(6) : '',
+            d.p,
+            d.l,
+            d.w ?? null,
+            adjPoint ? adjPoint.p : null,
+            adjPoint ? adjPoint.l : null,
             0
         ]);
     });
 
-    // Then add Pareto tail points (new observations)
-    const paretoPoints = result.adjustedDist.filter(d => d.isPareto);
-    paretoPoints.forEach((d, idx) => {
-        rows.push([
-            countryCode,
-            year,
-            result.originalDist.length + idx + 1,
-            '', // No survey p
-            '', // No survey l
-            '', // No survey welfare
-            d.p.toFixed(6),
-            d.l.toFixed(6),
-            1
-        ]);
-    });
-
-    // Create CSV string
-    let csv = headers.join(',') + '\n';
-    rows.forEach(row => {
-        csv += row.join(',') + '\n';
+    // Then add Pareto tail points (new observations), which have no survey values
+    adjustedDist.filter(d => d.isPareto).forEach((d, idx) => {
+        rows.push([countryCode, year, survey.length + idx + 1, null, null, null, d.p, d.l, 1]);
     });
 
-    // Download
-    downloadCSV(csv, `chandy_seidel_${countryCode}_${year}_distribution.csv`);
+    return rows;
 }
 
 /**
  * Export summary statistics as CSV
  *
- * @param {Object} result - Chandy-Seidel adjustment result
+ * @param {Object} result - Chandy-Seidel adjustment result, tagged with
+ *                          nasSource and nasLabel (see summarizeCountryYear)
  * @param {Object} ginis - Object with surveyGini and adjustedGini
  * @param {string} countryCode - Country code
  * @param {number} year - Year
+ * @param {Array} poverty - Optional output of comparePoverty(), adds FGT columns per line
  */
-export function exportSummaryCSV(result, ginis, countryCode, year) {
-    const headers = [
-        'country',
-        'year',
-        'survey_mean',
-        'nas_mean',
-        'adjusted_mean',
-        'gap_percent',
-        'gap_share_used',
-        'pareto_alpha',
-        'survey_pct',
-        'pareto_bins_added',
-        'gini_survey',
-        'gini_adjusted',
-        'gini_change',
-        'gini_change_percent'
-    ];
-
-    const surveyGini = ginis?.surveyGini || null;
-    const adjustedGini = ginis?.adjustedGini || null;
-    const giniChange = (surveyGini && adjustedGini) ? adjustedGini - surveyGini : null;
-    const giniChangePct = (surveyGini && giniChange) ? (giniChange / surveyGini) * 100 : null;
-
-    const row = [
+export function exportSummaryCSV(result, ginis, countryCode, year, poverty = null) {
+    const csv = buildSummaryCSV(result, ginis, countryCode, year, poverty);
+    downloadCSV(csv, `chandy_seidel_${countryCode}_${year}_summary.csv`);
+}
+
+/**
+ * Build the summary CSV content (header and one row)
+ *
+ * @param {Object} result - Adjustment result, tagged with nasSource and nasLabel
+ * @param {Object} ginis - Object with surveyGini and adjustedGini
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ * @param {Array} poverty - Optional output of comparePoverty()
+ * @returns {string} CSV content
+ */
+export function buildSummaryCSV(result, ginis, countryCode, year, poverty = null) {
+    const fields = buildSummaryFields(result, ginis, countryCode, year, poverty);
+
+    let csv = fields.map(f => f.key).join(',') + '\n';
+    csv += fields.map(f => formatCell(f.value, f)).join(',') + '\n';
+
+    return csv;
+}
+
+/**
+ * Build the fields of the summary exports for one country-year
+ *
+ * Shared by the summary CSVs and the workbook's Summary sheet. Values are
+ * left unformatted, null where missing; poverty adds FGT0/1/2 fields on the
+ * survey and adjusted distribution per line.
+ *
+ * @param {Object} result - Adjustment result, tagged with nasSource and nasLabel
+ * @param {Object} ginis - Object with surveyGini and adjustedGini
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ * @param {Array} poverty - Optional output of comparePoverty()
+ * @returns {Array} Array of {key, value, decimals, text}
+ */
+export function buildSummaryFields(result, ginis, countryCode, year, poverty = null) {
+    const source = {
         countryCode,
         year,
-        result.surveyMean?.toFixed(4) || '',
-        result.nasMean?.toFixed(4) || '',
-        result.adjustedMean?.toFixed(4) || '',
-        result.gapPercent?.toFixed(2) || '',
-        result.gapShare?.toFixed(2) || '',
-        result.alpha?.toFixed(4) || '',
-        result.surveyPct?.toFixed(4) || '',
-        result.paretoTailBins || 0,
-        surveyGini?.toFixed(4) || '',
-        adjustedGini?.toFixed(4) || '',
-        giniChange?.toFixed(4) || '',
-        giniChangePct?.toFixed(2) || ''
-    ];
+        result,
+        ginis: { surveyGini: ginis?.surveyGini ?? null, adjustedGini: ginis?.adjustedGini ?? null },
+        dec: decomposeGiniChange(result)
+    };
 
-    let csv = headers.join(',') + '\n';
-    csv += row.join(',') + '\n';
+    const fields = SUMMARY_COLUMNS.map(({ key, value, decimals, text }) => ({
+        key,
+        value: value(source) ?? null,
+        decimals,
+        text
+    }));
 
-    downloadCSV(csv, `chandy_seidel_${countryCode}_${year}_summary.csv`);
+    if (poverty) {
+        const values = poverty.flatMap(({ survey, adjusted }) =>
+            ['headcount', 'gap', 'severity'].flatMap(key => [survey?.[key] ?? null, adjusted?.[key] ?? null])
+        );
+        povertyHeaders(poverty.map(d => d.line)).forEach((key, i) => {
+            fields.push({ key, value: values[i], decimals: 6 });
+        });
+    }
+
+    return fields;
 }
 
 /**
@@ -138,53 +217,44 @@ export function exportSummaryCSV(result, ginis, countryCode, year) {
  * @param {Array} results - Array of {countryCode, year, result, ginis}
  */
 export function exportMultipleSummaryCSV(results) {
-    const headers = [
-        'country',
-        'year',
-        'survey_mean',
-        'nas_mean',
-        'adjusted_mean',
-        'gap_percent',
-        'gap_share_used',
-        'pareto_alpha',
-        'survey_pct',
-        'pareto_bins_added',
-        'gini_survey',
-        'gini_adjusted',
-        'gini_change',
-        'gini_change_percent'
-    ];
+    const csv = buildMultipleSummaryCSV(results);
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadCSV(csv, `chandy_seidel_summary_${timestamp}.csv`);
+}
+
+/**
+ * Build the combined summary CSV content for multiple country-years
+ *
+ * Rows carrying poverty results (see summarizeCountryYear) add FGT columns
+ * for the lines of the first such row.
+ *
+ * @param {Array} results - Array of {countryCode, year, result, ginis, poverty}
+ * @returns {string} CSV content
+ */
+export function buildMultipleSummaryCSV(results) {
+    const povertyLines = results.find(r => r.poverty)?.poverty.map(d => d.line) || null;
+    const blankPoverty = povertyLines ? povertyLines.map(line => ({ line })) : null;
+
+    const headers = [...SUMMARY_COLUMNS.map(c => c.key), 'note'];
+    if (povertyLines) {
+        headers.push(...povertyHeaders(povertyLines));
+    }
 
     let csv = headers.join(',') + '\n';
 
-    results.forEach(({ countryCode, year, result, ginis }) => {
-        const surveyGini = ginis?.surveyGini || null;
-        const adjustedGini = ginis?.adjustedGini || null;
-        const giniChange = (surveyGini && adjustedGini) ? adjustedGini - surveyGini : null;
-        const giniChangePct = (surveyGini && giniChange) ? (giniChange / surveyGini) * 100 : null;
+    results.forEach(({ countryCode, year, result, ginis, poverty }) => {
+        const fields = buildSummaryFields(result, ginis, countryCode, year, blankPoverty && (poverty || blankPoverty));
+        const row = fields.map(f => formatCell(f.value, f));
 
-        const row = [
-            countryCode,
-            year,
-            result.surveyMean?.toFixed(4) || '',
-            result.nasMean?.toFixed(4) || '',
-            result.adjustedMean?.toFixed(4) || '',
-            result.gapPercent?.toFixed(2) || '',
-            result.gapShare?.toFixed(2) || '',
-            result.alpha?.toFixed(4) || '',
-            result.surveyPct?.toFixed(4) || '',
-            result.paretoTailBins || 0,
-            surveyGini?.toFixed(4) || '',
-            adjustedGini?.toFixed(4) || '',
-            giniChange?.toFixed(4) || '',
-            giniChangePct?.toFixed(2) || ''
-        ];
+        // The note goes between the summary and the poverty columns
+        row.splice(SUMMARY_COLUMNS.length, 0,
+            result.adjusted ? '' : `"${(result.reason || '').replace(/"/g, '""')}"`);
 
         csv += row.join(',') + '\n';
     });
 
-    const timestamp = new Date().toISOString().slice(0, 10);
-    downloadCSV(csv, `chandy_seidel_summary_${timestamp}.csv`);
+    return csv;
 }
 
 /**
@@ -195,6 +265,16 @@ export function exportMultipleSummaryCSV(results) {
  * @param {number} year - Year
  */
 export function exportLorenzCSV(data, countryCode, year) {
+    downloadCSV(buildLorenzCSV(data), `lorenz_curves_${countryCode}_${year}.csv`);
+}
+
+/**
+ * Build the Lorenz curve CSV content
+ *
+ * @param {Object} data - Contains surveyLorenz and adjustedLorenz
+ * @returns {string} CSV content, one row per p of either curve
+ */
+export function buildLorenzCSV(data) {
     const headers = ['p', 'l_survey', 'l_adjusted', 'l_equality'];
 
     // Create unified p values
@@ -232,7 +312,253 @@ export function exportLorenzCSV(data, countryCode, year) {
         ].join(',') + '\n';
     });
 
-    downloadCSV(csv, `lorenz_curves_${countryCode}_${year}.csv`);
+    return csv;
+}
+
+/**
+ * Export income shares by decile and top group, survey vs. adjusted
+ *
+ * @param {Array} surveyLorenz - Survey Lorenz curve
+ * @param {Object} result - Adjustment result (adjusted columns are blank if not adjusted)
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ */
+export function exportGroupSharesCSV(surveyLorenz, result, countryCode, year) {
+    const csv = buildGroupSharesCSV(surveyLorenz, result, countryCode, year);
+    downloadCSV(csv, `chandy_seidel_${countryCode}_${year}_shares.csv`);
+}
+
+/**
+ * Build the income shares CSV content
+ *
+ * @param {Array} surveyLorenz - Survey Lorenz curve
+ * @param {Object} result - Adjustment result
+ * @param {string} countryCode - Country code
+ * @param {number} year - Year
+ * @returns {string} CSV content, one row per group from calculateGroupShares()
+ */
+export function buildGroupSharesCSV(surveyLorenz, result, countryCode, year) {
+    const headers = ['country', 'year', 'group', 'p_low', 'p_high', 'share_survey', 'share_adjusted', 'share_change'];
+
+    const survey = calculateGroupShares(surveyLorenz) || [];
+    const adjusted = result?.adjusted ? calculateGroupShares(result.adjustedDist) : null;
+
+    let csv = headers.join(',') + '\n';
+    survey.forEach((group, i) => {
+        const adjustedShare = adjusted ? adjusted[i].share : null;
+
+        csv += [
+            countryCode,
+            year,
+            group.label,
+            group.pLow.toFixed(3),
+            group.pHigh.toFixed(3),
+            group.share.toFixed(6),
+            adjustedShare?.toFixed(6) ?? '',
+            adjustedShare !== null ? (adjustedShare - group.share).toFixed(6) : ''
+        ].join(',') + '\n';
+    });
+
+    return csv;
+}
+
+/**
+ * Export the data validation report
+ *
+ * @param {Array} rows - Array of {countryCode, year, issues} (see runValidationReport)
+ */
+export function exportValidationCSV(rows) {
+    const csv = buildValidationCSV(rows);
+
+    const timestamp = new Date().toISOString().slice(0, 10);
+    downloadCSV(csv, `chandy_seidel_validation_${timestamp}.csv`);
+}
+
+/**
+ * Build the validation report CSV content
+ *
+ * One row per issue; country-years without issues get a single row with
+ * severity "ok" so the report lists everything that was checked.
+ *
+ * @param {Array} rows - Array of {countryCode, year, issues}
+ * @returns {string} CSV content
+ */
+export function buildValidationCSV(rows) {
+    const headers = ['country', 'year', 'severity', 'code', 'row', 'message'];
+
+    let csv = headers.join(',') + '\n';
+    rows.forEach(({ countryCode, year, issues }) => {
+        if (issues.length === 0) {
+            csv += [countryCode, year, 'ok', '', '', ''].join(',') + '\n';
+            return;
+        }
+
+        issues.forEach(issue => {
+            csv += [
+                countryCode,
+                year,
+                issue.severity,
+                issue.code,
+                issue.row ?? '',
+                csvText(issue.message)
+            ].join(',') + '\n';
+        });
+    });
+
+    return csv;
+}
+
+/**
+ * Export sheets as an Excel workbook
+ *
+ * Uses SheetJS, loaded from its CDN as the global XLSX.
+ *
+ * @param {Array} sheets - Output of buildWorkbookSheets()
+ * @param {string} filename - Filename for download
+ * @returns {boolean} False if SheetJS did not load
+ */
+export function exportWorkbook(sheets, filename) {
+    if (typeof XLSX === 'undefined') {
+        return false;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    sheets.forEach(({ name, rows, widths }) => {
+        const sheet = XLSX.utils.aoa_to_sheet(rows);
+        if (widths) {
+            sheet['!cols'] = widths.map(wch => ({ wch }));
+        }
+        XLSX.utils.book_append_sheet(workbook, sheet, name);
+    });
+
+    XLSX.writeFile(workbook, filename);
+    return true;
+}
+
+/**
+ * Export a CSV together with the script that reads it
+ *
+ * @param {string} csv - CSV content
+ * @param {string} script - Stata or R script (see replication.js)
+ * @param {string} fileBase - File name without extension, shared by both files
+ * @param {string} extension - Script extension ('do' or 'R')
+ */
+export function exportCSVWithScript(csv, script, fileBase, extension) {
+    downloadCSV(csv, `${fileBase}.csv`);
+    downloadBlob(new Blob([script], { type: 'text/plain;charset=utf-8;' }), `${fileBase}.${extension}`);
+}
+
+/**
+ * Export a figure as an SVG file
+ *
+ * @param {SVGSVGElement} figure - Output of buildFigureSVG()
+ * @param {string} filename - File name without extension
+ */
+export function exportFigureSVG(figure, filename) {
+    const blob = new Blob([serializeFigure(figure)], { type: 'image/svg+xml;charset=utf-8' });
+    downloadBlob(blob, `${filename}.svg`);
+}
+
+/**
+ * Export a figure as a PNG file at the given resolution
+ *
+ * The SVG is drawn onto a canvas of width x dpi by height x dpi pixels, so
+ * the vector curves are rasterized at the final size rather than scaled up.
+ *
+ * @param {SVGSVGElement} figure - Output of buildFigureSVG()
+ * @param {string} filename - File name without extension
+ * @param {number} dpi - Dots per inch (e.g. 300 for print)
+ * @returns {Promise<void>} Resolves once the download has started
+ */
+export async function exportFigurePNG(figure, filename, dpi = 300) {
+    const [, , widthPx, heightPx] = figure.getAttribute('viewBox').split(' ').map(Number);
+    const scale = dpi / PX_PER_INCH;
+
+    const url = URL.createObjectURL(new Blob([serializeFigure(figure)], { type: 'image/svg+xml;charset=utf-8' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(widthPx * scale);
+        canvas.height = Math.round(heightPx * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!blob) {
+            throw new Error('The browser could not encode the PNG');
+        }
+        downloadBlob(blob, `${filename}.png`);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Open a figure alone on a page of its own size and print it
+ *
+ * The page size is set with @page so "Save as PDF" in the print dialog
+ * gives a vector PDF of exactly the figure size.
+ *
+ * @param {SVGSVGElement} figure - Output of buildFigureSVG()
+ * @param {string} title - Document title (default file name of a saved PDF)
+ * @returns {boolean} False if the print window was blocked
+ */
+export function printFigure(figure, title) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        return false;
+    }
+
+    const width = figure.getAttribute('width');
+    const height = figure.getAttribute('height');
+    const escapedTitle = String(title).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+    printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapedTitle}</title>
+<style>
+    @page { size: ${width} ${height}; margin: 0; }
+    html, body { margin: 0; padding: 0; }
+    svg { display: block; width: ${width}; height: ${height}; }
+</style>
+</head>
+<body>${new XMLSerializer().serializeToString(figure)}</body>
+</html>`);
+    printWindow.document.close();
+
+    printWindow.focus();
+    printWindow.print();
+    return true;
+}
+
+/**
+ * Change from the survey to the adjusted Gini (null if either is missing)
+ */
+function giniChange({ surveyGini, adjustedGini }) {
+    return surveyGini !== null && adjustedGini !== null ? adjustedGini - surveyGini : null;
+}
+
+/**
+ * Gini change in percent of the survey Gini (null if either is missing)
+ */
+function giniChangePercent(ginis) {
+    const change = giniChange(ginis);
+    return change !== null && ginis.surveyGini ? (change / ginis.surveyGini) * 100 : null;
+}
+
+/**
+ * Quote a free-text CSV field (blank if missing)
+ */
+function csvText(value) {
+    return value ? `"${String(value).replace(/"/g, '""')}"` : '';
 }
 
 /**
@@ -242,7 +568,16 @@ export function exportLorenzCSV(data, countryCode, year) {
  * @param {string} filename - Filename for download
  */
 function downloadCSV(content, filename) {
-    const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+    downloadBlob(new Blob([content], { type: 'text/csv;charset=utf-8;' }), filename);
+}
+
+/**
+ * Trigger a download of a Blob
+ *
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Filename for download
+ */
+function downloadBlob(blob, filename) {
     const url = URL.createObjectURL(blob);
 
     const link = document.createElement('a');
@@ -258,6 +593,32 @@ function downloadCSV(content, filename) {
     URL.revokeObjectURL(url);
 }
 
+/**
+ * Poverty column names: FGT0/1/2 on the survey and adjusted distribution per line
+ */
+function povertyHeaders(lines) {
+    return lines.flatMap(line => {
+        const suffix = line.toFixed(2);
+        return ['fgt0', 'fgt1', 'fgt2'].flatMap(measure => [
+            `${measure}_survey_${suffix}`,
+            `${measure}_adjusted_${suffix}`
+        ]);
+    });
+}
+
+/**
+ * Format a value for CSV: numbers to the column's decimals, text quoted, blanks for null
+ */
+function formatCell(value, { decimals, text }) {
+    if (decimals !== undefined) {
+        return formatForCSV(value, decimals);
+    }
+    if (text) {
+        return csvText(value);
+    }
+    return value ?? '';
+}
+
 /**
  * Format number for CSV (handle null/undefined)
  */
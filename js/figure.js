@@ -0,0 +1,235 @@
+/**
+ * figure.js - Publication figures of the Lorenz chart
+ *
+ * Draws the current curves into an off-screen LorenzChart at a fixed size in
+ * inches, adds a title, a legend and Gini annotations, and returns a
+ * standalone SVG: computed styles are copied onto the elements as
+ * attributes, so the file renders the same outside the page. export.js
+ * writes it out as SVG, PNG or a print layout.
+ */
+
+import { LorenzChart } from './chart.js';
+
+// Preset figure sizes in inches
+export const FIGURE_SIZES = [
+    { id: 'single', label: 'Single column (3.5 × 3 in)', width: 3.5, height: 3 },
+    { id: 'double', label: 'Double column (7 × 4.5 in)', width: 7, height: 4.5 },
+    { id: 'square', label: 'Square (5 × 5 in)', width: 5, height: 5 },
+    { id: 'slide', label: 'Slide (10 × 5.63 in)', width: 10, height: 5.63 }
+];
+
+// SVG user units (CSS pixels) per inch
+export const PX_PER_INCH = 96;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Fonts every viewer has, so text stays text in vector editors
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+
+// Computed style properties written onto shapes and text
+const SHAPE_STYLES = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-opacity', 'opacity'];
+const TEXT_STYLES = ['fill', 'font-size', 'font-weight', 'text-anchor'];
+
+// Space for the title above the chart
+const TITLE_HEIGHT = 28;
+
+// Line height of legend and annotation rows
+const ROW_HEIGHT = 14;
+
+/**
+ * Build a standalone SVG of the Lorenz chart
+ *
+ * @param {Object} data - Curves as passed to LorenzChart.update() ({surveyLorenz,
+ *                        adjustedLorenz, paretoPoints, referenceLorenz, pinned, band})
+ * @param {Object} options - {width, height} in inches, title (omitted if empty),
+ *                           legend (boolean), annotations (lines of text such as
+ *                           the Gini coefficients, drawn under the legend)
+ * @returns {SVGSVGElement} Detached SVG element
+ */
+export function buildFigureSVG(data, options) {
+    const { width, height, title = '', legend = true, annotations = [] } = options;
+    const widthPx = Math.round(width * PX_PER_INCH);
+    const heightPx = Math.round(height * PX_PER_INCH);
+    const titleHeight = title ? TITLE_HEIGHT : 0;
+
+    // The chart measures its container, so draw it in a sized off-screen one
+    const host = document.createElement('div');
+    host.id = `figure-host-${Date.now()}`;
+    Object.assign(host.style, {
+        position: 'fixed',
+        left: '-10000px',
+        top: '0',
+        width: `${widthPx}px`,
+        height: `${heightPx - titleHeight}px`
+    });
+    document.body.appendChild(host);
+
+    try {
+        const chart = new LorenzChart(host.id, { showTooltip: false, animationDuration: 0 });
+        chart.update(data);
+        inlineStyles(chart.svg.node());
+
+        const figure = document.createElementNS(SVG_NS, 'svg');
+        setAttributes(figure, {
+            width: `${width}in`,
+            height: `${height}in`,
+            viewBox: `0 0 ${widthPx} ${heightPx}`,
+            'font-family': FONT_FAMILY
+        });
+
+        figure.appendChild(createElement('rect', { width: widthPx, height: heightPx, fill: '#ffffff' }));
+
+        if (title) {
+            const text = createElement('text', {
+                x: widthPx / 2,
+                y: 18,
+                'text-anchor': 'middle',
+                'font-size': 14,
+                'font-weight': 600,
+                fill: '#111827'
+            });
+            text.textContent = title;
+            figure.appendChild(text);
+        }
+
+        const body = createElement('g', { transform: `translate(0, ${titleHeight})` });
+        body.append(...chart.svg.node().childNodes);
+        figure.appendChild(body);
+
+        // Legend and annotations in the empty upper-left corner of the plot
+        const { margin } = chart.options;
+        const notes = createElement('g', {
+            transform: `translate(${margin.left + 10}, ${titleHeight + margin.top + 12})`,
+            'font-size': 10,
+            fill: '#374151'
+        });
+        const items = legend ? legendItems(data, chart.options.colors) : [];
+        items.forEach((item, i) => notes.appendChild(legendRow(item, i * ROW_HEIGHT)));
+        annotations.forEach((line, i) => {
+            const text = createElement('text', { x: 0, y: (items.length + i) * ROW_HEIGHT + 3 });
+            text.textContent = line;
+            notes.appendChild(text);
+        });
+        figure.appendChild(notes);
+
+        return figure;
+    } finally {
+        host.remove();
+    }
+}
+
+/**
+ * Serialize a figure to an SVG file's contents
+ *
+ * @param {SVGSVGElement} figure - Output of buildFigureSVG()
+ * @returns {string} SVG document
+ */
+export function serializeFigure(figure) {
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(figure);
+}
+
+/**
+ * Legend entries for the curves in the figure
+ *
+ * @param {Object} data - Curves as passed to buildFigureSVG()
+ * @param {Object} colors - Chart colors ({survey, adjusted, paretoPoints, reference})
+ * @returns {Array} Entries of {label, color} in drawing order; isBand, isPoint
+ *                  and dashed pick the swatch
+ */
+export function legendItems(data, colors) {
+    const items = [{ label: 'Survey', color: colors.survey }];
+
+    if (data.adjustedLorenz) {
+        items.push({ label: 'Adjusted', color: colors.adjusted });
+    }
+    if (data.band) {
+        items.push({ label: 'Uncertainty band', color: colors.adjusted, isBand: true });
+    }
+    if (data.paretoPoints?.length) {
+        items.push({ label: 'Pareto tail bins', color: colors.paretoPoints, isPoint: true });
+    }
+    if (data.referenceLorenz) {
+        items.push({ label: 'Stata tail', color: colors.reference, dashed: true });
+    }
+    (data.pinned || []).forEach(pin => items.push({ label: pin.label, color: pin.color }));
+
+    return items;
+}
+
+/**
+ * One legend row: a swatch and its label, with the text baseline at y + 3
+ */
+function legendRow(item, y) {
+    const row = createElement('g', { transform: `translate(0, ${y})` });
+
+    if (item.isBand) {
+        row.appendChild(createElement('rect', { x: 0, y: -4, width: 18, height: 8, fill: item.color, 'fill-opacity': 0.15 }));
+    } else if (item.isPoint) {
+        row.appendChild(createElement('circle', { cx: 9, cy: 0, r: 3, fill: item.color }));
+    } else {
+        row.appendChild(createElement('line', {
+            x1: 0,
+            x2: 18,
+            y1: 0,
+            y2: 0,
+            stroke: item.color,
+            'stroke-width': 2,
+            'stroke-dasharray': item.dashed ? '2,3' : null
+        }));
+    }
+
+    const text = createElement('text', { x: 24, y: 3 });
+    text.textContent = item.label;
+    row.appendChild(text);
+
+    return row;
+}
+
+/**
+ * Copy computed styles onto the chart's elements and fix the font
+ *
+ * Must run while the chart is attached to the document.
+ */
+function inlineStyles(svg) {
+    svg.querySelectorAll('*').forEach(el => {
+        if (el.tagName === 'g') return;
+
+        const computed = window.getComputedStyle(el);
+        (el.tagName === 'text' ? TEXT_STYLES : SHAPE_STYLES).forEach(prop => {
+            const value = computed.getPropertyValue(prop);
+            const attribute = el.getAttribute(prop);
+            if (value && (attribute === null || attribute === 'currentColor')) {
+                el.setAttribute(prop, value);
+            }
+        });
+
+        if (el.tagName === 'text') {
+            el.setAttribute('font-family', FONT_FAMILY);
+        }
+        el.removeAttribute('class');
+    });
+
+    svg.querySelectorAll('g').forEach(g => {
+        g.removeAttribute('font-family');
+        g.removeAttribute('class');
+    });
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function createElement(tag, attributes) {
+    return setAttributes(document.createElementNS(SVG_NS, tag), attributes);
+}
+
+/**
+ * Set attributes on an element, skipping null values
+ */
+function setAttributes(el, attributes) {
+    Object.entries(attributes).forEach(([name, value]) => {
+        if (value !== null && value !== undefined) {
+            el.setAttribute(name, value);
+        }
+    });
+    return el;
+}
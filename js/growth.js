@@ -0,0 +1,115 @@
+/**
+ * growth.js - Growth incidence curves between two years
+ *
+ * The growth incidence curve gives the annualized growth of welfare at each
+ * percentile, reading welfare off the Lorenz curve and the mean (see
+ * relativeIncomeAt). Computed for the survey distributions and for the
+ * adjusted ones, it shows whether adding the missing top incomes changes
+ * whether growth was pro-poor.
+ */
+
+import { runMethod } from './methods.js';
+import { getNasMean } from './data-loader.js';
+import { interpolateLorenz, relativeIncomeAt } from './lorenz.js';
+
+// Percentiles 1..99; the extremes depend too much on the first and last bin
+export const GIC_PERCENTILES = Array.from({ length: 99 }, (_, i) => (i + 1) / 100);
+
+/**
+ * Growth incidence curve between two distributions
+ *
+ * @param {Object} start - {lorenz, mean} in the start year
+ * @param {Object} end - {lorenz, mean} in the end year
+ * @param {number} years - Years between the two (> 0)
+ * @param {Array<number>} percentiles - Population shares to evaluate
+ * @returns {Object|null} {points: [{p, growth}], meanGrowth, medianGrowth,
+ *                         bottom40Growth, proPoor}, growth rates annualized
+ *                         (0.02 = 2% a year); null for invalid input
+ */
+export function calculateGrowthIncidence(start, end, years, percentiles = GIC_PERCENTILES) {
+    if (!start?.lorenz || !end?.lorenz || !(start.mean > 0) || !(end.mean > 0) || !(years > 0)) {
+        return null;
+    }
+
+    const welfareAt = (dist, p) => dist.mean * relativeIncomeAt(dist.lorenz, p);
+    const bottom40 = dist => dist.mean * interpolateLorenz(sortByP(dist.lorenz), 0.4) / 0.4;
+
+    const points = percentiles.map(p => ({
+        p,
+        growth: annualize(welfareAt(end, p) / welfareAt(start, p), years)
+    }));
+
+    const meanGrowth = annualize(end.mean / start.mean, years);
+    const bottom40Growth = annualize(bottom40(end) / bottom40(start), years);
+
+    return {
+        points,
+        meanGrowth,
+        medianGrowth: annualize(welfareAt(end, 0.5) / welfareAt(start, 0.5), years),
+        bottom40Growth,
+        proPoor: bottom40Growth !== null && meanGrowth !== null ? bottom40Growth > meanGrowth : null
+    };
+}
+
+/**
+ * Survey and adjusted growth incidence curves for two country-years
+ *
+ * Both years are adjusted with the same parameters. The adjusted curve is
+ * null if either year cannot be adjusted.
+ *
+ * @param {Object} start - {year, distData, nasData} for the start year
+ * @param {Object} end - {year, distData, nasData} for the end year
+ * @param {Object} params - {gapShare, nasSource, customNas, topDecileCutoff, method}
+ * @returns {Object} {years, survey, adjusted, reason}, survey and adjusted
+ *                   being calculateGrowthIncidence() results
+ */
+export function compareGrowthIncidence(start, end, params = {}) {
+    const { gapShare = 0.5, nasSource = 'hfce', customNas = null, topDecileCutoff = 0.9, method } = params;
+    const years = end.year - start.year;
+
+    const survey = calculateGrowthIncidence(
+        { lorenz: start.distData.distribution, mean: start.distData.surveyMean },
+        { lorenz: end.distData.distribution, mean: end.distData.surveyMean },
+        years
+    );
+
+    const adjust = ({ distData, nasData }) => runMethod(
+        method,
+        distData.distribution,
+        distData.surveyMean,
+        getNasMean(nasData, nasSource, customNas, distData.surveyMean),
+        gapShare,
+        topDecileCutoff
+    );
+    const results = [adjust(start), adjust(end)];
+    const failed = results.findIndex(r => !r.adjusted);
+
+    const adjusted = failed < 0
+        ? calculateGrowthIncidence(
+            { lorenz: results[0].adjustedDist, mean: results[0].adjustedMean },
+            { lorenz: results[1].adjustedDist, mean: results[1].adjustedMean },
+            years
+        )
+        : null;
+
+    return {
+        years,
+        survey,
+        adjusted,
+        reason: failed < 0 ? null : `${[start, end][failed].year}: ${results[failed].reason}`
+    };
+}
+
+/**
+ * Annual growth rate from a growth factor over several years
+ */
+function annualize(ratio, years) {
+    return ratio > 0 && isFinite(ratio) ? Math.pow(ratio, 1 / years) - 1 : null;
+}
+
+/**
+ * Copy of a Lorenz curve sorted by p, as interpolateLorenz() expects
+ */
+function sortByP(lorenz) {
+    return [...lorenz].sort((a, b) => a.p - b.p);
+}
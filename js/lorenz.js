@@ -5,6 +5,10 @@
  * as Lorenz curves (cumulative population share vs cumulative income share).
  */
 
+// Parameters reported by calculateStatistics()
+export const GE_THETAS = [-1, 0, 1, 2];
+export const ATKINSON_EPSILONS = [0.5, 1, 2];
+
 /**
  * Calculate Gini coefficient from Lorenz curve using trapezoidal rule
  *
@@ -116,10 +120,66 @@ export function calculateIncomeShares(lorenz, numGroups = 10) {
     return shares;
 }
 
+// Top groups reported next to the deciles, as population fractions
+export const TOP_GROUPS = [0.05, 0.01, 0.001];
+
+/**
+ * Income shares of each decile and of the top groups
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @returns {Array|null} Array of {key, label, pLow, pHigh, share}: D1..D10
+ *                       followed by one entry per TOP_GROUPS fraction
+ */
+export function calculateGroupShares(lorenz) {
+    const deciles = calculateIncomeShares(lorenz, 10);
+    if (!deciles) return null;
+
+    const groups = deciles.map(d => ({
+        key: `d${d.group}`,
+        label: `D${d.group}`,
+        pLow: d.pLow,
+        pHigh: d.pHigh,
+        share: d.share
+    }));
+
+    TOP_GROUPS.forEach(fraction => {
+        const pct = +(fraction * 100).toFixed(1);
+        groups.push({
+            key: `top${String(pct).replace('.', '_')}`,
+            label: `Top ${pct}%`,
+            pLow: 1 - fraction,
+            pHigh: 1,
+            share: calculateTopShare(lorenz, fraction)
+        });
+    });
+
+    return groups;
+}
+
+/**
+ * Calculate the income share of the top fraction of the population
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} topFraction - Size of the top group (0.1 for the top 10%)
+ * @returns {number} Income share of the top group
+ */
+export function calculateTopShare(lorenz, topFraction = 0.1) {
+    if (!lorenz || lorenz.length < 2) {
+        return null;
+    }
+
+    const data = [...lorenz].sort((a, b) => a.p - b.p);
+    return 1 - interpolateLorenz(data, 1 - topFraction);
+}
+
 /**
  * Interpolate L value at a given p using linear interpolation
+ *
+ * @param {Array} lorenz - Array of {p, l} objects, sorted by p
+ * @param {number} p - Cumulative population share
+ * @returns {number} Cumulative income share at p
  */
-function interpolateLorenz(lorenz, p) {
+export function interpolateLorenz(lorenz, p) {
     if (p <= 0) return 0;
     if (p >= 1) return 1;
 
@@ -143,11 +203,163 @@ function interpolateLorenz(lorenz, p) {
     return l1 + t * (l2 - l1);
 }
 
+/**
+ * Split a Lorenz curve into bins with their relative incomes
+ *
+ * A bin between two points holds population share width = dp and has
+ * relative income (bin mean / overall mean) dl / dp. Zero-width segments
+ * are skipped.
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @returns {Array} Array of {p, width, relIncome}, p being the bin midpoint
+ */
+export function getBinIncomes(lorenz) {
+    if (!lorenz || lorenz.length < 2) {
+        return [];
+    }
+
+    const data = [...lorenz].sort((a, b) => a.p - b.p);
+    if (data[0].p > 0) {
+        data.unshift({ p: 0, l: 0 });
+    }
+
+    const bins = [];
+    for (let i = 1; i < data.length; i++) {
+        const width = data[i].p - data[i-1].p;
+        if (width > 0) {
+            bins.push({
+                p: (data[i].p + data[i-1].p) / 2,
+                width,
+                relIncome: (data[i].l - data[i-1].l) / width
+            });
+        }
+    }
+
+    return bins;
+}
+
+/**
+ * Relative income (income / mean) at a population percentile
+ *
+ * Interpolates linearly between bin midpoints and holds the first and last
+ * bin values beyond them.
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} p - Cumulative population share
+ * @returns {number|null} Relative income at p
+ */
+export function relativeIncomeAt(lorenz, p) {
+    const bins = getBinIncomes(lorenz);
+    if (bins.length === 0) return null;
+
+    if (p <= bins[0].p) return bins[0].relIncome;
+    if (p >= bins[bins.length - 1].p) return bins[bins.length - 1].relIncome;
+
+    let i = 0;
+    while (i < bins.length - 1 && bins[i + 1].p < p) {
+        i++;
+    }
+
+    const t = (p - bins[i].p) / (bins[i + 1].p - bins[i].p);
+    return bins[i].relIncome + t * (bins[i + 1].relIncome - bins[i].relIncome);
+}
+
+/**
+ * Quantile function (Pen's parade) of a distribution given as a Lorenz curve
+ *
+ * Welfare at p is mean * L'(p): each bin's average welfare is placed at its
+ * midpoint. This works for the adjusted distribution, whose Pareto tail has
+ * no welfare values of its own, and treats the survey bins the same way so
+ * both curves are comparable.
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} mean - Mean welfare ($/day)
+ * @returns {Array} Array of {p, welfare}, sorted by p
+ */
+export function calculateQuantileFunction(lorenz, mean) {
+    if (!(mean > 0)) return [];
+
+    return getBinIncomes(lorenz).map(bin => ({ p: bin.p, welfare: mean * bin.relIncome }));
+}
+
+/**
+ * Calculate the generalized entropy index GE(theta) from grouped data
+ *
+ *   GE(theta) = 1 / (theta (theta - 1)) * sum f_i (r_i^theta - 1)
+ *
+ * with f_i the population share and r_i the relative income of each bin.
+ * GE(0) is the mean log deviation and GE(1) the Theil T index.
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} theta - Sensitivity parameter (lower = more weight on the bottom)
+ * @returns {number|null} GE(theta), or null if a bin with zero income makes it undefined
+ */
+export function calculateGeneralizedEntropy(lorenz, theta) {
+    const bins = getBinIncomes(lorenz);
+    if (bins.length === 0) return null;
+
+    const hasZero = bins.some(b => b.relIncome <= 0);
+
+    if (theta === 0) {
+        if (hasZero) return null;
+        return -bins.reduce((sum, b) => sum + b.width * Math.log(b.relIncome), 0);
+    }
+
+    if (theta === 1) {
+        return bins.reduce((sum, b) => sum + (b.relIncome > 0 ? b.width * b.relIncome * Math.log(b.relIncome) : 0), 0);
+    }
+
+    if (theta < 0 && hasZero) return null;
+
+    const total = bins.reduce((sum, b) => sum + b.width * Math.pow(b.relIncome, theta), 0);
+    return (total - 1) / (theta * (theta - 1));
+}
+
+/**
+ * Calculate the Atkinson index A(epsilon) from grouped data
+ *
+ *   A(epsilon) = 1 - (sum f_i r_i^(1 - epsilon))^(1 / (1 - epsilon)),
+ *   A(1) = 1 - exp(sum f_i ln r_i)
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} epsilon - Inequality aversion (>= 0)
+ * @returns {number|null} A(epsilon), or null if a bin with zero income makes it undefined
+ */
+export function calculateAtkinson(lorenz, epsilon) {
+    const bins = getBinIncomes(lorenz);
+    if (bins.length === 0) return null;
+
+    const hasZero = bins.some(b => b.relIncome <= 0);
+    if (epsilon >= 1 && hasZero) return null;
+
+    if (epsilon === 1) {
+        return 1 - Math.exp(bins.reduce((sum, b) => sum + b.width * Math.log(b.relIncome), 0));
+    }
+
+    const total = bins.reduce((sum, b) => sum + b.width * Math.pow(b.relIncome, 1 - epsilon), 0);
+    return 1 - Math.pow(total, 1 / (1 - epsilon));
+}
+
+/**
+ * Ratio of incomes at two percentiles, e.g. 90/10
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} pHigh - Upper percentile (0.9 for P90)
+ * @param {number} pLow - Lower percentile (0.1 for P10)
+ * @returns {number|null} Income at pHigh / income at pLow
+ */
+export function calculatePercentileRatio(lorenz, pHigh, pLow) {
+    const high = relativeIncomeAt(lorenz, pHigh);
+    const low = relativeIncomeAt(lorenz, pLow);
+    return (high !== null && low > 0) ? high / low : null;
+}
+
 /**
  * Calculate key inequality statistics
  *
  * @param {Array} lorenz - Lorenz curve data
- * @returns {Object} Statistics including Gini, top/bottom shares
+ * @returns {Object} Statistics including Gini, top/bottom shares, entropy and
+ *                   Atkinson indices and percentile ratios
  */
 export function calculateStatistics(lorenz) {
     if (!lorenz || lorenz.length < 2) {
@@ -168,8 +380,11 @@ export function calculateStatistics(lorenz) {
     const bottom40 = deciles ? deciles.slice(0, 4).reduce((sum, d) => sum + d.share, 0) : null;
     const palma = (top10 && bottom40 && bottom40 > 0) ? top10 / bottom40 : null;
 
-    // 90/10 ratio: income at 90th percentile / income at 10th percentile
-    // (approximated from Lorenz curve)
+    // Percentile ratios: income at the upper percentile / income at the lower
+    // one, read off the Lorenz slope
+    const p90p10 = calculatePercentileRatio(lorenz, 0.9, 0.1);
+    const p90p50 = calculatePercentileRatio(lorenz, 0.9, 0.5);
+    const p50p10 = calculatePercentileRatio(lorenz, 0.5, 0.1);
 
     return {
         gini,
@@ -178,6 +393,13 @@ export function calculateStatistics(lorenz) {
         top10,
         top1,
         palma,
+        theil: calculateGeneralizedEntropy(lorenz, 1),
+        mld: calculateGeneralizedEntropy(lorenz, 0),
+        ge: GE_THETAS.map(theta => ({ theta, value: calculateGeneralizedEntropy(lorenz, theta) })),
+        atkinson: ATKINSON_EPSILONS.map(epsilon => ({ epsilon, value: calculateAtkinson(lorenz, epsilon) })),
+        p90p10,
+        p90p50,
+        p50p10,
         deciles,
         quintiles
     };
@@ -225,6 +447,113 @@ export function calculateAreaBetweenCurves(lorenz1, lorenz2) {
     return area;
 }
 
+// Evenly spaced p at which the gap and generalized Lorenz curves are sampled
+const CURVE_POINTS = 100;
+
+/**
+ * Difference between two Lorenz curves across the distribution
+ *
+ * Where the gap is positive, the first curve lies above the second (is more
+ * equal) at that p; a change of sign means the curves cross.
+ *
+ * @param {Array} lorenz1 - First Lorenz curve (typically survey)
+ * @param {Array} lorenz2 - Second Lorenz curve (typically adjusted)
+ * @param {number} numPoints - Number of intervals between p = 0 and p = 1
+ * @returns {Array} Array of {p, gap} with gap = L1(p) − L2(p)
+ */
+export function calculateLorenzGap(lorenz1, lorenz2, numPoints = CURVE_POINTS) {
+    const curve1 = fromOrigin(lorenz1);
+    const curve2 = fromOrigin(lorenz2);
+
+    return Array.from({ length: numPoints + 1 }, (_, i) => {
+        const p = i / numPoints;
+        return { p, gap: interpolateLorenz(curve1, p) - interpolateLorenz(curve2, p) };
+    });
+}
+
+/**
+ * Generalized Lorenz curve: mean × L(p)
+ *
+ * GL(p) is total welfare of the poorest p divided by the whole population,
+ * so it ends at the mean. A distribution whose GL curve is nowhere below
+ * another's is preferred by every increasing, inequality-averse welfare
+ * function (Shorrocks 1983).
+ *
+ * @param {Array} lorenz - Array of {p, l} objects
+ * @param {number} mean - Mean welfare of the distribution
+ * @param {number} numPoints - Number of intervals between p = 0 and p = 1
+ * @returns {Array} Array of {p, gl}
+ */
+export function calculateGeneralizedLorenz(lorenz, mean, numPoints = CURVE_POINTS) {
+    const curve = fromOrigin(lorenz);
+
+    return Array.from({ length: numPoints + 1 }, (_, i) => {
+        const p = i / numPoints;
+        return { p, gl: mean * interpolateLorenz(curve, p) };
+    });
+}
+
+/**
+ * Dominance between two curves from their differences
+ *
+ * The first curve dominates if it is nowhere below the second and above it
+ * somewhere; differences within the tolerance count as ties.
+ *
+ * @param {Array} gaps - Array of {p, gap}, gap = curve 1 − curve 2, sorted by p
+ * @param {number} tolerance - Largest difference treated as a tie
+ * @returns {Object} {dominant: 'first', 'second', 'equal' or null if the
+ *                   curves cross, crossings: p at each change of sign
+ *                   (linearly interpolated), maxGap: {p, gap} with the
+ *                   largest absolute difference}
+ */
+export function checkDominance(gaps, tolerance = 1e-6) {
+    const above = gaps.some(d => d.gap > tolerance);
+    const below = gaps.some(d => d.gap < -tolerance);
+
+    // Compare each point with the last one clearly off zero
+    const crossings = [];
+    let last = null;
+    gaps.forEach(d => {
+        if (Math.abs(d.gap) <= tolerance) return;
+        if (last && Math.sign(d.gap) !== Math.sign(last.gap)) {
+            crossings.push(last.p + (d.p - last.p) * last.gap / (last.gap - d.gap));
+        }
+        last = d;
+    });
+
+    const maxGap = gaps.reduce((max, d) => (Math.abs(d.gap) > Math.abs(max.gap) ? d : max), gaps[0] || { p: null, gap: 0 });
+
+    let dominant = null;
+    if (above && !below) dominant = 'first';
+    else if (below && !above) dominant = 'second';
+    else if (!above && !below) dominant = 'equal';
+
+    return { dominant, crossings, maxGap };
+}
+
+/**
+ * Range of L over a population interval, across several curves
+ *
+ * Used to fit the y axis of a zoomed Lorenz chart to the curves it shows.
+ *
+ * @param {Array<Array>} curves - Lorenz curves (arrays of {p, l}); null entries are skipped
+ * @param {Array<number>} range - [p0, p1]
+ * @returns {Array<number>|null} [min, max] of L at p0, p1 and the points between,
+ *                               or null if no curve is given
+ */
+export function calculateLorenzRange(curves, range) {
+    const [p0, p1] = range;
+    const values = [];
+
+    curves.filter(curve => curve && curve.length >= 2).forEach(curve => {
+        const sorted = [...curve].sort((a, b) => a.p - b.p);
+        values.push(interpolateLorenz(sorted, p0), interpolateLorenz(sorted, p1));
+        sorted.filter(d => d.p > p0 && d.p < p1).forEach(d => values.push(d.l));
+    });
+
+    return values.length > 0 ? [Math.min(...values), Math.max(...values)] : null;
+}
+
 /**
  * Format Gini for display
  */
@@ -244,3 +573,13 @@ export function formatPercent(value, decimals = 1) {
     }
     return (value * 100).toFixed(decimals) + '%';
 }
+
+/**
+ * Copy of a Lorenz curve sorted by p and starting at (0, 0)
+ *
+ * interpolateLorenz() would extrapolate below the first point otherwise.
+ */
+function fromOrigin(lorenz) {
+    const sorted = [...lorenz].sort((a, b) => a.p - b.p);
+    return sorted[0].p > 0 ? [{ p: 0, l: 0 }, ...sorted] : sorted;
+}
@@ -0,0 +1,350 @@
+/**
+ * methods.js - Registry of top-income correction methods
+ *
+ * Every method takes the same inputs as calculateChandySeidel() and returns
+ * the same result shape ({adjusted, adjustedDist, alpha, surveyPct, ...}),
+ * so the results panel, the chart and the exports work with any of them.
+ * The alternatives exist to check that the adjusted Gini is not an artefact
+ * of the Chandy-Seidel tail construction.
+ */
+
+import { calculateChandySeidel } from './chandy-seidel.js';
+
+export const DEFAULT_METHOD = 'chandy-seidel';
+
+// Points drawn for a fitted Pareto tail (the survey bins above the cutoff are replaced)
+const FITTED_TAIL_POINTS = 100;
+
+/**
+ * Available methods, keyed by id
+ *
+ * run(distribution, surveyMean, nasMean, gapShare, topDecileCutoff) -> result
+ */
+export const METHODS = {
+    'chandy-seidel': {
+        label: 'Chandy-Seidel',
+        description: 'Pareto elongation: new top observations beyond the survey (Chandy & Seidel, 2017)',
+        run: calculateChandySeidel
+    },
+    'proportional': {
+        label: 'Proportional',
+        description: 'Scale all incomes in the top tail by a common factor until the gap is closed',
+        run: calculateProportionalRescaling
+    },
+    'pareto-fit': {
+        label: 'Fitted Pareto',
+        description: 'Replace the top tail with a Pareto distribution whose alpha is fitted to the top bins',
+        run: calculateFittedPareto
+    }
+};
+
+/**
+ * Look up a method by id
+ *
+ * @param {string} methodId - Key of METHODS
+ * @returns {Object|null} Method entry or null if unknown
+ */
+export function getMethod(methodId) {
+    return Object.prototype.hasOwnProperty.call(METHODS, methodId) ? METHODS[methodId] : null;
+}
+
+/**
+ * Run a correction method
+ *
+ * @param {string} methodId - Key of METHODS (default Chandy-Seidel)
+ * @param {Array} distribution - Array of {p, l, w} objects
+ * @param {number} surveyMean - Mean welfare from survey
+ * @param {number} nasMean - National accounts mean
+ * @param {number} gapShare - Fraction of gap attributed to missing top incomes
+ * @param {number} topDecileCutoff - Percentile cutoff for the top tail
+ * @returns {Object} Adjustment result, tagged with the method id
+ */
+export function runMethod(methodId, distribution, surveyMean, nasMean, gapShare = 0.5, topDecileCutoff = 0.9) {
+    const id = methodId || DEFAULT_METHOD;
+    const method = getMethod(id);
+
+    if (!method) {
+        return { adjusted: false, reason: `Unknown method: ${id}`, method: id };
+    }
+
+    return {
+        ...method.run(distribution, surveyMean, nasMean, gapShare, topDecileCutoff),
+        method: id
+    };
+}
+
+/**
+ * Proportional rescaling of the top tail
+ *
+ * The population is unchanged. Incomes of everyone at or above the cutoff
+ * are multiplied by the factor that adds gapShare of the NAS gap to total
+ * income, which raises their share without changing the shape of the tail.
+ *
+ * @returns {Object} Result in the calculateChandySeidel() shape; alpha is the
+ *                   fitted Pareto alpha of the top bins, which scaling leaves
+ *                   unchanged (null when the top bins are not Pareto-like)
+ */
+export function calculateProportionalRescaling(distribution, surveyMean, nasMean, gapShare = 0.5, topDecileCutoff = 0.9) {
+    const checked = checkInputs(distribution, surveyMean, nasMean);
+    if (checked.error) return checked.error;
+
+    const { gap, gapPercent } = checked;
+    const top = findTopTail(distribution, topDecileCutoff);
+    if (!top) {
+        return { adjusted: false, reason: 'Could not identify top decile' };
+    }
+
+    const fit = estimateParetoAlpha(distribution, topDecileCutoff);
+    if (!fit) {
+        return { adjusted: false, reason: 'Not enough bins in top decile' };
+    }
+    const alpha = isFinite(fit.alpha) && fit.alpha > 1 ? fit.alpha : null;
+
+    // Extra income, in units of total survey income
+    const extra = gapShare * (nasMean / surveyMean - 1);
+    const topShare = 1 - top.topDecileL;
+    if (topShare <= 0) {
+        return { adjusted: false, reason: 'Invalid income distribution in top decile' };
+    }
+
+    const factor = 1 + extra / topShare;
+    const ratio = 1 / (1 + extra);
+
+    const adjustedDist = distribution.map(d => ({
+        p: d.p,
+        l: d.p <= top.topDecileP
+            ? d.l * ratio
+            : (top.topDecileL + factor * (d.l - top.topDecileL)) * ratio,
+        w: d.w,
+        isPareto: false,
+        originalP: d.p,
+        originalL: d.l
+    }));
+
+    return {
+        adjusted: true,
+        surveyMean,
+        nasMean,
+        adjustedMean: surveyMean / ratio,
+        gap,
+        gapPercent,
+        gapShare,
+        topDecileCutoff,
+
+        alpha,
+        ratio,
+        scaleFactor: factor,
+        surveyPct: 1,
+        topDecileP: top.topDecileP,
+        topDecileL: top.topDecileL,
+
+        originalDist: distribution,
+        adjustedDist: closeLorenz(adjustedDist),
+        paretoTailBins: 0
+    };
+}
+
+/**
+ * Fitted-Pareto replacement of the top tail
+ *
+ * Alpha is estimated by regression on the top bins (see
+ * estimateParetoAlpha) instead of from their min/max relative income. The
+ * survey bins above the cutoff are replaced by a Pareto Lorenz segment with
+ * that alpha, carrying the top's survey income plus gapShare of the NAS gap.
+ * The population is unchanged.
+ *
+ * @returns {Object} Result in the calculateChandySeidel() shape
+ */
+export function calculateFittedPareto(distribution, surveyMean, nasMean, gapShare = 0.5, topDecileCutoff = 0.9) {
+    const checked = checkInputs(distribution, surveyMean, nasMean);
+    if (checked.error) return checked.error;
+
+    const { gap, gapPercent } = checked;
+    const top = findTopTail(distribution, topDecileCutoff);
+    if (!top) {
+        return { adjusted: false, reason: 'Could not identify top decile' };
+    }
+
+    const fit = estimateParetoAlpha(distribution, topDecileCutoff);
+    if (!fit) {
+        return { adjusted: false, reason: 'Not enough bins in top decile' };
+    }
+
+    const alpha = fit.alpha;
+    if (alpha <= 1 || !isFinite(alpha)) {
+        return {
+            adjusted: false,
+            reason: isFinite(alpha)
+                ? `Invalid Pareto alpha (${alpha.toFixed(3)} <= 1)`
+                : 'Top bins do not fit a Pareto tail',
+            surveyMean,
+            nasMean,
+            gap,
+            gapPercent
+        };
+    }
+
+    const extra = gapShare * (nasMean / surveyMean - 1);
+    const ratio = 1 / (1 + extra);
+    const topIncome = 1 - top.topDecileL + extra;
+    const topWidth = 1 - top.topDecileP;
+
+    const kept = distribution.slice(0, top.index + 1).map(d => ({
+        p: d.p,
+        l: d.l * ratio,
+        w: d.w,
+        isPareto: false,
+        originalP: d.p,
+        originalL: d.l
+    }));
+
+    const tail = [];
+    for (let i = 1; i <= FITTED_TAIL_POINTS; i++) {
+        const q = i / FITTED_TAIL_POINTS;
+        const lPareto = 1 - Math.pow(1 - q, 1 - 1 / alpha);
+
+        tail.push({
+            p: top.topDecileP + topWidth * q,
+            l: (top.topDecileL + topIncome * lPareto) * ratio,
+            isPareto: true,
+            pPareto: q,
+            lPareto
+        });
+    }
+
+    return {
+        adjusted: true,
+        surveyMean,
+        nasMean,
+        adjustedMean: surveyMean / ratio,
+        gap,
+        gapPercent,
+        gapShare,
+        topDecileCutoff,
+
+        alpha,
+        alphaR2: fit.r2,
+        ratio,
+        surveyPct: 1,
+        topDecileP: top.topDecileP,
+        topDecileL: top.topDecileL,
+
+        originalDist: distribution,
+        adjustedDist: closeLorenz([...kept, ...tail]),
+        paretoTailBins: tail.length
+    };
+}
+
+/**
+ * Estimate the Pareto alpha of the top tail by least squares
+ *
+ * For a Pareto tail the income share of everyone above p satisfies
+ * log(1 - L(p)) = const + (1 - 1/alpha) * log(1 - p). The bin boundaries at
+ * or above the cutoff give one point each; alpha follows from the slope.
+ *
+ * @param {Array} distribution - Array of {p, l} objects, sorted by p
+ * @param {number} topDecileCutoff - Percentile cutoff for the top tail
+ * @returns {Object|null} {alpha, r2, points} or null with fewer than two usable bins
+ */
+export function estimateParetoAlpha(distribution, topDecileCutoff = 0.9) {
+    const top = findTopTail(distribution, topDecileCutoff);
+    if (!top) return null;
+
+    const points = [];
+    for (let i = top.index; i < distribution.length; i++) {
+        const popAbove = 1 - distribution[i].p;
+        const incomeAbove = 1 - distribution[i].l;
+
+        if (popAbove > 0 && incomeAbove > 0) {
+            points.push({ x: Math.log(popAbove), y: Math.log(incomeAbove) });
+        }
+    }
+
+    if (points.length < 2) return null;
+
+    const n = points.length;
+    const meanX = points.reduce((sum, d) => sum + d.x, 0) / n;
+    const meanY = points.reduce((sum, d) => sum + d.y, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    points.forEach(d => {
+        sxx += (d.x - meanX) ** 2;
+        sxy += (d.x - meanX) * (d.y - meanY);
+        syy += (d.y - meanY) ** 2;
+    });
+
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    return {
+        alpha: slope < 1 ? 1 / (1 - slope) : Infinity,
+        r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+        points
+    };
+}
+
+/**
+ * Input checks shared by the alternative methods (same reasons as Chandy-Seidel)
+ */
+function checkInputs(distribution, surveyMean, nasMean) {
+    if (!distribution || distribution.length < 10) {
+        return { error: { adjusted: false, reason: 'Invalid distribution data' } };
+    }
+
+    if (!surveyMean || surveyMean <= 0) {
+        return { error: { adjusted: false, reason: 'Invalid survey mean' } };
+    }
+
+    if (!nasMean || nasMean <= 0) {
+        return { error: { adjusted: false, reason: 'No NAS data available' } };
+    }
+
+    if (nasMean <= surveyMean) {
+        return {
+            error: {
+                adjusted: false,
+                reason: 'NAS <= Survey mean (no adjustment needed)',
+                surveyMean,
+                nasMean,
+                gap: 0,
+                gapPercent: 0
+            }
+        };
+    }
+
+    const gap = nasMean - surveyMean;
+    return { gap, gapPercent: (gap / surveyMean) * 100 };
+}
+
+/**
+ * Locate the first bin at or above the cutoff, as calculateChandySeidel() does
+ */
+function findTopTail(distribution, topDecileCutoff) {
+    const index = distribution.findIndex(d => d.p >= topDecileCutoff);
+    if (index < 0) return null;
+
+    return {
+        index,
+        topDecileP: distribution[index].p,
+        topDecileL: distribution[index].l
+    };
+}
+
+/**
+ * Add the origin if missing and force the last point to exactly (1, 1)
+ */
+function closeLorenz(points) {
+    const closed = [...points].sort((a, b) => a.p - b.p);
+
+    if (closed.length === 0 || closed[0].p > 0.001) {
+        closed.unshift({ p: 0, l: 0, isPareto: false });
+    }
+
+    const last = closed[closed.length - 1];
+    last.p = 1;
+    last.l = 1;
+
+    return closed;
+}
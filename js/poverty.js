@@ -0,0 +1,108 @@
+/**
+ * poverty.js - Poverty measures from a Lorenz curve and a mean
+ *
+ * Computes the Foster-Greer-Thorbecke family (FGT0 headcount, FGT1 poverty
+ * gap, FGT2 severity) for grouped data, so the same code works on the survey
+ * bins and on the adjusted distribution, which only exists as a Lorenz curve.
+ */
+
+import { getBinIncomes } from './lorenz.js';
+
+// Poverty lines in $/day (2021 PPP)
+export const DEFAULT_POVERTY_LINES = [3.00, 4.20, 8.30];
+
+// Population grid used to integrate the FGT measures
+const GRID_SIZE = 5000;
+
+/**
+ * Calculate FGT0, FGT1 and FGT2 at one poverty line
+ *
+ * Income at p is mean * L'(p). Each Lorenz segment gives the average income
+ * of its bin; incomes are interpolated linearly between bin midpoints (held
+ * flat beyond the first and last midpoint) and the measures are integrated
+ * over a fine population grid.
+ *
+ * @param {Array} lorenz - Array of {p, l} objects, sorted by p
+ * @param {number} mean - Mean welfare of the distribution ($/day)
+ * @param {number} line - Poverty line ($/day)
+ * @returns {Object|null} {line, headcount, gap, severity} or null for invalid input
+ */
+export function calculateFGT(lorenz, mean, line) {
+    if (!lorenz || lorenz.length < 2 || !(mean > 0) || !(line > 0)) {
+        return null;
+    }
+
+    // Average income of each bin, placed at the bin midpoint
+    const knots = getBinIncomes(lorenz).map(bin => ({ p: bin.p, y: mean * bin.relIncome }));
+
+    if (knots.length === 0) {
+        return null;
+    }
+
+    let headcount = 0;
+    let gap = 0;
+    let severity = 0;
+    let k = 0;
+    const dp = 1 / GRID_SIZE;
+
+    for (let i = 0; i < GRID_SIZE; i++) {
+        const p = (i + 0.5) * dp;
+        while (k < knots.length - 1 && knots[k + 1].p < p) {
+            k++;
+        }
+
+        let y;
+        if (p <= knots[0].p) {
+            y = knots[0].y;
+        } else if (k >= knots.length - 1) {
+            y = knots[knots.length - 1].y;
+        } else {
+            const t = (p - knots[k].p) / (knots[k + 1].p - knots[k].p);
+            y = knots[k].y + t * (knots[k + 1].y - knots[k].y);
+        }
+
+        if (y < line) {
+            const shortfall = 1 - Math.max(0, y) / line;
+            headcount += dp;
+            gap += dp * shortfall;
+            severity += dp * shortfall * shortfall;
+        }
+    }
+
+    return { line, headcount, gap, severity };
+}
+
+/**
+ * Poverty before and after the adjustment at several lines
+ *
+ * @param {Array} surveyLorenz - Survey Lorenz curve
+ * @param {number} surveyMean - Survey mean ($/day)
+ * @param {Object} result - Adjustment result (adjusted or not)
+ * @param {Array<number>} lines - Poverty lines ($/day)
+ * @returns {Array} One {line, survey, adjusted} per line; adjusted is null
+ *                  when the adjustment was not applied
+ */
+export function comparePoverty(surveyLorenz, surveyMean, result, lines = DEFAULT_POVERTY_LINES) {
+    return lines.map(line => ({
+        line,
+        survey: calculateFGT(surveyLorenz, surveyMean, line),
+        adjusted: result?.adjusted ? calculateFGT(result.adjustedDist, result.adjustedMean, line) : null
+    }));
+}
+
+/**
+ * Parse a comma- or space-separated list of poverty lines
+ *
+ * @param {string} text - e.g. "3.00, 4.20, 8.30"
+ * @returns {Array<number>|null} Sorted distinct positive lines, or null if
+ *                               any entry is not a positive number
+ */
+export function parsePovertyLines(text) {
+    const parts = (text || '').split(/[\s,;]+/).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const lines = parts.map(Number);
+    if (lines.some(line => !isFinite(line) || line <= 0)) return null;
+
+    return [...new Set(lines)].sort((a, b) => a - b);
+}
@@ -0,0 +1,62 @@
+/**
+ * reference.js - Browser vs. Stata reference comparison
+ *
+ * Compares the adjusted distribution computed in the browser with the
+ * Pareto tail precomputed by the Stata pipeline (bins flagged new = 1 in
+ * the distribution files), to catch drift between the two implementations.
+ */
+
+import { calculateGini, interpolateLorenz } from './lorenz.js';
+
+/**
+ * Compare the browser adjustment with the Stata reference curve
+ *
+ * @param {Array|null} referenceDist - Stata adjusted curve (survey + new bins), sorted by p
+ * @param {Object} result - Chandy-Seidel adjustment result
+ * @param {number} gridSize - Number of p intervals used to find the largest gap
+ * @returns {Object} {available, reason} or {available, referenceGini, browserGini,
+ *                   giniDiff, maxLorenzDiff, maxLorenzDiffAt}
+ */
+export function compareWithReference(referenceDist, result, gridSize = 1000) {
+    if (!referenceDist || referenceDist.length < 2) {
+        return { available: false, reason: 'No Stata tail bins for this country-year' };
+    }
+
+    if (!result?.adjusted) {
+        return { available: false, reason: 'Browser adjustment not available' };
+    }
+
+    const reference = withOrigin(referenceDist);
+    const browser = result.adjustedDist;
+
+    const referenceGini = calculateGini(reference);
+    const browserGini = calculateGini(browser);
+
+    // Largest vertical distance between the two curves on a fine p grid
+    let maxLorenzDiff = 0;
+    let maxLorenzDiffAt = 0;
+    for (let i = 0; i <= gridSize; i++) {
+        const p = i / gridSize;
+        const diff = Math.abs(interpolateLorenz(reference, p) - interpolateLorenz(browser, p));
+        if (diff > maxLorenzDiff) {
+            maxLorenzDiff = diff;
+            maxLorenzDiffAt = p;
+        }
+    }
+
+    return {
+        available: true,
+        referenceGini,
+        browserGini,
+        giniDiff: browserGini - referenceGini,
+        maxLorenzDiff,
+        maxLorenzDiffAt
+    };
+}
+
+/**
+ * Make sure a Lorenz curve starts at the origin
+ */
+function withOrigin(lorenz) {
+    return lorenz[0].p > 0 ? [{ p: 0, l: 0 }, ...lorenz] : lorenz;
+}
@@ -0,0 +1,333 @@
+/**
+ * replication.js - Stata and R scripts that read the exported CSVs
+ *
+ * Each script loads one CSV (summary, Lorenz curves or distribution) with
+ * explicit column types and variable labels, and records the parameters the
+ * web app used, together with the command-line call that recomputes the
+ * same numbers. Scripts are built here as text; export.js downloads them
+ * next to the CSV.
+ */
+
+// Exportable data sets, keyed by file name suffix
+export const REPLICATION_DATASETS = {
+    summary: { label: 'Summary', description: 'summary statistics' },
+    lorenz: { label: 'Lorenz curves', description: 'survey and adjusted Lorenz curves' },
+    distribution: { label: 'Distribution', description: 'survey and adjusted distribution' }
+};
+
+// Label and type ('string', 'integer' or 'double') of each CSV column
+const COLUMNS = {
+    country: ['Country code', 'string'],
+    year: ['Survey year', 'integer'],
+    survey_mean: ['Survey mean ($/day, 2021 PPP)', 'double'],
+    nas_mean: ['NAS mean ($/day, 2021 PPP)', 'double'],
+    nas_source: ['NAS source (hfce, gdp or custom)', 'string'],
+    nas_label: ['Name of the NAS aggregate', 'string'],
+    adjusted_mean: ['Adjusted mean ($/day, 2021 PPP)', 'double'],
+    gap_percent: ['Gap between NAS and survey mean (% of survey mean)', 'double'],
+    gap_share_used: ['Share of the gap attributed to top incomes', 'double'],
+    top_cutoff: ['Top tail cutoff (population share)', 'double'],
+    method: ['Correction method', 'string'],
+    pareto_alpha: ['Pareto alpha of the top tail', 'double'],
+    survey_pct: ['Population share represented by the survey', 'double'],
+    pareto_bins_added: ['Pareto tail bins added', 'integer'],
+    gini_survey: ['Gini, survey', 'double'],
+    gini_adjusted: ['Gini, adjusted', 'double'],
+    gini_change: ['Change in Gini', 'double'],
+    gini_change_percent: ['Change in Gini (%)', 'double'],
+    gini_rescaled: ['Gini, survey bins rescaled and the added income held equally', 'double'],
+    gini_change_rescaling: ['Gini change from rescaling the survey bins', 'double'],
+    gini_change_tail: ['Gini change from spreading the added income along the Pareto tail', 'double'],
+    p: ['Cumulative population share', 'double'],
+    l_survey: ['Cumulative income share, survey', 'double'],
+    l_adjusted: ['Cumulative income share, adjusted', 'double'],
+    l_equality: ['Line of equality', 'double'],
+    quantile: ['Bin number', 'integer'],
+    p_survey: ['Cumulative population share, survey', 'double'],
+    welfare_survey: ['Welfare of the bin ($/day, 2021 PPP)', 'double'],
+    p_adjusted: ['Cumulative population share, adjusted', 'double'],
+    is_pareto_tail: ['Bin added by the Pareto tail (1 = yes)', 'integer']
+};
+
+// Poverty measures in the summary columns fgt0_survey_2.15 etc.
+const FGT_LABELS = { fgt0: 'Headcount ratio', fgt1: 'Poverty gap index', fgt2: 'Squared poverty gap' };
+
+/**
+ * Label and type of the CSV columns
+ *
+ * @param {Array<string>} headers - Column names from the CSV header
+ * @returns {Array} Array of {name, label, type}; unknown columns are doubles
+ *                  labelled with their name
+ */
+export function describeColumns(headers) {
+    return headers.map(name => {
+        if (COLUMNS[name]) {
+            const [label, type] = COLUMNS[name];
+            return { name, label, type };
+        }
+
+        const fgt = name.match(/^(fgt[012])_(survey|adjusted)_(.+)$/);
+        if (fgt) {
+            return { name, label: `${FGT_LABELS[fgt[1]]} at $${fgt[3]}/day, ${fgt[2]}`, type: 'double' };
+        }
+
+        return { name, label: name, type: 'double' };
+    });
+}
+
+/**
+ * Command-line call that recomputes the exported numbers
+ *
+ * @param {Object} context - See buildStataScript()
+ * @returns {string} node bin/chandy-seidel.js ... (run from the repository root)
+ */
+export function buildCommandLine(context) {
+    const { countryCode, year, params } = context;
+    const args = [
+        `--country ${countryCode}`,
+        `--year ${year}`,
+        `--method ${params.method}`,
+        `--gap-share ${params.gapShare}`,
+        `--nas ${params.nasSource}`
+    ];
+
+    if (params.nasSource === 'custom' && params.customNas) {
+        args.push(params.customNas.type === 'mean'
+            ? `--nas-mean ${params.customNas.value}`
+            : `--nas-ratio ${params.customNas.value}`);
+        if (params.customNas.label) {
+            args.push(`--nas-label "${params.customNas.label.replace(/"/g, '')}"`);
+        }
+    }
+
+    args.push(`--cutoff ${params.topDecileCutoff}`);
+    if (params.povertyLines?.length) {
+        args.push(`--poverty-lines ${params.povertyLines.join(',')}`);
+    }
+    args.push('--distributions --out out');
+
+    return `node bin/chandy-seidel.js ${args.join(' ')}`;
+}
+
+/**
+ * Stata do-file that imports the CSV with types and labels
+ *
+ * @param {Object} context - {dataset (key of REPLICATION_DATASETS), dataFile
+ *                           (CSV file name), headers (CSV column names),
+ *                           countryCode, year, isUpload, dataVersion,
+ *                           exportedAt (Date), params: {method, gapShare,
+ *                           nasSource, nasLabel, nasMean, customNas,
+ *                           topDecileCutoff, povertyLines}}
+ * @returns {string} Do-file contents
+ */
+export function buildStataScript(context) {
+    const { dataset, dataFile, headers, countryCode, year } = context;
+    const columns = describeColumns(headers).map(col => ({ ...col, stataName: stataName(col.name) }));
+    const positions = type => columns
+        .map((col, i) => (type === 'string' ? col.type === 'string' : col.type !== 'string') ? i + 1 : null)
+        .filter(i => i !== null)
+        .join(' ');
+
+    const rule = '*'.repeat(79);
+    const lines = [
+        rule,
+        `* ${dataFile.replace(/\.csv$/, '.do')} - ${REPLICATION_DATASETS[dataset].label}, ${countryCode} ${year}`,
+        '*',
+        ...comment(headerText(context), '* '),
+        rule,
+        '',
+        'clear',
+        '',
+        '// Parameters used in the web app',
+        ...parameterList(context).map(([name, value]) =>
+            `local ${name.padEnd(13)} ${typeof value === 'number' ? `= ${value}` : stataString(value)}`),
+        '',
+        '// Skip the header and rename by position: Stata would rename columns like fgt0_survey_2.15',
+        ...wrapStata(`import delimited "${dataFile}", varnames(nonames) rowrange(2) ` +
+            `${stringcolsOption(positions('string'))}numericcols(${positions('numeric')}) asdouble encoding("utf-8") clear`),
+        ...wrapStata(`rename (${columns.map((_, i) => `v${i + 1}`).join(' ')}) (${columns.map(col => col.stataName).join(' ')})`),
+        ''
+    ];
+
+    columns.filter(col => col.type === 'integer').forEach(col => {
+        lines.push(`recast long ${col.stataName}`);
+    });
+
+    lines.push(
+        '',
+        `label data "${stataText(`${REPLICATION_DATASETS[dataset].label}, ${countryCode} ${year}`)}"`,
+        ...columns.map(col => `label variable ${col.stataName} "${stataText(col.label)}"`),
+        '',
+        '// Keep the parameters with the data',
+        ...parameterList(context).map(([name]) => `char _dta[${name}] \`"\`${name}'"'`),
+        '',
+        'describe'
+    );
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * R script that reads the CSV with types and labels
+ *
+ * @param {Object} context - Same as buildStataScript()
+ * @returns {string} Script contents
+ */
+export function buildRScript(context) {
+    const { dataset, dataFile, headers, countryCode, year } = context;
+    const columns = describeColumns(headers);
+    const object = `cs_${dataset}`;
+    const rTypes = { string: 'character', integer: 'integer', double: 'numeric' };
+    const indent = entries => entries.map((entry, i) => `  ${entry}${i < entries.length - 1 ? ',' : ''}`);
+
+    const lines = [
+        `# ${dataFile.replace(/\.csv$/, '.R')} - ${REPLICATION_DATASETS[dataset].label}, ${countryCode} ${year}`,
+        '#',
+        ...comment(headerText(context), '# '),
+        '',
+        '# Parameters used in the web app',
+        'params <- list(',
+        ...indent(parameterList(context).map(([name, value]) =>
+            `${name} = ${typeof value === 'number' ? rNumber(name, value) : rString(value)}`)),
+        ')',
+        '',
+        'col_types <- c(',
+        ...indent(columns.map(col => `${rString(col.name)} = ${rString(rTypes[col.type])}`)),
+        ')',
+        '',
+        'labels <- c(',
+        ...indent(columns.map(col => `${rString(col.name)} = ${rString(col.label)}`)),
+        ')',
+        '',
+        `${object} <- read.csv(${rString(dataFile)}, colClasses = col_types, check.names = FALSE, na.strings = "")`,
+        `for (v in names(labels)) attr(${object}[[v]], "label") <- labels[[v]]`,
+        `attr(${object}, "params") <- params`,
+        '',
+        `str(${object})`
+    ];
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parameters written into the scripts, as [name, value] pairs
+ */
+function parameterList({ countryCode, year, isUpload, dataVersion, exportedAt, params }) {
+    return [
+        ['country', countryCode],
+        ['year', year],
+        ['method', params.method],
+        ['gap_share', params.gapShare],
+        ['nas_source', params.nasSource],
+        ['nas_label', params.nasLabel || ''],
+        ['nas_mean', params.nasMean ?? ''],
+        ['top_cutoff', params.topDecileCutoff],
+        ['poverty_lines', (params.povertyLines || []).join(' ')],
+        ['data_source', isUpload ? 'uploaded file' : 'bundled data (prep_data.do)'],
+        ['data_version', dataVersion],
+        ['exported_at', exportedAt.toISOString()]
+    ];
+}
+
+/**
+ * Header comment shared by both scripts
+ */
+function headerText(context) {
+    const { dataset, dataFile, countryCode, year, isUpload, exportedAt } = context;
+    const { description } = REPLICATION_DATASETS[dataset];
+    const reproduce = isUpload
+        ? [
+            'The distribution was uploaded in the browser. To recompute it, add it to',
+            'a data folder in the prep_data.do format and pass that folder with --data:'
+        ]
+        : ['Recompute the numbers from the repository root with:'];
+
+    return [
+        `Reads ${dataFile} (keep it in the same folder):`,
+        `the ${description} of ${countryCode} ${year},`,
+        `exported from the web app on ${exportedAt.toISOString()}.`,
+        'Sets column types and variable labels and records the parameters used.',
+        '',
+        ...reproduce,
+        `  ${buildCommandLine(context)}`
+    ];
+}
+
+/**
+ * Prefix lines of text as comments
+ */
+function comment(lines, prefix) {
+    return lines.map(line => (line ? prefix + line : prefix.trimEnd()));
+}
+
+/**
+ * Valid Stata name for a column: invalid characters become underscores, at
+ * most 32 characters
+ */
+function stataName(name) {
+    const cleaned = name.replace(/[^A-Za-z0-9_]/g, '_');
+    return (/^[0-9]/.test(cleaned) ? `_${cleaned}` : cleaned).slice(0, 32);
+}
+
+/**
+ * Break a long Stata command into lines joined with ///
+ *
+ * Breaks only at spaces outside double-quoted strings, so a quoted file
+ * name stays on one line.
+ */
+function wrapStata(command, width = 100) {
+    const lines = [];
+    let line = '';
+    command.match(/(?:"[^"]*"|[^\s"])+/g).forEach(word => {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(`${line} ///`);
+            line = `    ${word}`;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+    lines.push(line);
+    return lines;
+}
+
+/**
+ * stringcols() option, empty if there are no string columns
+ */
+function stringcolsOption(positions) {
+    return positions ? `stringcols(${positions}) ` : '';
+}
+
+/**
+ * Text inside a Stata string: double quotes replaced, at most 80 characters
+ */
+function stataText(text) {
+    return stataEscape(String(text).replace(/"/g, '\'').slice(0, 80));
+}
+
+/**
+ * Stata compound-quoted string, which may contain double quotes
+ */
+function stataString(value) {
+    return `\`"${stataEscape(String(value))}"'`;
+}
+
+/**
+ * Keep Stata from expanding $ and ` as macros
+ */
+function stataEscape(text) {
+    return text.replace(/\$/g, '\\$').replace(/`/g, '\'');
+}
+
+/**
+ * R string literal
+ */
+function rString(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * R number literal; year stays an integer
+ */
+function rNumber(name, value) {
+    return name === 'year' ? `${value}L` : String(value);
+}
@@ -0,0 +1,45 @@
+/**
+ * sensitivity.js - Gap-share sensitivity analysis
+ *
+ * Sweeps the gap share from 0 to 1 through the selected correction method
+ * (Chandy-Seidel by default) to show how much the adjusted figures depend on the 50% default.
+ */
+
+import { runMethod } from './methods.js';
+import { calculateGini, calculateTopShare } from './lorenz.js';
+
+/**
+ * Run the adjustment over a grid of gap shares
+ *
+ * Points where the adjustment cannot be applied (e.g. gapShare = 0 gives
+ * an infinite alpha) are kept with null values so charts show a gap.
+ *
+ * @param {Array} distribution - Array of {p, l, w} objects
+ * @param {number} surveyMean - Mean welfare from survey
+ * @param {number} nasMean - National accounts mean
+ * @param {Object} options - {topDecileCutoff, steps, method}
+ * @returns {Array} Array of {gapShare, gini, top10, alpha, adjustedMean}
+ */
+export function sweepGapShare(distribution, surveyMean, nasMean, options = {}) {
+    const { topDecileCutoff = 0.9, steps = 50, method } = options;
+    const points = [];
+
+    for (let i = 0; i <= steps; i++) {
+        const gapShare = i / steps;
+        const result = runMethod(method, distribution, surveyMean, nasMean, gapShare, topDecileCutoff);
+
+        if (result.adjusted) {
+            points.push({
+                gapShare,
+                gini: calculateGini(result.adjustedDist),
+                top10: calculateTopShare(result.adjustedDist, 0.1),
+                alpha: result.alpha,
+                adjustedMean: result.adjustedMean
+            });
+        } else {
+            points.push({ gapShare, gini: null, top10: null, alpha: null, adjustedMean: null });
+        }
+    }
+
+    return points;
+}
@@ -0,0 +1,186 @@
+/**
+ * uncertainty.js - Simulation-based uncertainty for the adjusted figures
+ *
+ * Reruns the adjustment many times with perturbed inputs (NAS mean within
+ * an error band, gap share over a range, resampled top-tail bins) and
+ * summarizes the spread of the adjusted Gini, top 10% share and alpha as
+ * percentile intervals, plus a pointwise band around the adjusted Lorenz curve.
+ */
+
+import { runMethod } from './methods.js';
+import { calculateGini, calculateTopShare, interpolateLorenz } from './lorenz.js';
+
+/**
+ * Default simulation settings
+ */
+export const UNCERTAINTY_DEFAULTS = {
+    draws: 200,
+    nasError: 0.1,
+    gapShareRange: [0.25, 0.75],
+    resampleTop: true,
+    level: 0.9,
+    seed: 1,
+    gridSize: 100
+};
+
+/**
+ * Simulate the adjustment under perturbed inputs
+ *
+ * Each draw takes nasMean * (1 + u) with u uniform in [-nasError, nasError],
+ * a gap share uniform in gapShareRange and, if resampleTop is set, a
+ * bootstrap resample of the top-tail bins (see resampleTopBins). Draws the
+ * method cannot adjust are counted but left out of the intervals.
+ *
+ * @param {Array} distribution - Array of {p, l, w} objects
+ * @param {number} surveyMean - Mean welfare from survey
+ * @param {number} nasMean - National accounts mean
+ * @param {Object} options - {topDecileCutoff, method} plus any UNCERTAINTY_DEFAULTS key
+ * @returns {Object|null} {draws, valid, level, gini, top10, alpha, band}, where
+ *                        gini/top10/alpha are {low, median, high} and band is
+ *                        [{p, low, high}]; null if no draw could be adjusted
+ */
+export function simulateUncertainty(distribution, surveyMean, nasMean, options = {}) {
+    const {
+        topDecileCutoff = 0.9,
+        method,
+        draws,
+        nasError,
+        gapShareRange,
+        resampleTop,
+        level,
+        seed,
+        gridSize
+    } = { ...UNCERTAINTY_DEFAULTS, ...options };
+
+    if (!distribution || !nasMean) {
+        return null;
+    }
+
+    const random = createRandom(seed);
+    const [gapLow, gapHigh] = gapShareRange;
+    const grid = Array.from({ length: gridSize + 1 }, (_, i) => i / gridSize);
+
+    const ginis = [];
+    const top10s = [];
+    const alphas = [];
+    const curves = [];
+
+    for (let i = 0; i < draws; i++) {
+        const nas = nasMean * (1 + nasError * (2 * random() - 1));
+        const gapShare = gapLow + (gapHigh - gapLow) * random();
+        const dist = resampleTop ? resampleTopBins(distribution, topDecileCutoff, random) : distribution;
+
+        const result = runMethod(method, dist, surveyMean, nas, gapShare, topDecileCutoff);
+        if (!result.adjusted) continue;
+
+        ginis.push(calculateGini(result.adjustedDist));
+        top10s.push(calculateTopShare(result.adjustedDist, 0.1));
+        if (result.alpha !== null && result.alpha !== undefined && isFinite(result.alpha)) {
+            alphas.push(result.alpha);
+        }
+        curves.push(grid.map(p => interpolateLorenz(result.adjustedDist, p)));
+    }
+
+    if (curves.length === 0) {
+        return null;
+    }
+
+    const tail = (1 - level) / 2;
+    const interval = values => {
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            low: quantile(sorted, tail),
+            median: quantile(sorted, 0.5),
+            high: quantile(sorted, 1 - tail)
+        };
+    };
+
+    const band = grid.map((p, j) => {
+        const sorted = curves.map(curve => curve[j]).sort((a, b) => a - b);
+        return { p, low: quantile(sorted, tail), high: quantile(sorted, 1 - tail) };
+    });
+
+    return {
+        draws,
+        valid: curves.length,
+        level,
+        gini: interval(ginis),
+        top10: interval(top10s),
+        alpha: interval(alphas),
+        band
+    };
+}
+
+/**
+ * Bootstrap resample of the bins above the cutoff
+ *
+ * The relative incomes (income share / population share) of the top bins
+ * are drawn with replacement, sorted so the curve stays convex, and scaled
+ * so the top keeps its survey income share. Bins below the cutoff are
+ * unchanged.
+ *
+ * @param {Array} distribution - Array of {p, l, w} objects, sorted by p
+ * @param {number} topDecileCutoff - Percentile cutoff for the top tail
+ * @param {Function} random - Uniform [0, 1) generator
+ * @returns {Array} New distribution with resampled top bins
+ */
+export function resampleTopBins(distribution, topDecileCutoff, random = Math.random) {
+    const start = distribution.findIndex(d => d.p >= topDecileCutoff);
+    if (start < 0 || distribution.length - start < 3) {
+        return distribution;
+    }
+
+    const base = distribution[start];
+    const bins = distribution.slice(start + 1).map((d, i) => {
+        const prev = distribution[start + i];
+        return { width: d.p - prev.p, relIncome: (d.l - prev.l) / (d.p - prev.p) };
+    });
+
+    if (bins.some(b => !(b.width > 0) || !isFinite(b.relIncome))) {
+        return distribution;
+    }
+
+    const drawn = bins
+        .map(() => bins[Math.floor(random() * bins.length)].relIncome)
+        .sort((a, b) => a - b);
+
+    const total = bins.reduce((sum, b, i) => sum + b.width * drawn[i], 0);
+    if (!(total > 0)) {
+        return distribution;
+    }
+    const scale = (1 - base.l) / total;
+
+    const resampled = distribution.slice(0, start + 1);
+    let l = base.l;
+    distribution.slice(start + 1).forEach((d, i) => {
+        l += bins[i].width * drawn[i] * scale;
+        resampled.push({ ...d, l });
+    });
+
+    return resampled;
+}
+
+/**
+ * Quantile of a sorted array with linear interpolation
+ */
+function quantile(sorted, q) {
+    const pos = (sorted.length - 1) * q;
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Small seeded generator (mulberry32), so the same settings give the same band
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
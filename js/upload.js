@@ -0,0 +1,219 @@
+/**
+ * upload.js - Grouped distributions from local CSV/JSON files
+ *
+ * Parses a user-supplied file into bins, checks them and converts them to
+ * the same {distData, nasData} shape getDistribution() and
+ * getNasForCountryYear() return, so an uploaded distribution goes through
+ * the normal adjustment, chart and exports.
+ *
+ * Accepted inputs:
+ *   - CSV with p and l columns (w optional), or a share column with the
+ *     income share of each quantile group (p optional; equal groups otherwise)
+ *   - JSON: an array of {p, l, w} bins, an object {bins, survey_mean, year},
+ *     or a distribution file as written by prep_data.do ({years: {...}})
+ */
+
+import { parseYearData } from './data-loader.js';
+import { validateBins } from './validation.js';
+
+/**
+ * Parse the contents of an uploaded file
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to tell CSV from JSON
+ * @returns {Object} {bins: [{p, l, w}], surveyMean, year}; surveyMean and
+ *                   year are null when the file does not carry them
+ * @throws {Error} If the file cannot be read as either format
+ */
+export function parseDistributionFile(text, fileName = '') {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        throw new Error('The file is empty');
+    }
+
+    const isJSON = /\.json$/i.test(fileName) || /^[[{]/.test(trimmed);
+    return isJSON ? parseJSON(trimmed) : parseCSV(trimmed);
+}
+
+/**
+ * Check uploaded bins before they are used
+ *
+ * @param {Array} bins - Array of {p, l, w} objects, sorted by p
+ * @returns {Array<string>} Problems found (empty if the bins are usable)
+ */
+export function validateUploadedBins(bins) {
+    return validateBins(bins).map(issue => issue.message);
+}
+
+/**
+ * Build distribution and NAS data from parsed bins and the typed means
+ *
+ * @param {Object} parsed - Output of parseDistributionFile()
+ * @param {Object} options - {label, year, surveyMean, nasMean}; a typed
+ *                           year or survey mean overrides the file's, and
+ *                           the NAS mean is used for both the HFCE and GDP
+ *                           sources
+ * @returns {Object} {distData, nasData}
+ * @throws {Error} If the bins fail validation or the year or survey mean is missing
+ */
+export function buildUploadedData(parsed, options = {}) {
+    const problems = validateUploadedBins(parsed.bins);
+    if (problems.length > 0) {
+        throw new Error(problems.join('; '));
+    }
+
+    const label = options.label || 'Upload';
+    const year = options.year || parsed.year;
+    if (!year) {
+        throw new Error('Enter the survey year (the file has none)');
+    }
+
+    // Snap the last bin to exactly (1, 1), as the bundled files have
+    const bins = parsed.bins.map((d, i) => ({
+        p: i === parsed.bins.length - 1 ? 1 : d.p,
+        l: i === parsed.bins.length - 1 ? 1 : d.l,
+        w: d.w,
+        q: i + 1
+    }));
+
+    const distData = {
+        ...parseYearData(label, year, { bins, survey_mean: options.surveyMean || parsed.surveyMean }),
+        isUpload: true
+    };
+
+    if (!(distData.surveyMean > 0)) {
+        throw new Error('Enter a survey mean (the file has none and no welfare column to compute it)');
+    }
+
+    const nasMean = options.nasMean > 0 ? options.nasMean : null;
+
+    return {
+        distData,
+        nasData: { hfce: nasMean, gdp: nasMean, survey_mean: distData.surveyMean }
+    };
+}
+
+/**
+ * Parse the JSON variants
+ */
+function parseJSON(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    // Distribution file as written by prep_data.do: use the survey bins of the latest year
+    if (data && data.years && typeof data.years === 'object') {
+        const years = Object.keys(data.years).sort();
+        if (years.length === 0 || !Array.isArray(data.years[years[years.length - 1]].bins)) {
+            throw new Error('The file lists no years with bins');
+        }
+        const year = parseInt(years[years.length - 1]);
+        const parsed = parseYearData(data.code || 'Upload', year, data.years[year]);
+        return {
+            bins: parsed.distribution.map(d => ({ p: d.p, l: d.l, w: d.w })),
+            surveyMean: parsed.surveyMean,
+            year
+        };
+    }
+
+    const rows = Array.isArray(data) ? data : data?.bins;
+    if (!Array.isArray(rows)) {
+        throw new Error('JSON must be an array of bins or an object with a bins array');
+    }
+
+    return {
+        bins: toBins(rows.map(row => ({
+            p: toNumber(row.p),
+            l: toNumber(row.l),
+            w: toNumber(row.w),
+            share: toNumber(row.share)
+        }))),
+        surveyMean: toNumber(data.survey_mean ?? data.surveyMean),
+        year: toNumber(data.year)
+    };
+}
+
+/**
+ * Parse CSV with a header row (comma, semicolon or tab separated)
+ */
+function parseCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const delimiter = [',', ';', '\t'].find(d => lines[0].includes(d)) || ',';
+    const headers = lines[0].split(delimiter).map(h => h.trim().replace(/^"|"$/g, '').toLowerCase());
+
+    const column = (...names) => headers.findIndex(h => names.includes(h));
+    const pCol = column('p', 'pop_share_cum', 'cum_pop');
+    const lCol = column('l', 'lorenz', 'cum_share');
+    const wCol = column('w', 'welfare', 'mean');
+    const shareCol = column('share', 'income_share', 'welfare_share');
+
+    if (lCol < 0 && shareCol < 0) {
+        throw new Error('CSV needs p and l columns, or a share column');
+    }
+    if (lCol >= 0 && pCol < 0) {
+        throw new Error('CSV with an l column also needs a p column');
+    }
+
+    const rows = lines.slice(1).map(line => {
+        const cells = line.split(delimiter).map(c => c.trim().replace(/^"|"$/g, ''));
+        const cell = index => index >= 0 ? toNumber(cells[index]) : null;
+        return { p: cell(pCol), l: cell(lCol), w: cell(wCol), share: cell(shareCol) };
+    });
+
+    return { bins: toBins(rows), surveyMean: null, year: null };
+}
+
+/**
+ * Turn parsed rows into {p, l, w} bins
+ *
+ * Rows with shares are accumulated into l; without p they are taken as
+ * equal-sized groups. p and l in percent (largest value above 1) are
+ * divided by 100.
+ */
+function toBins(rows) {
+    if (rows.length === 0) {
+        throw new Error('No data rows found');
+    }
+
+    let bins;
+    if (rows.every(row => row.l === null) && rows.some(row => row.share !== null)) {
+        const total = rows.reduce((sum, row) => sum + (row.share || 0), 0);
+        if (!(total > 0)) {
+            throw new Error('Income shares must add up to a positive total');
+        }
+
+        let cumulative = 0;
+        bins = rows.map((row, i) => {
+            cumulative += row.share || 0;
+            return {
+                p: row.p ?? (i + 1) / rows.length,
+                l: cumulative / total,
+                w: row.w
+            };
+        });
+    } else {
+        bins = rows.map(row => ({ p: row.p, l: row.l, w: row.w }));
+    }
+
+    const inPercent = key => Math.max(...bins.map(d => d[key] ?? 0)) > 1.5;
+    const pScale = inPercent('p') ? 100 : 1;
+    const lScale = inPercent('l') ? 100 : 1;
+
+    return bins.map(d => ({
+        p: d.p === null ? NaN : d.p / pScale,
+        l: d.l === null ? NaN : d.l / lScale,
+        w: d.w ?? undefined
+    }));
+}
+
+/**
+ * Number or null for empty / non-numeric values
+ */
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return isFinite(number) ? number : null;
+}
@@ -0,0 +1,124 @@
+/**
+ * url-state.js - Shareable URL state
+ *
+ * Serializes the current selection and parameters into the URL hash
+ * (e.g. #country=BRA&year=2019&gap=50&nas=hfce&cutoff=0.9) so that a pasted link
+ * reproduces the same adjusted curve. A custom NAS source adds its value,
+ * type and label (nasv, nast, nasl).
+ */
+
+import { DEFAULT_METHOD } from './methods.js';
+
+const NAS_SOURCES = ['hfce', 'gdp', 'custom'];
+const CUSTOM_NAS_TYPES = ['mean', 'ratio'];
+
+/**
+ * Encode selection and parameters as a hash string (without the leading #)
+ *
+ * @param {Object} values - {country, year, gapShare, nasSource, customNas, topCutoff,
+ *                          method, view, reference}
+ * @returns {string} Encoded parameters
+ */
+export function encodeUrlState(values) {
+    const params = new URLSearchParams();
+
+    if (values.country) params.set('country', values.country);
+    if (values.year) params.set('year', values.year);
+    if (values.gapShare !== undefined && values.gapShare !== null) {
+        params.set('gap', Math.round(values.gapShare * 100));
+    }
+    if (values.nasSource) params.set('nas', values.nasSource);
+    if (values.nasSource === 'custom' && values.customNas) {
+        params.set('nasv', values.customNas.value);
+        params.set('nast', values.customNas.type);
+        if (values.customNas.label) params.set('nasl', values.customNas.label);
+    }
+    if (values.topCutoff) params.set('cutoff', values.topCutoff);
+    if (values.method && values.method !== DEFAULT_METHOD) params.set('method', values.method);
+    if (values.view && values.view !== 'lorenz') params.set('view', values.view);
+    if (values.reference) params.set('ref', '1');
+
+    return params.toString();
+}
+
+/**
+ * Decode a hash string into selection and parameters
+ *
+ * Unknown or malformed values are dropped, so the caller can fall back to
+ * its defaults for anything that is missing from the result.
+ *
+ * @param {string} hash - URL hash, with or without the leading #
+ * @returns {Object} Subset of {country, year, gapShare, nasSource, customNas, topCutoff,
+ *                   method, view, reference}
+ */
+export function decodeUrlState(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const decoded = {};
+
+    const country = params.get('country');
+    if (country && /^[A-Za-z0-9_-]+$/.test(country)) {
+        decoded.country = country.toUpperCase();
+    }
+
+    const year = Number(params.get('year'));
+    if (Number.isInteger(year) && year > 0) {
+        decoded.year = year;
+    }
+
+    const gap = params.has('gap') ? Number(params.get('gap')) : NaN;
+    if (isFinite(gap) && gap >= 0 && gap <= 100) {
+        decoded.gapShare = gap / 100;
+    }
+
+    const nas = params.get('nas');
+    if (NAS_SOURCES.includes(nas)) {
+        decoded.nasSource = nas;
+    }
+
+    const nasValue = params.has('nasv') ? Number(params.get('nasv')) : NaN;
+    if (isFinite(nasValue) && nasValue > 0) {
+        decoded.customNas = {
+            type: CUSTOM_NAS_TYPES.includes(params.get('nast')) ? params.get('nast') : 'ratio',
+            value: nasValue,
+            label: (params.get('nasl') || '').trim().slice(0, 80)
+        };
+    }
+
+    const cutoff = params.has('cutoff') ? Number(params.get('cutoff')) : NaN;
+    if (isFinite(cutoff) && cutoff > 0 && cutoff < 1) {
+        decoded.topCutoff = cutoff;
+    }
+
+    const method = params.get('method');
+    if (method && /^[a-z-]+$/.test(method)) {
+        decoded.method = method;
+    }
+
+    const view = params.get('view');
+    if (view && /^[a-z-]+$/.test(view)) {
+        decoded.view = view;
+    }
+
+    if (params.has('ref')) {
+        decoded.reference = params.get('ref') === '1';
+    }
+
+    return decoded;
+}
+
+/**
+ * Read state from the current page URL
+ */
+export function readUrlState() {
+    return decodeUrlState(window.location.hash);
+}
+
+/**
+ * Write state to the page URL without adding a history entry
+ */
+export function writeUrlState(values) {
+    const hash = '#' + encodeUrlState(values);
+    if (hash !== window.location.hash) {
+        history.replaceState(null, '', hash);
+    }
+}
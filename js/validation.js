@@ -0,0 +1,209 @@
+/**
+ * validation.js - Checks on distribution files before they are adjusted
+ *
+ * getDistribution() takes the bins as they are; problems in a file (p or l
+ * out of order, a curve above the diagonal, missing welfare values, a
+ * survey_mean that does not match the bins) otherwise only surface as an
+ * adjustment failure such as "Invalid income distribution in top decile".
+ * These checks name the problem and the bin it occurs in.
+ *
+ * Issues are {code, severity, message, row}: severity 'error' means the
+ * adjustment would fail or be meaningless, 'warning' that it runs but the
+ * result deserves a second look. row is the 1-based position of the bin in
+ * the survey distribution (null for file-level issues).
+ */
+
+import { calculateMeanFromBins } from './data-loader.js';
+
+// Fewest bins the correction methods accept
+export const MIN_BINS = 10;
+
+// Slack when checking that the curve ends at (1, 1) and stays below the diagonal
+const TOLERANCE = 1e-3;
+
+// Relative difference between two means that is reported as a mismatch
+const MEAN_TOLERANCE = 0.1;
+
+// Relative difference between the survey means of the NAS and distribution files
+const NAS_SURVEY_TOLERANCE = 0.01;
+
+/**
+ * Structural checks on a set of bins
+ *
+ * Every issue is an error: the adjustment cannot use bins that fail these.
+ *
+ * @param {Array} bins - Array of {p, l} objects, in file order
+ * @returns {Array<Object>} Issues {code, severity, message, row}
+ */
+export function validateBins(bins) {
+    const issues = [];
+    const error = (code, message, row = null) => issues.push({ code, severity: 'error', message, row });
+
+    if (!bins || bins.length < MIN_BINS) {
+        error('too-few-bins', `At least ${MIN_BINS} bins are needed (got ${bins ? bins.length : 0})`);
+        return issues;
+    }
+
+    const invalid = bins.findIndex(d => !isFinite(d.p) || !isFinite(d.l) || d.p < 0 || d.p > 1 || d.l < 0 || d.l > 1);
+    if (invalid >= 0) {
+        error('invalid-values', 'p and l must be numbers between 0 and 1', invalid + 1);
+        return issues;
+    }
+
+    const nonIncreasingP = bins.findIndex((d, i) => i > 0 && d.p <= bins[i - 1].p);
+    if (nonIncreasingP > 0) {
+        error('p-not-increasing', `p must increase (row ${nonIncreasingP + 1})`, nonIncreasingP + 1);
+    }
+
+    const decreasingL = bins.findIndex((d, i) => i > 0 && d.l < bins[i - 1].l);
+    if (decreasingL > 0) {
+        error('l-decreasing', `l must not decrease (row ${decreasingL + 1})`, decreasingL + 1);
+    }
+
+    const last = bins[bins.length - 1];
+    if (Math.abs(last.p - 1) > TOLERANCE || Math.abs(last.l - 1) > TOLERANCE) {
+        error('bad-endpoint', `The last bin must reach p = 1 and l = 1 (got ${last.p}, ${last.l})`, bins.length);
+    }
+
+    const above = bins.findIndex(d => d.l > d.p + TOLERANCE);
+    if (above >= 0) {
+        error('above-diagonal', `The Lorenz curve lies above the diagonal (row ${above + 1})`, above + 1);
+    }
+
+    return issues;
+}
+
+/**
+ * Check one country-year before it is adjusted
+ *
+ * Runs validateBins() and, if the bins are usable, checks the welfare
+ * values, the survey mean, the bins the Pareto tail is fitted to and the
+ * NAS record.
+ *
+ * @param {Object} distData - Output of getDistribution() / parseYearData()
+ * @param {Object} nasData - NAS record for the same country-year ({hfce, gdp, survey_mean}),
+ *                           or null to skip the NAS checks
+ * @param {Object} options - {topDecileCutoff} (default 0.9)
+ * @returns {Array<Object>} Issues {code, severity, message, row}, errors first
+ */
+export function validateDistribution(distData, nasData = null, options = {}) {
+    const { topDecileCutoff = 0.9 } = options;
+    const bins = distData?.distribution || [];
+    const issues = validateBins(bins);
+    const warn = (code, message, row = null) => issues.push({ code, severity: 'warning', message, row });
+
+    const surveyMean = distData?.surveyMean;
+    if (!(surveyMean > 0)) {
+        issues.push({
+            code: 'no-survey-mean',
+            severity: 'error',
+            message: 'No survey mean (survey_mean is missing and the bins have no welfare values)',
+            row: null
+        });
+    }
+
+    // The remaining checks assume ordered bins
+    if (issues.some(issue => issue.severity === 'error' && issue.code !== 'no-survey-mean')) {
+        return issues;
+    }
+
+    // Bin income shares per unit of population; they must not fall if the
+    // bins are sorted by welfare
+    const slopes = bins.map((d, i) => {
+        const prev = i > 0 ? bins[i - 1] : { p: 0, l: 0 };
+        return d.p > prev.p ? (d.l - prev.l) / (d.p - prev.p) : null;
+    });
+    const notConvex = slopes.findIndex((s, i) => i > 0 && s !== null && slopes[i - 1] !== null && s < slopes[i - 1] * (1 - TOLERANCE) - TOLERANCE);
+    if (notConvex > 0) {
+        warn('not-convex', `Bin income share per person falls at row ${notConvex + 1}; the bins may not be sorted by welfare`, notConvex + 1);
+    }
+
+    const missingW = bins.filter(d => !(d.w > 0)).length;
+    if (missingW > 0) {
+        warn('missing-w', `Welfare (w) is missing for ${missingW} of ${bins.length} bins; welfare levels are then read off the Lorenz curve`);
+    } else {
+        const decreasingW = bins.findIndex((d, i) => i > 0 && d.w < bins[i - 1].w);
+        if (decreasingW > 0) {
+            warn('w-decreasing', `Welfare (w) decreases at row ${decreasingW + 1}`, decreasingW + 1);
+        }
+
+        const binMean = calculateMeanFromBins(bins);
+        if (surveyMean > 0 && binMean > 0 && Math.abs(binMean / surveyMean - 1) > MEAN_TOLERANCE) {
+            warn(
+                'mean-mismatch',
+                `survey_mean (${surveyMean.toFixed(2)}) differs from the mean of the bin welfare values ` +
+                `(${binMean.toFixed(2)}) by ${formatPercent(binMean / surveyMean - 1)}`
+            );
+        }
+    }
+
+    // Bins the Pareto tail is fitted to (same rule as the correction methods)
+    const topIdx = bins.findIndex(d => d.p >= topDecileCutoff);
+    const topSlopes = topIdx < 0 ? [] : slopes.slice(topIdx + 1).filter(s => s !== null);
+    if (topSlopes.length < 2) {
+        warn('few-top-bins', `Fewer than 2 bins above p = ${topDecileCutoff}; the Pareto tail cannot be fitted at this cutoff`);
+    } else if (Math.min(...topSlopes) >= Math.max(...topSlopes)) {
+        warn('flat-top', `Bins above p = ${topDecileCutoff} all have the same income per person; alpha cannot be estimated`);
+    }
+
+    if (nasData) {
+        issues.push(...validateNas(nasData, surveyMean));
+    }
+
+    return issues;
+}
+
+/**
+ * Count issues by severity
+ *
+ * @param {Array<Object>} issues - Output of validateDistribution()
+ * @returns {Object} {errors, warnings}
+ */
+export function countIssues(issues) {
+    return {
+        errors: issues.filter(issue => issue.severity === 'error').length,
+        warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+}
+
+/**
+ * Checks on the NAS record of a country-year
+ */
+function validateNas(nasData, surveyMean) {
+    const issues = [];
+    const warn = (code, message) => issues.push({ code, severity: 'warning', message, row: null });
+
+    const sources = [['hfce', 'HFCE'], ['gdp', 'GDP']];
+    const available = sources.filter(([key]) => nasData[key] > 0);
+
+    if (available.length === 0) {
+        warn('no-nas', 'No NAS data for this country-year');
+        return issues;
+    }
+
+    sources.filter(([key]) => !(nasData[key] > 0)).forEach(([, label]) => {
+        warn('no-nas', `No ${label} value for this country-year`);
+    });
+
+    if (surveyMean > 0) {
+        available.filter(([key]) => nasData[key] <= surveyMean).forEach(([key, label]) => {
+            warn('nas-below-survey', `${label} mean (${nasData[key].toFixed(2)}) is not above the survey mean; there is no gap to adjust`);
+        });
+
+        if (nasData.survey_mean > 0 && Math.abs(nasData.survey_mean / surveyMean - 1) > NAS_SURVEY_TOLERANCE) {
+            warn(
+                'nas-survey-mismatch',
+                `nas_data.json has survey_mean ${nasData.survey_mean.toFixed(2)}, the distribution file ${surveyMean.toFixed(2)}`
+            );
+        }
+    }
+
+    return issues;
+}
+
+/**
+ * Signed percentage, e.g. "+27.3%"
+ */
+function formatPercent(value) {
+    return `${value > 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+}
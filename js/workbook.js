@@ -0,0 +1,140 @@
+/**
+ * workbook.js - Contents of the Excel workbook export
+ *
+ * One workbook holds everything the CSV exports write separately, plus the
+ * settings that produced it: a Parameters sheet, the summary statistics,
+ * the survey and adjusted distributions and the decile and top group
+ * shares. Sheets are built here as arrays of rows, numbers kept as numbers;
+ * export.js writes them out with SheetJS.
+ */
+
+import { DISTRIBUTION_COLUMNS, buildDistributionRows, buildSummaryFields } from './export.js';
+import { calculateGroupShares } from './lorenz.js';
+import { getMethod } from './methods.js';
+
+/**
+ * Build the sheets of the workbook
+ *
+ * @param {Object} context - {countryCode, countryName, year, distData, nasData,
+ *                           result, ginis: {surveyGini, adjustedGini}, poverty
+ *                           (output of comparePoverty() or null), params:
+ *                           {gapShare, nasSource, nasLabel, nasMean,
+ *                           topDecileCutoff, method}, exportedAt (Date)}
+ * @returns {Array} Sheets as {name, rows, widths}: rows is an array of arrays
+ *                  (null for blank cells), widths the column widths in characters
+ */
+export function buildWorkbookSheets(context) {
+    return [
+        { name: 'Parameters', rows: parameterRows(context), widths: [20, 40] },
+        { name: 'Summary', rows: summaryRows(context), widths: [24, 14] },
+        { name: 'Distributions', rows: distributionRows(context), widths: [8, 6, 9, 10, 10, 14, 11, 11, 13] },
+        { name: 'Decile shares', rows: shareRows(context), widths: [10, 8, 8, 13, 15, 13] }
+    ];
+}
+
+/**
+ * Short checksum of the input data of a country-year
+ *
+ * The bundled data carry no version number. The checksum covers the bins,
+ * the survey mean and the NAS record, so two workbooks with the same value
+ * were computed from the same inputs.
+ *
+ * @param {Object} distData - Output of getDistribution()
+ * @param {Object} nasData - NAS record ({hfce, gdp, survey_mean}) or null
+ * @returns {string} 8 hex digits
+ */
+export function dataFingerprint(distData, nasData) {
+    const content = JSON.stringify({
+        bins: distData.distribution.map(d => [d.p, d.l, d.w ?? null]),
+        surveyMean: distData.surveyMean,
+        nas: nasData ? [nasData.hfce ?? null, nasData.gdp ?? null, nasData.survey_mean ?? null] : null
+    });
+
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < content.length; i++) {
+        hash ^= content.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Parameters sheet: what was adjusted, how, and from which data
+ */
+function parameterRows({ countryCode, countryName, year, distData, nasData, params, exportedAt }) {
+    const method = getMethod(params.method);
+
+    return [
+        ['parameter', 'value'],
+        ['country', countryCode],
+        ['country_name', countryName || null],
+        ['year', year],
+        ['method', method ? method.label : params.method],
+        ['gap_share', params.gapShare],
+        ['nas_source', params.nasSource],
+        ['nas_label', params.nasLabel || null],
+        ['nas_mean', params.nasMean ?? null],
+        ['top_cutoff', params.topDecileCutoff],
+        ['data_source', distData.isUpload ? 'Uploaded file' : 'Bundled data'],
+        ['data_version', dataFingerprint(distData, nasData)],
+        ['exported_at', exportedAt.toISOString()]
+    ];
+}
+
+/**
+ * Summary sheet: the summary CSV's fields as rows, with the adjustment status after the year
+ */
+function summaryRows({ countryCode, year, result, ginis, poverty, params }) {
+    // The sheet records the settings used even when the adjustment failed
+    const tagged = {
+        ...result,
+        nasSource: params.nasSource,
+        nasLabel: params.nasLabel,
+        gapShare: params.gapShare,
+        topDecileCutoff: params.topDecileCutoff,
+        method: params.method
+    };
+    const fields = buildSummaryFields(tagged, ginis, countryCode, year, poverty).map(f => [f.key, f.value]);
+
+    return [
+        ['field', 'value'],
+        ...fields.slice(0, 2),
+        ['adjusted', result.adjusted ? 1 : 0],
+        ['reason', result.adjusted ? null : result.reason || null],
+        ...fields.slice(2)
+    ];
+}
+
+/**
+ * Distributions sheet: the rows of the distribution CSV, numbers unformatted
+ */
+function distributionRows({ countryCode, year, distData, result }) {
+    return [
+        DISTRIBUTION_COLUMNS.map(c => c.key),
+        ...buildDistributionRows(result, countryCode, year, distData.distribution)
+    ];
+}
+
+/**
+ * Decile shares sheet: income share of each decile and top group, survey vs. adjusted
+ */
+function shareRows({ distData, result }) {
+    const survey = calculateGroupShares(distData.distribution.map(d => ({ p: d.p, l: d.l }))) || [];
+    const adjusted = result.adjusted ? calculateGroupShares(result.adjustedDist) : null;
+
+    return [
+        ['group', 'p_low', 'p_high', 'share_survey', 'share_adjusted', 'share_change'],
+        ...survey.map((group, i) => {
+            const adjustedShare = adjusted ? adjusted[i].share : null;
+            return [
+                group.label,
+                group.pLow,
+                group.pHigh,
+                group.share,
+                adjustedShare,
+                adjustedShare !== null ? adjustedShare - group.share : null
+            ];
+        })
+    ];
+}
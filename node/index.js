@@ -0,0 +1,245 @@
+/**
+ * node/index.js - Headless Node.js API for the Chandy-Seidel adjustment
+ *
+ * Reads the same data folder the web page uses (countries.json,
+ * nas_data.json, distributions/*.json) from disk and runs the adjustment
+ * with the browser code, so batch pipelines reproduce the web numbers.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { summarizeCountryYear } from '../js/batch.js';
+import { parseYearData } from '../js/data-loader.js';
+import { decomposeGiniChange } from '../js/decomposition.js';
+import { buildDistributionCSV, buildMultipleSummaryCSV, buildValidationCSV } from '../js/export.js';
+import { validateDistribution } from '../js/validation.js';
+
+export { calculateChandySeidel, getAdjustmentSummary } from '../js/chandy-seidel.js';
+export { METHODS, runMethod } from '../js/methods.js';
+export { decomposeGiniChange } from '../js/decomposition.js';
+export { countIssues, validateBins, validateDistribution } from '../js/validation.js';
+export { DEFAULT_POVERTY_LINES, calculateFGT, comparePoverty } from '../js/poverty.js';
+export {
+    calculateGeneralizedLorenz,
+    calculateGini,
+    calculateIncomeShares,
+    calculateLorenzGap,
+    calculateStatistics,
+    checkDominance
+} from '../js/lorenz.js';
+
+/**
+ * Load the data folder from disk
+ *
+ * Distribution files listed in countries.json but missing on disk are
+ * recorded as null rather than failing the whole load.
+ *
+ * @param {string} dataDir - Path to the data folder
+ * @returns {Promise<Object>} {countries, nas, distributions} where
+ *                            distributions maps country code -> file contents
+ */
+export async function loadDataFolder(dataDir) {
+    const [countries, nas] = await Promise.all([
+        readJSON(path.join(dataDir, 'countries.json')),
+        readJSON(path.join(dataDir, 'nas_data.json'))
+    ]);
+
+    const distributions = new Map();
+    await Promise.all(countries.map(async country => {
+        try {
+            const file = path.join(dataDir, 'distributions', `${country.code}.json`);
+            distributions.set(country.code, await readJSON(file));
+        } catch (error) {
+            distributions.set(country.code, null);
+        }
+    }));
+
+    return { countries, nas, distributions };
+}
+
+/**
+ * Run the adjustment over the loaded data folder
+ *
+ * @param {Object} data - Output of loadDataFolder()
+ * @param {Object} params - {gapShare, nasSource, topDecileCutoff, method, povertyLines}
+ * @param {Object} filter - Optional {countries: [codes], years: [years]}
+ * @returns {Array} Rows of {countryCode, year, result, ginis}, one per country-year
+ */
+export function runAdjustment(data, params = {}, filter = {}) {
+    const rows = [];
+
+    data.countries.forEach(country => {
+        if (filter.countries?.length && !filter.countries.includes(country.code)) return;
+
+        (country.years || []).forEach(year => {
+            if (filter.years?.length && !filter.years.includes(year)) return;
+
+            const countryData = data.distributions.get(country.code);
+            const yearData = countryData?.years?.[year];
+
+            if (!yearData) {
+                rows.push({
+                    countryCode: country.code,
+                    year,
+                    result: {
+                        adjusted: false,
+                        reason: countryData
+                            ? `No data available for ${country.code} in ${year}`
+                            : `No distribution file for ${country.code}`
+                    },
+                    ginis: { surveyGini: null, adjustedGini: null }
+                });
+                return;
+            }
+
+            const distData = parseYearData(country.code, year, yearData);
+            const nasData = data.nas[country.code]?.[year] || null;
+
+            rows.push(summarizeCountryYear(distData, nasData, params));
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Check every country-year of the loaded data folder
+ *
+ * @param {Object} data - Output of loadDataFolder()
+ * @param {Object} options - {topDecileCutoff} passed to validateDistribution()
+ * @param {Object} filter - Optional {countries: [codes], years: [years]}
+ * @returns {Array} Rows of {countryCode, year, issues}, one per country-year
+ */
+export function validateDataFolder(data, options = {}, filter = {}) {
+    const rows = [];
+
+    data.countries.forEach(country => {
+        if (filter.countries?.length && !filter.countries.includes(country.code)) return;
+
+        (country.years || []).forEach(year => {
+            if (filter.years?.length && !filter.years.includes(year)) return;
+
+            const countryData = data.distributions.get(country.code);
+            const yearData = countryData?.years?.[year];
+
+            if (!yearData) {
+                rows.push({
+                    countryCode: country.code,
+                    year,
+                    issues: [{
+                        code: 'load-failed',
+                        severity: 'error',
+                        message: countryData
+                            ? `No data available for ${country.code} in ${year}`
+                            : `No distribution file for ${country.code}`,
+                        row: null
+                    }]
+                });
+                return;
+            }
+
+            const distData = parseYearData(country.code, year, yearData);
+            const nasData = data.nas[country.code]?.[year] || null;
+
+            rows.push({ countryCode: country.code, year, issues: validateDistribution(distData, nasData, options) });
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Format validation rows as CSV (same columns as the web diagnostics export)
+ */
+export function validationToCSV(rows) {
+    return buildValidationCSV(rows);
+}
+
+/**
+ * Format validation rows as plain JSON records
+ */
+export function validationToJSON(rows) {
+    return rows.map(({ countryCode, year, issues }) => ({ country: countryCode, year, issues }));
+}
+
+/**
+ * Format summary rows as CSV (same columns as the web cross-country export)
+ */
+export function summaryToCSV(rows) {
+    return buildMultipleSummaryCSV(rows);
+}
+
+/**
+ * Format summary rows as plain JSON records
+ *
+ * Rows run with povertyLines also carry a poverty array of
+ * {line, survey: {headcount, gap, severity}, adjusted: {...}}.
+ */
+export function summaryToJSON(rows) {
+    return rows.map(({ countryCode, year, result, ginis, poverty }) => ({
+        country: countryCode,
+        year,
+        method: result.method ?? null,
+        adjusted: result.adjusted,
+        reason: result.adjusted ? null : result.reason,
+        survey_mean: result.surveyMean ?? null,
+        nas_mean: result.nasMean ?? null,
+        nas_source: result.nasSource ?? null,
+        nas_label: result.nasLabel ?? null,
+        adjusted_mean: result.adjustedMean ?? null,
+        gap_percent: result.gapPercent ?? null,
+        gap_share_used: result.gapShare ?? null,
+        top_cutoff: result.topDecileCutoff ?? null,
+        pareto_alpha: result.alpha ?? null,
+        survey_pct: result.surveyPct ?? null,
+        pareto_bins_added: result.paretoTailBins ?? 0,
+        gini_survey: ginis.surveyGini,
+        gini_adjusted: ginis.adjustedGini,
+        ...decompositionFields(result),
+        ...(poverty ? { poverty } : {})
+    }));
+}
+
+/**
+ * Rescaled Gini and the rescaling/tail effects of the Gini change (null if not adjusted)
+ */
+function decompositionFields(result) {
+    const dec = decomposeGiniChange(result);
+    return {
+        gini_rescaled: dec?.rescaledGini ?? null,
+        gini_change_rescaling: dec?.rescalingEffect ?? null,
+        gini_change_tail: dec?.tailEffect ?? null
+    };
+}
+
+/**
+ * Format the adjusted distributions of all adjusted rows as one CSV
+ */
+export function distributionsToCSV(rows) {
+    return rows
+        .filter(row => row.result.adjusted)
+        .map((row, idx) => buildDistributionCSV(row.result, row.countryCode, row.year, idx === 0))
+        .join('');
+}
+
+/**
+ * Format the survey and adjusted distributions of all adjusted rows as JSON
+ */
+export function distributionsToJSON(rows) {
+    return rows
+        .filter(row => row.result.adjusted)
+        .map(({ countryCode, year, result }) => ({
+            country: countryCode,
+            year,
+            survey: result.originalDist.map(d => ({ p: d.p, l: d.l, w: d.w ?? null })),
+            adjusted: result.adjustedDist.map(d => ({ p: d.p, l: d.l, is_pareto_tail: d.isPareto ? 1 : 0 }))
+        }));
+}
+
+/**
+ * Read and parse a JSON file
+ */
+async function readJSON(file) {
+    return JSON.parse(await readFile(file, 'utf8'));
+}
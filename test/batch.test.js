@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runBatchAdjustment, runCountryTimeSeries, sortBatchRows } from '../js/batch.js';
+import { readJSON } from './helpers.js';
+
+// data-loader.js fetches the data files; serve a small catalogue from disk.
+// USA 2016 has no NAS record and USA 2022 has no distribution.
+const nas = readJSON('data/nas_data.json');
+delete nas.USA[2016];
+
+const files = {
+    'data/countries.json': [
+        { code: 'USA', name: 'United States', region: 'NAC', years: [2022, 2016, 2019] },
+        { code: 'BRA', name: 'Brazil', region: 'LAC', years: [2019] }
+    ],
+    'data/nas_data.json': nas,
+    'data/distributions/USA.json': readJSON('data/distributions/USA.json'),
+    'data/distributions/BRA.json': readJSON('data/distributions/BRA.json')
+};
+
+globalThis.fetch = async url => files[url]
+    ? { ok: true, json: async () => structuredClone(files[url]) }
+    : { ok: false, status: 404, statusText: 'Not Found' };
+
+/**
+ * Batch row with the given Gini values
+ */
+function row(countryCode, surveyGini, adjustedGini) {
+    return { countryCode, year: 2019, result: { adjusted: adjustedGini !== null }, ginis: { surveyGini, adjustedGini } };
+}
+
+test('runBatchAdjustment keeps country-years that fail to load as non-adjusted rows', async () => {
+    const progress = [];
+    const rows = await runBatchAdjustment({ gapShare: 0.5, nasSource: 'hfce', topDecileCutoff: 0.9 },
+        (done, total) => progress.push([done, total]));
+
+    assert.deepEqual(rows.map(r => `${r.countryCode} ${r.year}`), ['USA 2022', 'USA 2016', 'USA 2019', 'BRA 2019']);
+
+    assert.equal(rows[0].result.adjusted, false);
+    assert.match(rows[0].result.reason, /No data available for USA in 2022/);
+    assert.deepEqual(rows[0].ginis, { surveyGini: null, adjustedGini: null });
+
+    assert.equal(rows[1].result.adjusted, false);
+    assert.equal(rows[1].result.reason, 'No NAS data available');
+    assert.ok(rows[1].ginis.surveyGini > 0);
+
+    assert.equal(rows[2].result.adjusted, true);
+    assert.equal(rows[2].result.nasSource, 'hfce');
+    assert.ok(rows[2].ginis.adjustedGini > rows[2].ginis.surveyGini);
+
+    assert.deepEqual(progress, [[1, 4], [2, 4], [3, 4], [4, 4]]);
+});
+
+test('sortBatchRows sorts numbers both ways and keeps missing values last', () => {
+    const rows = [row('A', 0.4, 0.45), row('B', 0.3, null), row('C', 0.5, 0.6), row('D', 0.35, null), row('E', 0.2, 0.21)];
+
+    assert.deepEqual(sortBatchRows(rows, 'giniAdjusted').map(r => r.countryCode), ['E', 'A', 'C', 'B', 'D']);
+    assert.deepEqual(sortBatchRows(rows, 'giniAdjusted', 'desc').map(r => r.countryCode), ['C', 'A', 'E', 'B', 'D']);
+    assert.deepEqual(sortBatchRows(rows, 'giniChange', 'desc').map(r => r.countryCode), ['C', 'A', 'E', 'B', 'D']);
+});
+
+test('sortBatchRows compares text columns and leaves the input untouched', () => {
+    const rows = [row('ZAF', 0.6, 0.65), row('BRA', 0.5, 0.55), row('USA', 0.4, 0.45)];
+
+    assert.deepEqual(sortBatchRows(rows, 'country').map(r => r.countryCode), ['BRA', 'USA', 'ZAF']);
+    assert.deepEqual(sortBatchRows(rows, 'country', 'desc').map(r => r.countryCode), ['ZAF', 'USA', 'BRA']);
+    assert.deepEqual(rows.map(r => r.countryCode), ['ZAF', 'BRA', 'USA']);
+
+    const unsorted = sortBatchRows(rows, 'no-such-column');
+    assert.notEqual(unsorted, rows);
+    assert.deepEqual(unsorted, rows);
+});
+
+test('runCountryTimeSeries sorts the years and reports the ones that fail to load', async () => {
+    const skipped = [];
+    const points = await runCountryTimeSeries('USA', { gapShare: 0.5, topDecileCutoff: 0.9 },
+        (year, error) => skipped.push([year, error.message]));
+
+    assert.deepEqual(points.map(d => d.year), [2016, 2019]);
+    assert.deepEqual(skipped, [[2022, 'No data available for USA in 2022']]);
+
+    const [noNas, full] = points;
+    assert.ok(noNas.surveyGini > 0);
+    assert.deepEqual(noNas.hfce, { nasRatio: null, adjustedGini: null, alpha: null });
+    assert.deepEqual(noNas.gdp, { nasRatio: null, adjustedGini: null, alpha: null });
+
+    ['hfce', 'gdp'].forEach(source => {
+        assert.ok(full[source].nasRatio > 1);
+        assert.ok(full[source].adjustedGini > full.surveyGini);
+        assert.ok(full[source].alpha > 1);
+    });
+    assert.ok(full.gdp.adjustedGini > full.hfce.adjustedGini);
+});
+
+test('runCountryTimeSeries returns nothing for an unknown country', async () => {
+    assert.deepEqual(await runCountryTimeSeries('XXX', { gapShare: 0.5 }), []);
+});
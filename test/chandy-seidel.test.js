@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel, generateParetoTail } from '../js/chandy-seidel.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const { distribution, surveyMean } = distData;
+
+test('calculateChandySeidel rejects invalid inputs', () => {
+    assert.equal(calculateChandySeidel(distribution.slice(0, 5), surveyMean, nasData.hfce).adjusted, false);
+    assert.equal(calculateChandySeidel(distribution, 0, nasData.hfce).adjusted, false);
+    assert.equal(calculateChandySeidel(distribution, surveyMean, null).adjusted, false);
+});
+
+test('calculateChandySeidel skips the adjustment when NAS <= survey mean', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, surveyMean * 0.9);
+    assert.equal(result.adjusted, false);
+    assert.equal(result.gap, 0);
+});
+
+test('calculateChandySeidel returns a valid Lorenz curve', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    assert.equal(result.adjusted, true);
+
+    const dist = result.adjustedDist;
+    assert.deepEqual([dist[0].p, dist[0].l], [0, 0]);
+    assert.deepEqual([dist.at(-1).p, dist.at(-1).l], [1, 1]);
+
+    for (let i = 1; i < dist.length; i++) {
+        assert.ok(dist[i].p >= dist[i - 1].p, `p decreases at ${i}`);
+        assert.ok(dist[i].l >= dist[i - 1].l, `l decreases at ${i}`);
+        assert.ok(dist[i].l <= dist[i].p + 1e-12, `curve above the diagonal at ${i}`);
+    }
+
+    assert.equal(dist.filter(d => d.isPareto).length, result.paretoTailBins);
+});
+
+test('calculateChandySeidel rescales the survey bins by surveyPct and ratio', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const rescaled = result.adjustedDist.filter(d => !d.isPareto && d.originalP !== undefined);
+
+    assert.equal(rescaled.length, distribution.length);
+    rescaled.forEach(d => {
+        assert.ok(Math.abs(d.p - d.originalP * result.surveyPct) < 1e-12);
+        assert.ok(Math.abs(d.l - d.originalL * result.ratio) < 1e-12);
+    });
+});
+
+test('calculateChandySeidel closes the whole gap when gapShare = 1', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 1, 0.9);
+    assert.ok(Math.abs(result.adjustedMean - nasData.hfce) < 1e-9);
+});
+
+test('calculateChandySeidel: a larger gap share gives a fatter tail', () => {
+    const low = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.25, 0.9);
+    const high = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.75, 0.9);
+    assert.ok(high.alpha < low.alpha);
+    assert.ok(high.surveyPct < low.surveyPct);
+});
+
+test('generateParetoTail ends at the top of the distribution', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const { alpha, surveyPctTop, ratio, topDecileL, topDecileP, surveyPct } = result;
+    const tail = generateParetoTail(alpha, surveyPctTop, ratio, topDecileL, topDecileP, surveyPct);
+
+    assert.equal(tail.length, Math.floor(100 * (1 - surveyPctTop)) + 1);
+    assert.equal(tail.at(-1).pPareto, 1);
+    assert.equal(tail.at(-1).lPareto, 1);
+    assert.ok(Math.abs(tail.at(-1).l - 1) < 1e-12);
+
+    for (let i = 1; i < tail.length; i++) {
+        assert.ok(tail[i].p > tail[i - 1].p);
+        assert.ok(tail[i].l > tail[i - 1].l);
+    }
+    tail.forEach(bin => assert.equal(bin.isPareto, true));
+});
+
+test('generateParetoTail follows the Pareto Lorenz formula', () => {
+    const alpha = 2.5;
+    const tail = generateParetoTail(alpha, 0.95, 0.9, 0.7, 0.9, 0.98);
+
+    tail.forEach(bin => {
+        assert.ok(Math.abs(bin.lPareto - (1 - Math.pow(1 - bin.pPareto, 1 - 1 / alpha))) < 1e-12);
+        assert.ok(Math.abs(bin.l - (0.9 * 0.7 + bin.lPareto * (1 - 0.9 * 0.7))) < 1e-12);
+    });
+});
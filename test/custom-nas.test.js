@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { summarizeCountryYear } from '../js/batch.js';
+import { formatNasSource, getNasMean } from '../js/data-loader.js';
+import { decodeUrlState, encodeUrlState } from '../js/url-state.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+
+test('a custom ratio scales the survey mean, a custom mean is used as is', () => {
+    const ratio = { type: 'ratio', value: 1.5, label: '' };
+    assert.equal(getNasMean(nasData, 'custom', ratio, 20), 30);
+    assert.equal(getNasMean(nasData, 'custom', ratio), 1.5 * nasData.survey_mean);
+    assert.equal(getNasMean(null, 'custom', { type: 'mean', value: 42 }), 42);
+
+    assert.equal(getNasMean(nasData, 'custom', null), null);
+    assert.equal(getNasMean(nasData, 'custom', { type: 'mean', value: 0 }), null);
+    assert.equal(getNasMean(nasData, 'hfce', ratio), nasData.hfce);
+});
+
+test('formatNasSource names the custom source by its label', () => {
+    assert.equal(formatNasSource('gdp'), 'GDP');
+    assert.equal(formatNasSource('custom', { label: 'HFCE minus imputed rents' }), 'HFCE minus imputed rents');
+    assert.equal(formatNasSource('custom', { label: '' }), 'Custom NAS');
+});
+
+test('the custom source round-trips through the URL', () => {
+    const customNas = { type: 'mean', value: 37.5, label: 'HFCE minus NPISH' };
+    const hash = encodeUrlState({ country: 'USA', year: 2019, nasSource: 'custom', customNas });
+    const decoded = decodeUrlState(hash);
+
+    assert.equal(decoded.nasSource, 'custom');
+    assert.deepEqual(decoded.customNas, customNas);
+
+    // Not written for the bundled sources
+    assert.equal(decodeUrlState(encodeUrlState({ nasSource: 'hfce', customNas })).customNas, undefined);
+});
+
+test('batch results record the NAS source they were adjusted with', () => {
+    const customNas = { type: 'ratio', value: 1.3, label: 'Adjusted HFCE' };
+    const row = summarizeCountryYear(distData, nasData, { gapShare: 0.5, nasSource: 'custom', customNas });
+
+    assert.equal(row.result.nasSource, 'custom');
+    assert.equal(row.result.nasLabel, 'Adjusted HFCE');
+    assert.ok(Math.abs(row.result.nasMean - 1.3 * distData.surveyMean) < 1e-9);
+});
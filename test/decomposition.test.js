@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { decomposeGiniChange } from '../js/decomposition.js';
+import { calculateGini } from '../js/lorenz.js';
+import { runMethod } from '../js/methods.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const { distribution, surveyMean } = distData;
+
+test('the two effects add up to the total Gini change', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const dec = decomposeGiniChange(result);
+
+    assert.equal(dec.surveyGini, calculateGini(distribution));
+    assert.equal(dec.adjustedGini, calculateGini(result.adjustedDist));
+    assert.ok(Math.abs(dec.rescalingEffect + dec.tailEffect - dec.totalChange) < 1e-12);
+});
+
+test('rescaled curve keeps the survey bins at (p * surveyPct, l * ratio)', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const dec = decomposeGiniChange(result);
+    const curve = dec.rescaledLorenz;
+
+    assert.deepEqual([curve.at(-1).p, curve.at(-1).l], [1, 1]);
+    const last = curve.at(-2);
+    assert.ok(Math.abs(last.p - result.surveyPct) < 1e-12);
+    assert.ok(Math.abs(last.l - result.ratio) < 1e-12);
+
+    assert.ok(Math.abs(dec.tailPopShare - (1 - result.surveyPct)) < 1e-12);
+    assert.ok(Math.abs(dec.tailIncomeShare - (1 - result.ratio)) < 1e-12);
+});
+
+test('the rescaled Gini is that of the survey and an equal-income top group', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const dec = decomposeGiniChange(result);
+    const { surveyPct, ratio } = result;
+
+    const expected = surveyPct * ratio * dec.surveyGini + surveyPct - ratio;
+    assert.ok(Math.abs(dec.rescaledGini - expected) < 1e-9);
+    assert.ok(Math.abs(dec.tailEffect - (dec.adjustedGini - expected)) < 1e-9);
+});
+
+test('both steps raise the Gini for a tail richer than the survey', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const dec = decomposeGiniChange(result);
+
+    // The added population holds far more than its share of income even in
+    // equal amounts; concentrating it according to alpha adds a little more
+    assert.ok(dec.rescalingEffect > 0);
+    assert.ok(dec.tailEffect > 0);
+    assert.ok(dec.tailEffect < dec.rescalingEffect);
+    assert.ok(dec.rescaledGini > dec.surveyGini && dec.rescaledGini < dec.adjustedGini);
+});
+
+test('methods that keep the population attribute the whole change to the tail', () => {
+    const result = runMethod('proportional', distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const dec = decomposeGiniChange(result);
+
+    assert.equal(dec.rescalingEffect, 0);
+    assert.equal(dec.tailPopShare, 0);
+    assert.ok(Math.abs(dec.tailEffect - dec.totalChange) < 1e-12);
+});
+
+test('decomposeGiniChange returns null when nothing was adjusted', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, surveyMean * 0.9);
+    assert.equal(decomposeGiniChange(result), null);
+    assert.equal(decomposeGiniChange(null), null);
+});
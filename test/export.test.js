@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildGroupSharesCSV } from '../js/export.js';
+import { calculateTopShare } from '../js/lorenz.js';
+import { runMethod } from '../js/methods.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const surveyLorenz = distData.distribution.map(d => ({ p: d.p, l: d.l }));
+const result = runMethod('chandy-seidel', distData.distribution, distData.surveyMean, nasData.hfce, 0.5, 0.9);
+
+/**
+ * CSV content as records keyed by the header
+ */
+function parseCSV(csv) {
+    const [header, ...lines] = csv.trimEnd().split('\n').map(line => line.split(','));
+    return { header, records: lines.map(line => Object.fromEntries(header.map((key, i) => [key, line[i]]))) };
+}
+
+test('buildGroupSharesCSV writes one row per decile and top group', () => {
+    const { header, records } = parseCSV(buildGroupSharesCSV(surveyLorenz, result, 'USA', 2019));
+
+    assert.deepEqual(header, ['country', 'year', 'group', 'p_low', 'p_high', 'share_survey', 'share_adjusted', 'share_change']);
+    assert.deepEqual(records.slice(0, 10).map(r => r.group), ['D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 'D8', 'D9', 'D10']);
+    assert.ok(records.slice(10).every(r => r.group.startsWith('Top ') && r.p_high === '1.000'));
+    assert.ok(records.every(r => r.country === 'USA' && r.year === '2019'));
+});
+
+test('decile shares sum to 1 on both distributions', () => {
+    const { records } = parseCSV(buildGroupSharesCSV(surveyLorenz, result, 'USA', 2019));
+    const deciles = records.slice(0, 10);
+    const sum = key => deciles.reduce((total, r) => total + Number(r[key]), 0);
+
+    assert.ok(Math.abs(sum('share_survey') - 1) < 1e-5);
+    assert.ok(Math.abs(sum('share_adjusted') - 1) < 1e-5);
+    assert.ok(Math.abs(sum('share_change')) < 1e-5);
+
+    const top1 = records.find(r => r.group === 'Top 1%');
+    assert.equal(Number(top1.share_survey), Number(calculateTopShare(surveyLorenz, 0.01).toFixed(6)));
+    assert.ok(Number(top1.share_change) > 0);
+});
+
+test('buildGroupSharesCSV leaves the adjusted columns blank without an adjustment', () => {
+    const failed = runMethod('chandy-seidel', distData.distribution, distData.surveyMean, distData.surveyMean * 0.9, 0.5, 0.9);
+    const { records } = parseCSV(buildGroupSharesCSV(surveyLorenz, failed, 'USA', 2019));
+
+    assert.ok(records.every(r => r.share_adjusted === '' && r.share_change === ''));
+    assert.ok(records.every(r => Number(r.share_survey) > 0));
+});
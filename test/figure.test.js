@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FIGURE_SIZES, PX_PER_INCH, legendItems } from '../js/figure.js';
+
+// buildFigureSVG() draws through D3 into the page and reads computed
+// styles, so it needs a browser; these tests cover what it is built from.
+
+const colors = { survey: '#1', adjusted: '#2', paretoPoints: '#3', reference: '#4' };
+const curve = [{ p: 0, l: 0 }, { p: 1, l: 1 }];
+
+test('the legend lists only the curves that are drawn', () => {
+    assert.deepEqual(legendItems({ surveyLorenz: curve }, colors), [{ label: 'Survey', color: '#1' }]);
+    assert.deepEqual(legendItems({ surveyLorenz: curve, paretoPoints: [] }, colors).map(d => d.label), ['Survey']);
+});
+
+test('the legend follows the drawing order with a swatch per kind of curve', () => {
+    const items = legendItems({
+        surveyLorenz: curve,
+        adjustedLorenz: curve,
+        band: { lower: curve, upper: curve },
+        paretoPoints: [{ p: 0.99, l: 0.9 }],
+        referenceLorenz: curve,
+        pinned: [{ label: 'BRA 2019 (50%, HFCE, top 10%)', color: '#5' }]
+    }, colors);
+
+    assert.deepEqual(items.map(d => d.label), [
+        'Survey', 'Adjusted', 'Uncertainty band', 'Pareto tail bins', 'Stata tail', 'BRA 2019 (50%, HFCE, top 10%)'
+    ]);
+    assert.deepEqual(items.map(d => d.color), ['#1', '#2', '#2', '#3', '#4', '#5']);
+    assert.equal(items[2].isBand, true);
+    assert.equal(items[3].isPoint, true);
+    assert.equal(items[4].dashed, true);
+});
+
+test('preset sizes are in inches and fit the custom size limits', () => {
+    assert.equal(PX_PER_INCH, 96);
+    assert.deepEqual(FIGURE_SIZES.map(d => d.id), ['single', 'double', 'square', 'slide']);
+    FIGURE_SIZES.forEach(({ width, height }) => {
+        assert.ok(width >= 1 && width <= 20 && height >= 1 && height <= 20);
+    });
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateGrowthIncidence, compareGrowthIncidence } from '../js/growth.js';
+import { loadCountryYear } from './helpers.js';
+
+const squareLorenz = Array.from({ length: 101 }, (_, i) => ({ p: i / 100, l: (i / 100) ** 2 }));
+const equality = [{ p: 0, l: 0 }, { p: 1, l: 1 }];
+
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+test('distribution-neutral growth is flat at the growth of the mean', () => {
+    const gic = calculateGrowthIncidence(
+        { lorenz: squareLorenz, mean: 10 },
+        { lorenz: squareLorenz, mean: 20 },
+        5
+    );
+
+    const rate = Math.pow(2, 1 / 5) - 1;
+    gic.points.forEach(d => close(d.growth, rate));
+    close(gic.meanGrowth, rate);
+    close(gic.medianGrowth, rate);
+    close(gic.bottom40Growth, rate);
+    assert.equal(gic.proPoor, false);
+});
+
+test('falling inequality at a constant mean is pro-poor', () => {
+    const gic = calculateGrowthIncidence(
+        { lorenz: squareLorenz, mean: 10 },
+        { lorenz: equality, mean: 10 },
+        1
+    );
+
+    assert.equal(gic.meanGrowth, 0);
+    assert.ok(gic.points[0].growth > 0);
+    assert.ok(gic.points.at(-1).growth < 0);
+    assert.equal(gic.proPoor, true);
+});
+
+test('calculateGrowthIncidence needs a positive number of years', () => {
+    assert.equal(calculateGrowthIncidence({ lorenz: equality, mean: 1 }, { lorenz: equality, mean: 2 }, 0), null);
+});
+
+test('compareGrowthIncidence adjusts both years with the same parameters', () => {
+    const start = { year: 2013, ...loadCountryYear('USA', 2013) };
+    const end = { year: 2019, ...loadCountryYear('USA', 2019) };
+
+    const comparison = compareGrowthIncidence(start, end, { gapShare: 0.5, nasSource: 'hfce' });
+    assert.equal(comparison.years, 6);
+    assert.equal(comparison.reason, null);
+    assert.equal(comparison.survey.points.length, 99);
+    assert.equal(comparison.adjusted.points.length, 99);
+
+    // The adjusted means grow by the adjusted mean ratio
+    const adjustedMean = ({ distData, nasData }) =>
+        distData.surveyMean + 0.5 * (nasData.hfce - distData.surveyMean);
+    close(comparison.adjusted.meanGrowth, Math.pow(adjustedMean(end) / adjustedMean(start), 1 / 6) - 1);
+});
+
+test('compareGrowthIncidence reports the year that cannot be adjusted', () => {
+    const start = { year: 2013, ...loadCountryYear('USA', 2013) };
+    const end = { year: 2019, ...loadCountryYear('USA', 2019) };
+    const noGap = { ...end, nasData: { hfce: end.distData.surveyMean * 0.9 } };
+
+    const comparison = compareGrowthIncidence(start, noGap, { nasSource: 'hfce' });
+    assert.equal(comparison.adjusted, null);
+    assert.match(comparison.reason, /^2019: /);
+    assert.ok(comparison.survey);
+});
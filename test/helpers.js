@@ -0,0 +1,34 @@
+/**
+ * helpers.js - Shared fixtures for the test suite
+ */
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { parseYearData } from '../js/data-loader.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const DATA_DIR = path.join(ROOT_DIR, 'data');
+
+/**
+ * Read a JSON file relative to the repository root
+ */
+export function readJSON(relativePath) {
+    return JSON.parse(readFileSync(path.join(ROOT_DIR, relativePath), 'utf8'));
+}
+
+/**
+ * Load one country-year from the bundled data in the standard format
+ *
+ * @returns {Object} {distData, nasData}
+ */
+export function loadCountryYear(countryCode, year) {
+    const file = readJSON(`data/distributions/${countryCode}.json`);
+    const nas = readJSON('data/nas_data.json');
+
+    return {
+        distData: parseYearData(countryCode, year, file.years[year]),
+        nasData: nas[countryCode][year]
+    };
+}
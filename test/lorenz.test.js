@@ -0,0 +1,204 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    calculateGini,
+    calculateGroupShares,
+    calculateIncomeShares,
+    calculateLorenzRange,
+    calculateTopShare,
+    calculateAreaBetweenCurves,
+    calculateAtkinson,
+    calculateGeneralizedEntropy,
+    calculateGeneralizedLorenz,
+    calculateLorenzGap,
+    calculatePercentileRatio,
+    calculateQuantileFunction,
+    calculateStatistics,
+    checkDominance,
+    getBinIncomes,
+    getEqualityLine,
+    relativeIncomeAt
+} from '../js/lorenz.js';
+
+const squareLorenz = Array.from({ length: 101 }, (_, i) => ({ p: i / 100, l: (i / 100) ** 2 }));
+
+test('calculateGini is 0 on the equality line', () => {
+    assert.ok(Math.abs(calculateGini(getEqualityLine())) < 1e-12);
+});
+
+test('calculateGini matches a hand-computed piecewise Lorenz curve', () => {
+    // Area under (0,0)-(0.5,0.1)-(1,1) is 0.025 + 0.275 = 0.3, so Gini = 0.4
+    const gini = calculateGini([{ p: 0, l: 0 }, { p: 0.5, l: 0.1 }, { p: 1, l: 1 }]);
+    assert.ok(Math.abs(gini - 0.4) < 1e-12);
+});
+
+test('calculateGini adds the origin when it is missing', () => {
+    const withOrigin = calculateGini([{ p: 0, l: 0 }, { p: 0.5, l: 0.1 }, { p: 1, l: 1 }]);
+    const withoutOrigin = calculateGini([{ p: 0.5, l: 0.1 }, { p: 1, l: 1 }]);
+    assert.equal(withoutOrigin, withOrigin);
+});
+
+test('calculateGini approximates 1/3 for L(p) = p^2', () => {
+    assert.ok(Math.abs(calculateGini(squareLorenz) - 1 / 3) < 1e-4);
+});
+
+test('calculateGini returns null for fewer than two points', () => {
+    assert.equal(calculateGini([]), null);
+    assert.equal(calculateGini([{ p: 1, l: 1 }]), null);
+    assert.equal(calculateGini(null), null);
+});
+
+test('calculateIncomeShares gives equal deciles on the equality line', () => {
+    const shares = calculateIncomeShares(getEqualityLine(), 10);
+    assert.equal(shares.length, 10);
+    shares.forEach(s => assert.ok(Math.abs(s.share - 0.1) < 1e-12));
+});
+
+test('calculateIncomeShares sums to one and increases for L(p) = p^2', () => {
+    const shares = calculateIncomeShares(squareLorenz, 5);
+    const total = shares.reduce((sum, s) => sum + s.share, 0);
+    assert.ok(Math.abs(total - 1) < 1e-12);
+
+    for (let i = 1; i < shares.length; i++) {
+        assert.ok(shares[i].share > shares[i - 1].share);
+    }
+    // Top quintile of p^2 holds 1 - 0.8^2 = 36%
+    assert.ok(Math.abs(shares[4].share - 0.36) < 1e-12);
+});
+
+test('calculateTopShare reads 1 - L(1 - top)', () => {
+    assert.ok(Math.abs(calculateTopShare(squareLorenz, 0.1) - (1 - 0.81)) < 1e-12);
+    assert.ok(Math.abs(calculateTopShare(getEqualityLine(), 0.01) - 0.01) < 1e-12);
+});
+
+test('calculateAreaBetweenCurves is 0 for identical curves', () => {
+    assert.equal(calculateAreaBetweenCurves(squareLorenz, squareLorenz), 0);
+});
+
+test('calculateAreaBetweenCurves is positive when the second curve is more unequal', () => {
+    // Area between the diagonal and p^2 is 1/2 - 1/3 = 1/6
+    const area = calculateAreaBetweenCurves(getEqualityLine(), squareLorenz);
+    assert.ok(Math.abs(area - 1 / 6) < 1e-4);
+    assert.ok(calculateAreaBetweenCurves(squareLorenz, getEqualityLine()) < 0);
+});
+
+// Two equal-sized groups with half and one and a half times the mean
+const twoGroups = [{ p: 0, l: 0 }, { p: 0.5, l: 0.25 }, { p: 1, l: 1 }];
+const close = (actual, expected, tolerance = 1e-9) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `expected ${expected}, got ${actual}`);
+
+test('getBinIncomes gives bin midpoints, widths and relative incomes', () => {
+    assert.deepEqual(getBinIncomes(twoGroups), [
+        { p: 0.25, width: 0.5, relIncome: 0.5 },
+        { p: 0.75, width: 0.5, relIncome: 1.5 }
+    ]);
+});
+
+test('relativeIncomeAt interpolates between bin midpoints', () => {
+    close(relativeIncomeAt(twoGroups, 0.1), 0.5);
+    close(relativeIncomeAt(twoGroups, 0.5), 1);
+    close(relativeIncomeAt(twoGroups, 0.9), 1.5);
+});
+
+test('calculateGeneralizedEntropy matches hand-computed values', () => {
+    close(calculateGeneralizedEntropy(twoGroups, 1), 0.25 * Math.log(0.5) + 0.75 * Math.log(1.5));
+    close(calculateGeneralizedEntropy(twoGroups, 0), -(0.5 * Math.log(0.5) + 0.5 * Math.log(1.5)));
+    close(calculateGeneralizedEntropy(twoGroups, 2), 0.125);
+    close(calculateGeneralizedEntropy(getEqualityLine(), 1), 0);
+});
+
+test('calculateGeneralizedEntropy is undefined below theta = 1 with zero incomes', () => {
+    const withZero = [{ p: 0, l: 0 }, { p: 0.5, l: 0 }, { p: 1, l: 1 }];
+    assert.equal(calculateGeneralizedEntropy(withZero, 0), null);
+    assert.equal(calculateGeneralizedEntropy(withZero, -1), null);
+    close(calculateGeneralizedEntropy(withZero, 1), Math.log(2));
+});
+
+test('calculateAtkinson matches hand-computed values', () => {
+    close(calculateAtkinson(twoGroups, 1), 1 - Math.sqrt(0.75));
+    close(calculateAtkinson(twoGroups, 2), 0.25);
+    close(calculateAtkinson(twoGroups, 0), 0);
+});
+
+test('calculatePercentileRatio reads incomes off the Lorenz slope', () => {
+    close(calculatePercentileRatio(twoGroups, 0.9, 0.1), 3);
+    close(calculatePercentileRatio(twoGroups, 0.5, 0.1), 2);
+    close(calculatePercentileRatio(getEqualityLine(), 0.9, 0.1), 1);
+});
+
+test('calculateStatistics reports the index suite', () => {
+    const stats = calculateStatistics(squareLorenz);
+
+    close(stats.theil, calculateGeneralizedEntropy(squareLorenz, 1));
+    close(stats.mld, calculateGeneralizedEntropy(squareLorenz, 0));
+    assert.deepEqual(stats.ge.map(d => d.theta), [-1, 0, 1, 2]);
+    assert.deepEqual(stats.atkinson.map(d => d.epsilon), [0.5, 1, 2]);
+
+    // L(p) = p^2 has income 2p times the mean at p
+    close(stats.p90p10, 9, 0.01);
+    close(stats.p90p50, 1.8, 0.01);
+    close(stats.p50p10, 5, 0.01);
+});
+
+test('calculateQuantileFunction scales the Lorenz slope by the mean', () => {
+    const parade = calculateQuantileFunction(squareLorenz, 50);
+
+    // L(p) = p^2: the bin around p has average income 2p times the mean
+    parade.forEach(d => close(d.welfare, 100 * d.p));
+    const mean = parade.reduce((sum, d) => sum + d.welfare * 0.01, 0);
+    close(mean, 50);
+
+    assert.deepEqual(calculateQuantileFunction(squareLorenz, 0), []);
+});
+
+test('calculateGroupShares adds the top groups after the deciles', () => {
+    const groups = calculateGroupShares(squareLorenz);
+
+    assert.deepEqual(groups.map(g => g.label), [
+        'D1', 'D2', 'D3', 'D4', 'D5', 'D6', 'D7', 'D8', 'D9', 'D10', 'Top 5%', 'Top 1%', 'Top 0.1%'
+    ]);
+    close(groups.slice(0, 10).reduce((sum, g) => sum + g.share, 0), 1);
+    close(groups[10].share, 1 - 0.95 ** 2);
+    close(groups[11].share, 1 - 0.99 ** 2);
+});
+
+test('calculateLorenzRange spans all curves over the interval', () => {
+    const linear = Array.from({ length: 11 }, (_, i) => ({ p: i / 10, l: i / 10 }));
+    const [min, max] = calculateLorenzRange([squareLorenz, null, linear], [0.9, 1]);
+
+    close(min, 0.81);
+    close(max, 1);
+    close(calculateLorenzRange([squareLorenz], [0.5, 0.6])[1], 0.36);
+    assert.equal(calculateLorenzRange([null], [0.9, 1]), null);
+});
+
+test('calculateLorenzGap and calculateGeneralizedLorenz sample both curves at the same p', () => {
+    const linear = Array.from({ length: 11 }, (_, i) => ({ p: i / 10, l: i / 10 }));
+    const gap = calculateLorenzGap(linear, squareLorenz, 10);
+
+    assert.equal(gap.length, 11);
+    close(gap[5].gap, 0.25);
+    close(gap[10].gap, 0);
+
+    // Without a point at p = 0 the curve starts from the origin
+    const gl = calculateGeneralizedLorenz(squareLorenz.slice(1), 20, 4);
+    assert.deepEqual(gl.map(d => d.p), [0, 0.25, 0.5, 0.75, 1]);
+    close(gl[0].gl, 0);
+    close(gl[2].gl, 5);
+    close(gl[4].gl, 20);
+});
+
+test('checkDominance finds the dominant curve and where curves cross', () => {
+    const gaps = p => p.map(([x, gap]) => ({ p: x, gap }));
+
+    assert.equal(checkDominance(gaps([[0, 0], [0.5, 0.1], [1, 0]])).dominant, 'first');
+    assert.equal(checkDominance(gaps([[0, 0], [0.5, -0.1], [1, 0]])).dominant, 'second');
+    assert.equal(checkDominance(gaps([[0, 0], [1, 0]])).dominant, 'equal');
+
+    const crossing = checkDominance(gaps([[0, 0], [0.2, -0.1], [0.4, 0.1], [0.6, 0.3], [1, 0]]));
+    assert.equal(crossing.dominant, null);
+    assert.equal(crossing.crossings.length, 1);
+    close(crossing.crossings[0], 0.3);
+    assert.deepEqual(crossing.maxGap, { p: 0.6, gap: 0.3 });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { calculateGini, calculateTopShare } from '../js/lorenz.js';
+import { METHODS, estimateParetoAlpha, runMethod } from '../js/methods.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const { distribution, surveyMean } = distData;
+
+test('runMethod defaults to Chandy-Seidel and tags the result', () => {
+    const result = runMethod(undefined, distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const expected = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+
+    assert.equal(result.method, 'chandy-seidel');
+    assert.equal(result.alpha, expected.alpha);
+    assert.deepEqual(result.adjustedDist, expected.adjustedDist);
+});
+
+test('runMethod reports unknown methods instead of throwing', () => {
+    const result = runMethod('nope', distribution, surveyMean, nasData.hfce);
+    assert.equal(result.adjusted, false);
+    assert.match(result.reason, /Unknown method/);
+});
+
+for (const id of Object.keys(METHODS)) {
+    test(`${id}: returns a valid Lorenz curve with the shared result fields`, () => {
+        const result = runMethod(id, distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+        assert.equal(result.adjusted, true);
+
+        ['surveyMean', 'nasMean', 'adjustedMean', 'gapPercent', 'gapShare', 'topDecileCutoff', 'surveyPct']
+            .forEach(key => assert.equal(typeof result[key], 'number', key));
+        assert.equal(result.originalDist, distribution);
+
+        const dist = result.adjustedDist;
+        assert.deepEqual([dist[0].p, dist[0].l], [0, 0]);
+        assert.deepEqual([dist.at(-1).p, dist.at(-1).l], [1, 1]);
+        for (let i = 1; i < dist.length; i++) {
+            assert.ok(dist[i].p >= dist[i - 1].p, `p decreases at ${i}`);
+            assert.ok(dist[i].l >= dist[i - 1].l, `l decreases at ${i}`);
+        }
+        assert.equal(dist.filter(d => d.isPareto).length, result.paretoTailBins);
+    });
+
+    test(`${id}: adds gapShare of the NAS gap to the mean`, () => {
+        const result = runMethod(id, distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+        const expected = surveyMean + 0.5 * (nasData.hfce - surveyMean);
+        assert.ok(Math.abs(result.adjustedMean - expected) < 1e-9);
+    });
+
+    test(`${id}: raises the Gini and the top 10% share`, () => {
+        const result = runMethod(id, distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+        assert.ok(calculateGini(result.adjustedDist) > calculateGini(distribution));
+        assert.ok(calculateTopShare(result.adjustedDist, 0.1) > calculateTopShare(distribution, 0.1));
+    });
+
+    test(`${id}: skips the adjustment when NAS <= survey mean`, () => {
+        const result = runMethod(id, distribution, surveyMean, surveyMean * 0.9);
+        assert.equal(result.adjusted, false);
+        assert.equal(result.gap, 0);
+    });
+}
+
+test('proportional: leaves the bottom of the distribution in proportion', () => {
+    const result = runMethod('proportional', distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const below = result.adjustedDist.filter(d => d.originalP !== undefined && d.originalP > 0 && d.originalP < 0.9);
+
+    below.forEach(d => assert.ok(Math.abs(d.l / d.originalL - result.ratio) < 1e-12));
+    assert.equal(result.surveyPct, 1);
+    assert.equal(result.paretoTailBins, 0);
+});
+
+test('estimateParetoAlpha recovers alpha from an exact Pareto tail', () => {
+    const alpha = 2.5;
+    const paretoLorenz = p => 1 - Math.pow(1 - p, 1 - 1 / alpha);
+    const ps = [0, 0.5, 0.9, 0.92, 0.94, 0.96, 0.98, 0.99, 0.995, 0.999];
+    const lorenz = [...ps.map(p => ({ p, l: paretoLorenz(p) })), { p: 1, l: 1 }];
+
+    const fit = estimateParetoAlpha(lorenz, 0.9);
+    assert.ok(Math.abs(fit.alpha - alpha) < 1e-9, `alpha ${fit.alpha}`);
+    assert.ok(fit.r2 > 0.999);
+});
+
+test('estimateParetoAlpha needs at least two bins above the cutoff', () => {
+    assert.equal(estimateParetoAlpha(distribution, 0.9999), null);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { distributionsToCSV, loadDataFolder, runAdjustment, summaryToCSV } from '../node/index.js';
+import { DATA_DIR } from './helpers.js';
+
+const data = await loadDataFolder(DATA_DIR);
+const params = { gapShare: 0.5, nasSource: 'hfce', topDecileCutoff: 0.9 };
+
+const SUMMARY_HEADER = [
+    'country', 'year', 'survey_mean', 'nas_mean', 'nas_source', 'nas_label', 'adjusted_mean', 'gap_percent',
+    'gap_share_used', 'top_cutoff', 'method', 'pareto_alpha', 'survey_pct', 'pareto_bins_added', 'gini_survey',
+    'gini_adjusted', 'gini_change', 'gini_change_percent', 'gini_rescaled', 'gini_change_rescaling',
+    'gini_change_tail', 'note'
+];
+
+const lines = csv => csv.trimEnd().split('\n');
+
+test('runAdjustment keeps country-years without a distribution file as notes', () => {
+    const rows = runAdjustment(data, params, { countries: ['USA', 'CHN'], years: [2019] });
+
+    assert.deepEqual(rows.map(r => `${r.countryCode} ${r.year}`), ['USA 2019', 'CHN 2019']);
+    assert.equal(rows[0].result.adjusted, true);
+    assert.equal(rows[1].result.reason, 'No distribution file for CHN');
+});
+
+test('summaryToCSV writes the cross-country header and one line per row', () => {
+    const rows = runAdjustment(data, params, { countries: ['USA', 'BRA', 'CHN'] });
+    const csv = lines(summaryToCSV(rows));
+
+    assert.deepEqual(csv[0].split(','), SUMMARY_HEADER);
+    assert.equal(csv.length, rows.length + 1);
+
+    const usa = csv.find(line => line.startsWith('USA,2019,')).split(',');
+    assert.equal(usa[SUMMARY_HEADER.indexOf('nas_source')], 'hfce');
+    assert.equal(usa[SUMMARY_HEADER.indexOf('note')], '');
+
+    const chn = csv.find(line => line.startsWith('CHN,')).split(',');
+    assert.equal(chn.length, SUMMARY_HEADER.length);
+    assert.equal(chn.at(-1), '"No distribution file for CHN"');
+});
+
+test('summaryToCSV adds FGT columns when the rows carry poverty results', () => {
+    const rows = runAdjustment(data, { ...params, povertyLines: [2.15, 3.65] }, { countries: ['BRA'] });
+    const header = lines(summaryToCSV(rows))[0].split(',');
+
+    assert.equal(header.length, SUMMARY_HEADER.length + 12);
+    assert.deepEqual(header.slice(SUMMARY_HEADER.length, SUMMARY_HEADER.length + 2), ['fgt0_survey_2.15', 'fgt0_adjusted_2.15']);
+    assert.equal(header.at(-1), 'fgt2_adjusted_3.65');
+});
+
+test('distributionsToCSV writes one header and the bins of the adjusted rows only', () => {
+    const rows = runAdjustment(data, params, { countries: ['USA', 'CHN'], years: [2016, 2019] });
+    const adjusted = rows.filter(r => r.result.adjusted);
+    const csv = lines(distributionsToCSV(rows));
+
+    assert.equal(adjusted.length, 2);
+    assert.equal(csv.filter(line => line.startsWith('country,')).length, 1);
+    assert.equal(csv[0], 'country,year,quantile,p_survey,l_survey,welfare_survey,p_adjusted,l_adjusted,is_pareto_tail');
+
+    const bins = adjusted.reduce((sum, r) => sum + r.result.originalDist.length + r.result.paretoTailBins, 0);
+    assert.equal(csv.length, bins + 1);
+    assert.equal(csv.filter(line => line.endsWith(',1')).length, adjusted.reduce((sum, r) => sum + r.result.paretoTailBins, 0));
+    assert.ok(csv.slice(1).every(line => line.startsWith('USA,')));
+});
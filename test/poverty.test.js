@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { calculateFGT, comparePoverty, parsePovertyLines } from '../js/poverty.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('BRA', 2019);
+const { distribution, surveyMean } = distData;
+
+// Everyone has the same income
+const equality = [{ p: 0, l: 0 }, { p: 0.5, l: 0.5 }, { p: 1, l: 1 }];
+
+test('calculateFGT with equal incomes is all-or-nothing', () => {
+    assert.deepEqual(calculateFGT(equality, 5, 4), { line: 4, headcount: 0, gap: 0, severity: 0 });
+
+    const poor = calculateFGT(equality, 2, 4);
+    assert.ok(Math.abs(poor.headcount - 1) < 1e-9);
+    assert.ok(Math.abs(poor.gap - 0.5) < 1e-9);
+    assert.ok(Math.abs(poor.severity - 0.25) < 1e-9);
+});
+
+test('calculateFGT reproduces the bin welfare of the survey', () => {
+    // The first bins of BRA 2019 average $1.24, $1.86, $2.33, $2.80 and $3.26 a day,
+    // so a $3.00 line falls in the fifth percentile
+    const { headcount } = calculateFGT(distribution, surveyMean, 3.0);
+    assert.ok(headcount > 0.03 && headcount < 0.05, `headcount ${headcount}`);
+});
+
+test('calculateFGT measures are ordered and grow with the line', () => {
+    let previous = null;
+    [3.0, 4.2, 8.3].forEach(line => {
+        const fgt = calculateFGT(distribution, surveyMean, line);
+        assert.ok(fgt.headcount >= fgt.gap && fgt.gap >= fgt.severity);
+        if (previous) {
+            assert.ok(fgt.headcount > previous.headcount);
+            assert.ok(fgt.gap > previous.gap);
+        }
+        previous = fgt;
+    });
+});
+
+test('calculateFGT rejects invalid input', () => {
+    assert.equal(calculateFGT(null, 10, 3), null);
+    assert.equal(calculateFGT(distribution, 0, 3), null);
+    assert.equal(calculateFGT(distribution, surveyMean, 0), null);
+});
+
+test('comparePoverty: the Chandy-Seidel adjustment lowers measured poverty', () => {
+    const result = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const poverty = comparePoverty(distribution, surveyMean, result, [3.0, 8.3]);
+
+    assert.deepEqual(poverty.map(d => d.line), [3.0, 8.3]);
+    poverty.forEach(({ survey, adjusted }) => {
+        assert.ok(adjusted.headcount < survey.headcount);
+        assert.ok(adjusted.gap < survey.gap);
+    });
+});
+
+test('comparePoverty leaves adjusted empty when the adjustment was not applied', () => {
+    const poverty = comparePoverty(distribution, surveyMean, { adjusted: false, reason: 'x' }, [3.0]);
+    assert.equal(poverty[0].adjusted, null);
+    assert.ok(poverty[0].survey.headcount > 0);
+});
+
+test('parsePovertyLines accepts separated lists and rejects bad entries', () => {
+    assert.deepEqual(parsePovertyLines('8.30, 3, 4.2 3'), [3, 4.2, 8.3]);
+    assert.equal(parsePovertyLines('3, abc'), null);
+    assert.equal(parsePovertyLines('-1'), null);
+    assert.equal(parsePovertyLines('  '), null);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { parseYearData } from '../js/data-loader.js';
+import { compareWithReference } from '../js/reference.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('BRA', 2019);
+const result = calculateChandySeidel(distData.distribution, distData.surveyMean, nasData.hfce, 0.5, 0.9);
+
+/**
+ * Year data shaped like a Stata export: rescaled survey bins plus new-flagged tail bins
+ */
+function stataStyleYearData(adjusted) {
+    return {
+        survey_mean: distData.surveyMean,
+        bins: adjusted.adjustedDist
+            .filter(d => d.isPareto || d.originalP !== undefined)
+            .map((d, i) => ({ q: i + 1, p: d.p, l: d.l, w: d.w ?? null, new: d.isPareto ? 1 : 0 }))
+    };
+}
+
+test('parseYearData keeps plain survey files unchanged', () => {
+    assert.equal(distData.referenceDist, null);
+    assert.equal(distData.distribution.at(-1).p, 1);
+});
+
+test('parseYearData separates new-flagged bins and recovers the survey curve', () => {
+    const parsed = parseYearData('BRA', 2019, stataStyleYearData(result));
+
+    assert.equal(parsed.distribution.length, distData.distribution.length);
+    parsed.distribution.forEach((d, i) => {
+        assert.ok(Math.abs(d.p - distData.distribution[i].p) < 1e-9);
+        assert.ok(Math.abs(d.l - distData.distribution[i].l) < 1e-9);
+        assert.equal(d.isNew, false);
+    });
+
+    assert.equal(parsed.referenceDist.length, result.paretoTailBins + distData.distribution.length);
+});
+
+test('compareWithReference reports no discrepancy for an identical reference', () => {
+    const parsed = parseYearData('BRA', 2019, stataStyleYearData(result));
+    const comparison = compareWithReference(parsed.referenceDist, result);
+
+    assert.equal(comparison.available, true);
+    assert.ok(Math.abs(comparison.giniDiff) < 1e-9);
+    assert.ok(comparison.maxLorenzDiff < 1e-9);
+});
+
+test('compareWithReference measures drift against a different tail', () => {
+    const other = calculateChandySeidel(distData.distribution, distData.surveyMean, nasData.hfce, 0.8, 0.9);
+    const parsed = parseYearData('BRA', 2019, stataStyleYearData(other));
+    const comparison = compareWithReference(parsed.referenceDist, result);
+
+    assert.equal(comparison.available, true);
+    assert.ok(comparison.giniDiff < 0, 'browser tail at 50% is thinner than the 80% reference');
+    assert.ok(comparison.maxLorenzDiff > 0.001);
+    assert.ok(comparison.maxLorenzDiffAt > 0 && comparison.maxLorenzDiffAt < 1);
+});
+
+test('compareWithReference is unavailable without reference bins', () => {
+    assert.equal(compareWithReference(null, result).available, false);
+    assert.equal(compareWithReference(result.adjustedDist, { adjusted: false }).available, false);
+});
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildDistributionCSV, buildLorenzCSV, buildSummaryCSV } from '../js/export.js';
+import { comparePoverty } from '../js/poverty.js';
+import { runMethod } from '../js/methods.js';
+import { buildCommandLine, buildRScript, buildStataScript, describeColumns } from '../js/replication.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const result = runMethod('chandy-seidel', distData.distribution, distData.surveyMean, nasData.hfce, 0.5, 0.9);
+
+const headersOf = csv => csv.slice(0, csv.indexOf('\n')).split(',');
+
+const context = headers => ({
+    dataset: 'summary',
+    dataFile: 'chandy_seidel_USA_2019_summary.csv',
+    headers,
+    countryCode: 'USA',
+    year: 2019,
+    isUpload: false,
+    dataVersion: 'abcd1234',
+    exportedAt: new Date('2024-05-01T12:00:00Z'),
+    params: {
+        method: 'chandy-seidel',
+        gapShare: 0.5,
+        nasSource: 'hfce',
+        nasLabel: 'HFCE',
+        nasMean: nasData.hfce,
+        customNas: null,
+        topDecileCutoff: 0.9,
+        povertyLines: [2.15]
+    }
+});
+
+test('every exported CSV column has a label', () => {
+    const poverty = comparePoverty(distData.distribution, distData.surveyMean, result, [2.15]);
+    const csvs = [
+        buildSummaryCSV(result, { surveyGini: 0.4, adjustedGini: 0.45 }, 'USA', 2019, poverty),
+        buildLorenzCSV({ surveyLorenz: distData.distribution, adjustedLorenz: result.adjustedDist }),
+        buildDistributionCSV(result, 'USA', 2019)
+    ];
+
+    csvs.map(headersOf).flat().forEach(name => {
+        const [column] = describeColumns([name]);
+        assert.notEqual(column.label, name, `${name} has no label`);
+    });
+
+    const [country, bins, fgt] = describeColumns(['country', 'pareto_bins_added', 'fgt0_adjusted_2.15']);
+    assert.equal(country.type, 'string');
+    assert.equal(bins.type, 'integer');
+    assert.equal(fgt.label, 'Headcount ratio at $2.15/day, adjusted');
+});
+
+test('the do-file imports by position with types and labels', () => {
+    const headers = ['country', 'year', 'nas_label', 'gini_survey', 'fgt0_survey_2.15'];
+    const script = buildStataScript(context(headers));
+
+    assert.match(script, /import delimited "chandy_seidel_USA_2019_summary\.csv", varnames\(nonames\) rowrange\(2\) stringcols\(1 3\)/);
+    assert.match(script, /numericcols\(2 4 5\)/);
+    assert.match(script, /rename \(v1 v2 v3 v4 v5\) \(country year nas_label gini_survey fgt0_survey_2_15\)/);
+    assert.match(script, /recast long year/);
+    assert.match(script, /label variable fgt0_survey_2_15 "Headcount ratio at \\\$2\.15\/day, survey"/);
+    assert.match(script, /local gap_share +?= 0\.5/);
+    assert.match(script, /local data_version +`"abcd1234"'/);
+    assert.match(script, /char _dta\[top_cutoff\]/);
+});
+
+test('the do-file keeps a quoted file name with spaces on one line', () => {
+    const headers = headersOf(buildSummaryCSV(result, { surveyGini: 0.4, adjustedGini: 0.45 }, 'USA', 2019));
+    const dataFile = 'chandy_seidel_Household survey of my region, second wave, revised weights_2019_summary.csv';
+    const script = buildStataScript({ ...context(headers), dataFile });
+
+    const lines = script.split('\n');
+    assert.ok(lines.some(line => line.includes(`"${dataFile}",`)));
+    lines.forEach(line => {
+        assert.equal((line.match(/"/g) || []).length % 2, 0, line);
+    });
+});
+
+test('the R script reads the CSV with column classes and parameters', () => {
+    const script = buildRScript(context(['country', 'year', 'fgt0_survey_2.15']));
+
+    assert.match(script, /"country" = "character"/);
+    assert.match(script, /"year" = "integer"/);
+    assert.match(script, /"fgt0_survey_2\.15" = "numeric"/);
+    assert.match(script, /year = 2019L/);
+    assert.match(script, /cs_summary <- read\.csv\("chandy_seidel_USA_2019_summary\.csv", colClasses = col_types/);
+});
+
+test('buildCommandLine repeats the parameters as command-line options', () => {
+    const base = context([]);
+    assert.equal(
+        buildCommandLine(base),
+        'node bin/chandy-seidel.js --country USA --year 2019 --method chandy-seidel --gap-share 0.5 ' +
+        '--nas hfce --cutoff 0.9 --poverty-lines 2.15 --distributions --out out'
+    );
+
+    const custom = buildCommandLine({
+        ...base,
+        params: { ...base.params, nasSource: 'custom', customNas: { type: 'mean', value: 40, label: 'HFCE net' }, povertyLines: [] }
+    });
+    assert.match(custom, /--nas custom --nas-mean 40 --nas-label "HFCE net" --cutoff 0\.9 --distributions/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { calculateGini, calculateTopShare } from '../js/lorenz.js';
+import { runMethod } from '../js/methods.js';
+import { sweepGapShare } from '../js/sensitivity.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const { distribution, surveyMean } = distData;
+
+test('sweepGapShare covers 0 to 1 in the given number of steps', () => {
+    const points = sweepGapShare(distribution, surveyMean, nasData.hfce, { steps: 10 });
+
+    assert.equal(points.length, 11);
+    assert.equal(points[0].gapShare, 0);
+    assert.equal(points[10].gapShare, 1);
+});
+
+test('sweepGapShare keeps gapShare 0 as a gap and matches the adjustment at 0.5', () => {
+    const points = sweepGapShare(distribution, surveyMean, nasData.hfce, { steps: 50, topDecileCutoff: 0.9 });
+
+    assert.deepEqual(points[0], { gapShare: 0, gini: null, top10: null, alpha: null, adjustedMean: null });
+
+    const expected = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const half = points[25];
+    assert.equal(half.gapShare, 0.5);
+    assert.equal(half.gini, calculateGini(expected.adjustedDist));
+    assert.equal(half.top10, calculateTopShare(expected.adjustedDist, 0.1));
+    assert.equal(half.alpha, expected.alpha);
+    assert.equal(half.adjustedMean, expected.adjustedMean);
+});
+
+test('sweepGapShare raises the Gini with the gap share', () => {
+    const ginis = sweepGapShare(distribution, surveyMean, nasData.hfce, { steps: 10 })
+        .slice(1)
+        .map(d => d.gini);
+
+    ginis.slice(1).forEach((gini, i) => assert.ok(gini > ginis[i]));
+});
+
+test('sweepGapShare runs the selected method and has nothing to sweep without a gap', () => {
+    const proportional = sweepGapShare(distribution, surveyMean, nasData.hfce, { steps: 2, method: 'proportional' });
+    const expected = runMethod('proportional', distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    assert.equal(proportional[1].gini, calculateGini(expected.adjustedDist));
+
+    const noGap = sweepGapShare(distribution, surveyMean, surveyMean * 0.9, { steps: 4 });
+    assert.ok(noGap.every(d => d.gini === null));
+});
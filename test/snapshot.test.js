@@ -0,0 +1,54 @@
+/**
+ * Snapshot regression tests for USA, BRA and ZAF.
+ *
+ * The fixtures in test/fixtures/ are snapshots of this code's own output,
+ * recorded with
+ *   node bin/chandy-seidel.js --country USA,BRA,ZAF --nas <hfce|gdp> --format json
+ * at gapShare 0.5 and cutoff 0.9. They catch unintended changes, not errors
+ * that were already present when they were recorded: they are not Stata
+ * results. Regenerate them only when a change to the tail formula is
+ * intended, and say so in the commit message.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadDataFolder, runAdjustment, summaryToJSON } from '../node/index.js';
+import { DATA_DIR, readJSON } from './helpers.js';
+
+const TOLERANCE = 1e-9;
+const COUNTRIES = ['USA', 'BRA', 'ZAF'];
+
+const data = await loadDataFolder(DATA_DIR);
+
+for (const nasSource of ['hfce', 'gdp']) {
+    const snapshot = readJSON(`test/fixtures/snapshot-${nasSource}.json`);
+    const actual = summaryToJSON(runAdjustment(data, { gapShare: 0.5, nasSource, topDecileCutoff: 0.9 }, {
+        countries: COUNTRIES
+    }));
+
+    test(`snapshot (${nasSource.toUpperCase()}) cover the same country-years`, () => {
+        assert.deepEqual(
+            actual.map(r => `${r.country} ${r.year}`),
+            snapshot.map(r => `${r.country} ${r.year}`)
+        );
+    });
+
+    snapshot.forEach(expected => {
+        test(`snapshot (${nasSource.toUpperCase()}) ${expected.country} ${expected.year}`, () => {
+            const row = actual.find(r => r.country === expected.country && r.year === expected.year);
+            assert.ok(row, 'country-year missing from results');
+
+            Object.entries(expected).forEach(([key, value]) => {
+                if (typeof value === 'number') {
+                    assert.ok(
+                        Math.abs(row[key] - value) < TOLERANCE,
+                        `${key}: expected ${value}, got ${row[key]}`
+                    );
+                } else {
+                    assert.equal(row[key], value, key);
+                }
+            });
+        });
+    });
+}
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { calculateGini } from '../js/lorenz.js';
+import { resampleTopBins, simulateUncertainty } from '../js/uncertainty.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+const { distribution, surveyMean } = distData;
+
+test('simulateUncertainty brackets the point estimate', () => {
+    const sim = simulateUncertainty(distribution, surveyMean, nasData.hfce, { draws: 100 });
+    const point = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const gini = calculateGini(point.adjustedDist);
+
+    assert.equal(sim.draws, 100);
+    assert.ok(sim.valid > 0 && sim.valid <= 100);
+    assert.ok(sim.gini.low <= gini && gini <= sim.gini.high, `${gini} outside ${sim.gini.low}-${sim.gini.high}`);
+    assert.ok(sim.gini.low <= sim.gini.median && sim.gini.median <= sim.gini.high);
+    assert.ok(sim.top10.low < sim.top10.high);
+    assert.ok(sim.alpha.low < sim.alpha.high);
+});
+
+test('simulateUncertainty band is ordered and pinned at the ends', () => {
+    const sim = simulateUncertainty(distribution, surveyMean, nasData.hfce, { draws: 50, gridSize: 20 });
+
+    assert.equal(sim.band.length, 21);
+    assert.deepEqual([sim.band[0].low, sim.band[0].high], [0, 0]);
+    assert.deepEqual([sim.band[20].low, sim.band[20].high], [1, 1]);
+    sim.band.forEach(d => assert.ok(d.low <= d.high, `band inverted at p = ${d.p}`));
+});
+
+test('simulateUncertainty is reproducible for a given seed', () => {
+    const a = simulateUncertainty(distribution, surveyMean, nasData.hfce, { draws: 30, seed: 7 });
+    const b = simulateUncertainty(distribution, surveyMean, nasData.hfce, { draws: 30, seed: 7 });
+    assert.deepEqual(a, b);
+});
+
+test('simulateUncertainty collapses when nothing is perturbed', () => {
+    const sim = simulateUncertainty(distribution, surveyMean, nasData.hfce, {
+        draws: 10,
+        nasError: 0,
+        gapShareRange: [0.5, 0.5],
+        resampleTop: false
+    });
+    const point = calculateChandySeidel(distribution, surveyMean, nasData.hfce, 0.5, 0.9);
+    const gini = calculateGini(point.adjustedDist);
+
+    assert.ok(Math.abs(sim.gini.low - gini) < 1e-12);
+    assert.ok(Math.abs(sim.gini.high - gini) < 1e-12);
+});
+
+test('simulateUncertainty returns null without NAS data', () => {
+    assert.equal(simulateUncertainty(distribution, surveyMean, null), null);
+});
+
+test('resampleTopBins keeps the curve valid and the top income share', () => {
+    let seed = 0;
+    const random = () => (seed = (seed * 9301 + 49297) % 233280) / 233280;
+    const resampled = resampleTopBins(distribution, 0.9, random);
+    const start = distribution.findIndex(d => d.p >= 0.9);
+
+    assert.equal(resampled.length, distribution.length);
+    assert.deepEqual(resampled.slice(0, start + 1), distribution.slice(0, start + 1));
+    assert.ok(Math.abs(resampled.at(-1).l - distribution.at(-1).l) < 1e-12);
+
+    for (let i = start + 2; i < resampled.length; i++) {
+        const slope = (resampled[i].l - resampled[i - 1].l) / (resampled[i].p - resampled[i - 1].p);
+        const prevSlope = (resampled[i - 1].l - resampled[i - 2].l) / (resampled[i - 1].p - resampled[i - 2].p);
+        assert.ok(slope >= prevSlope - 1e-9, `curve not convex at ${i}`);
+    }
+});
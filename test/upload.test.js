@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateChandySeidel } from '../js/chandy-seidel.js';
+import { buildUploadedData, parseDistributionFile, validateUploadedBins } from '../js/upload.js';
+import { loadCountryYear, readJSON } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+
+// The bundled USA 2019 bins written out as a CSV
+const usaCSV = ['p,l,w', ...distData.distribution.map(d => `${d.p},${d.l},${d.w}`)].join('\n');
+
+test('a p, l, w CSV runs through the adjustment like the bundled file', () => {
+    const parsed = parseDistributionFile(usaCSV, 'usa.csv');
+    const { distData: uploaded, nasData: uploadedNas } = buildUploadedData(parsed, {
+        label: 'Test',
+        year: 2019,
+        surveyMean: distData.surveyMean,
+        nasMean: nasData.hfce
+    });
+
+    assert.equal(uploaded.countryCode, 'Test');
+    assert.equal(uploaded.isUpload, true);
+    assert.equal(uploadedNas.hfce, nasData.hfce);
+
+    const expected = calculateChandySeidel(distData.distribution, distData.surveyMean, nasData.hfce);
+    const result = calculateChandySeidel(uploaded.distribution, uploaded.surveyMean, uploadedNas.hfce);
+    assert.equal(result.alpha, expected.alpha);
+    assert.equal(result.adjustedDist.length, expected.adjustedDist.length);
+});
+
+test('income shares by quantile are accumulated into a Lorenz curve', () => {
+    // Decile shares in percent, no p column
+    const shares = [2, 3, 4, 5, 6, 8, 10, 13, 18, 31];
+    const parsed = parseDistributionFile(['share', ...shares].join('\n'), 'deciles.csv');
+
+    assert.equal(parsed.bins.length, 10);
+    assert.ok(Math.abs(parsed.bins[0].p - 0.1) < 1e-12);
+    assert.ok(Math.abs(parsed.bins[0].l - 0.02) < 1e-12);
+    assert.ok(Math.abs(parsed.bins[8].l - 0.69) < 1e-12);
+    assert.deepEqual(validateUploadedBins(parsed.bins), []);
+});
+
+test('p and l given in percent are rescaled', () => {
+    const rows = distData.distribution.map(d => `${d.p * 100};${d.l * 100}`);
+    const parsed = parseDistributionFile(['p;l', ...rows].join('\n'), 'pct.csv');
+
+    assert.ok(Math.abs(parsed.bins[0].p - distData.distribution[0].p) < 1e-12);
+    assert.deepEqual(validateUploadedBins(parsed.bins), []);
+});
+
+test('JSON bins and prep_data.do distribution files are accepted', () => {
+    const bins = parseDistributionFile(JSON.stringify({ bins: distData.distribution, survey_mean: 42, year: 2019 }));
+    assert.equal(bins.surveyMean, 42);
+    assert.equal(bins.year, 2019);
+    assert.equal(bins.bins.length, distData.distribution.length);
+
+    const file = parseDistributionFile(JSON.stringify(readJSON('data/distributions/USA.json')), 'USA.json');
+    assert.equal(file.year, 2019);
+    assert.equal(file.surveyMean, distData.surveyMean);
+});
+
+test('validateUploadedBins reports bad bins', () => {
+    const bins = distData.distribution.map(d => ({ ...d }));
+
+    assert.match(validateUploadedBins(bins.slice(0, 5))[0], /At least 10 bins/);
+
+    const swapped = bins.map(d => ({ ...d }));
+    [swapped[3].p, swapped[4].p] = [swapped[4].p, swapped[3].p];
+    assert.ok(validateUploadedBins(swapped).some(p => /p must increase/.test(p)));
+
+    const bowed = bins.map(d => ({ ...d, l: Math.min(1, Math.sqrt(d.p)) }));
+    assert.ok(validateUploadedBins(bowed).some(p => /above the diagonal/.test(p)));
+
+    const short = bins.slice(0, -1);
+    assert.ok(validateUploadedBins(short).some(p => /last bin/.test(p)));
+});
+
+test('buildUploadedData needs a year and a survey mean', () => {
+    const parsed = parseDistributionFile(['p,l', ...distData.distribution.map(d => `${d.p},${d.l}`)].join('\n'));
+
+    assert.throws(() => buildUploadedData(parsed, { surveyMean: 10 }), /survey year/);
+    assert.throws(() => buildUploadedData(parsed, { year: 2019 }), /survey mean/);
+});
+
+test('parseDistributionFile explains unreadable files', () => {
+    assert.throws(() => parseDistributionFile(''), /empty/);
+    assert.throws(() => parseDistributionFile('{oops', 'x.json'), /Invalid JSON/);
+    assert.throws(() => parseDistributionFile('a,b\n1,2', 'x.csv'), /p and l columns/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { decodeUrlState, encodeUrlState } from '../js/url-state.js';
+import { DEFAULT_METHOD } from '../js/methods.js';
+
+test('encodeUrlState and decodeUrlState round-trip the selection', () => {
+    const values = {
+        country: 'BRA',
+        year: 2019,
+        gapShare: 0.5,
+        nasSource: 'custom',
+        customNas: { type: 'mean', value: 12.5, label: 'Own estimate' },
+        topCutoff: 0.95,
+        method: 'proportional',
+        view: 'gap',
+        reference: true
+    };
+
+    assert.deepEqual(decodeUrlState('#' + encodeUrlState(values)), values);
+});
+
+test('encodeUrlState leaves out defaults and the custom NAS of other sources', () => {
+    const hash = encodeUrlState({
+        country: 'USA',
+        year: 2019,
+        nasSource: 'hfce',
+        customNas: { type: 'ratio', value: 1.2 },
+        method: DEFAULT_METHOD,
+        view: 'lorenz'
+    });
+
+    assert.equal(hash, 'country=USA&year=2019&nas=hfce');
+});
+
+test('encodeUrlState rounds the gap share to whole percent', () => {
+    assert.equal(new URLSearchParams(encodeUrlState({ gapShare: 0.456 })).get('gap'), '46');
+    assert.equal(decodeUrlState(encodeUrlState({ gapShare: 0.454 })).gapShare, 0.45);
+    assert.equal(decodeUrlState(encodeUrlState({ gapShare: 0 })).gapShare, 0);
+});
+
+test('decodeUrlState drops malformed and out-of-range values', () => {
+    const decoded = decodeUrlState(
+        '#country=US%20A&year=2019.5&gap=150&nasv=-3&cutoff=1.2&method=Bad_Method&view=%3Cscript%3E&ref=0'
+    );
+
+    assert.deepEqual(decoded, { reference: false });
+    assert.deepEqual(decodeUrlState(''), {});
+    assert.deepEqual(decodeUrlState(undefined), {});
+    assert.deepEqual(decodeUrlState('#gap=abc&year=-1&cutoff='), {});
+});
+
+test('decodeUrlState keeps the cutoff strictly between 0 and 1', () => {
+    assert.equal(decodeUrlState('cutoff=0.99').topCutoff, 0.99);
+    assert.equal(decodeUrlState('cutoff=0').topCutoff, undefined);
+    assert.equal(decodeUrlState('cutoff=1').topCutoff, undefined);
+    assert.equal(decodeUrlState('cutoff=-0.5').topCutoff, undefined);
+});
+
+test('decodeUrlState ignores unknown NAS sources and passes method names to the caller', () => {
+    assert.equal(decodeUrlState('nas=gni').nasSource, undefined);
+    assert.equal(decodeUrlState('nas=HFCE').nasSource, undefined);
+    assert.equal(decodeUrlState('nas=gdp').nasSource, 'gdp');
+
+    // Well-formed method names are returned as is; the app checks them
+    // against the registered methods before using them
+    assert.equal(decodeUrlState('method=no-such-method').method, 'no-such-method');
+    assert.equal(decodeUrlState('method=fitted_pareto').method, undefined);
+});
+
+test('decodeUrlState falls back to a ratio for an unknown custom NAS type and trims the label', () => {
+    const { customNas } = decodeUrlState(`nas=custom&nasv=1.3&nast=total&nasl=${'x'.repeat(100)}%20`);
+
+    assert.equal(customNas.type, 'ratio');
+    assert.equal(customNas.value, 1.3);
+    assert.equal(customNas.label.length, 80);
+});
+
+test('decodeUrlState upper-cases the country code', () => {
+    assert.equal(decodeUrlState('#country=bra').country, 'BRA');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildValidationCSV } from '../js/export.js';
+import { countIssues, validateBins, validateDistribution } from '../js/validation.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+
+// L(p) = p^2 in 20 bins, w the bin means implied by l and the survey mean, so
+// only deliberately broken inputs raise issues
+const clean = {
+    countryCode: 'TST',
+    year: 2020,
+    surveyMean: 10,
+    distribution: Array.from({ length: 20 }, (_, i) => {
+        const p = (i + 1) / 20;
+        const pPrev = i / 20;
+        return { p, l: p * p, w: 10 * (p * p - pPrev * pPrev) / (p - pPrev) };
+    })
+};
+const codes = issues => issues.map(issue => issue.code);
+
+test('structural problems are errors with the row they occur in', () => {
+    const swapped = clean.distribution.map(d => ({ ...d }));
+    [swapped[3].p, swapped[4].p] = [swapped[4].p, swapped[3].p];
+
+    const issues = validateBins(swapped);
+    assert.deepEqual(codes(issues), ['p-not-increasing']);
+    assert.equal(issues[0].severity, 'error');
+    assert.equal(issues[0].row, 5);
+
+    const bowed = clean.distribution.map(d => ({ ...d, l: Math.min(1, Math.sqrt(d.p)) }));
+    assert.ok(codes(validateBins(bowed)).includes('above-diagonal'));
+    assert.deepEqual(codes(validateBins(clean.distribution.slice(0, 5))), ['too-few-bins']);
+});
+
+test('consistent bins raise no issues', () => {
+    assert.deepEqual(validateDistribution(clean, { hfce: 15, gdp: 20, survey_mean: 10 }), []);
+});
+
+test('the bundled USA file flags its unsorted top bins and inconsistent survey_mean', () => {
+    const issues = validateDistribution(distData, nasData);
+
+    const notConvex = issues.find(issue => issue.code === 'not-convex');
+    assert.equal(notConvex.row, 23);
+    assert.ok(codes(issues).includes('mean-mismatch'));
+    assert.equal(countIssues(issues).errors, 0);
+});
+
+test('a survey_mean that does not match the welfare values is reported', () => {
+    const issues = validateDistribution({ ...clean, surveyMean: 20 }, null);
+    assert.deepEqual(codes(issues), ['mean-mismatch']);
+    assert.equal(issues[0].severity, 'warning');
+    assert.match(issues[0].message, /survey_mean \(20\.00\)/);
+});
+
+test('missing welfare values and NAS records are warnings', () => {
+    const noW = { ...clean, distribution: clean.distribution.map(({ w, ...d }) => d) };
+    const issues = validateDistribution(noW, { hfce: null, gdp: null });
+
+    assert.ok(codes(issues).includes('missing-w'));
+    assert.ok(codes(issues).includes('no-nas'));
+    assert.equal(countIssues(issues).errors, 0);
+
+    const below = validateDistribution(clean, { hfce: clean.surveyMean * 0.9, gdp: clean.surveyMean * 2 });
+    assert.equal(below.filter(issue => issue.code === 'nas-below-survey').length, 1);
+});
+
+test('a cutoff with too few bins above it is flagged before the adjustment fails', () => {
+    assert.deepEqual(codes(validateDistribution(clean, null, { topDecileCutoff: 0.95 })), ['few-top-bins']);
+    assert.deepEqual(validateDistribution(clean, null, { topDecileCutoff: 0.9 }), []);
+});
+
+test('buildValidationCSV lists every issue and clean country-years as ok', () => {
+    const csv = buildValidationCSV([
+        { countryCode: 'USA', year: 2019, issues: [{ code: 'no-nas', severity: 'warning', message: 'No "GDP"', row: null }] },
+        { countryCode: 'BRA', year: 2019, issues: [] }
+    ]);
+
+    assert.deepEqual(csv.trim().split('\n'), [
+        'country,year,severity,code,row,message',
+        'USA,2019,warning,no-nas,,"No ""GDP"""',
+        'BRA,2019,ok,,,'
+    ]);
+});
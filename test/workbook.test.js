@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildDistributionCSV, buildSummaryCSV } from '../js/export.js';
+import { runMethod } from '../js/methods.js';
+import { buildWorkbookSheets, dataFingerprint } from '../js/workbook.js';
+import { loadCountryYear } from './helpers.js';
+
+const { distData, nasData } = loadCountryYear('USA', 2019);
+
+const params = {
+    gapShare: 0.5,
+    nasSource: 'hfce',
+    nasLabel: 'HFCE',
+    nasMean: nasData.hfce,
+    topDecileCutoff: 0.9,
+    method: 'chandy-seidel'
+};
+
+const context = result => ({
+    countryCode: 'USA',
+    countryName: 'United States',
+    year: 2019,
+    distData,
+    nasData,
+    result,
+    ginis: { surveyGini: 0.4, adjustedGini: 0.45 },
+    poverty: null,
+    params,
+    exportedAt: new Date('2024-05-01T12:00:00Z')
+});
+
+// Rows of a [name, value] sheet as an object
+const fields = sheet => Object.fromEntries(sheet.rows.slice(1));
+
+test('the workbook records the parameters next to the results', () => {
+    const result = runMethod(params.method, distData.distribution, distData.surveyMean, nasData.hfce, 0.5, 0.9);
+    const sheets = buildWorkbookSheets(context(result));
+
+    assert.deepEqual(sheets.map(s => s.name), ['Parameters', 'Summary', 'Distributions', 'Decile shares']);
+
+    const parameters = fields(sheets[0]);
+    assert.equal(parameters.country, 'USA');
+    assert.equal(parameters.gap_share, 0.5);
+    assert.equal(parameters.nas_source, 'hfce');
+    assert.equal(parameters.top_cutoff, 0.9);
+    assert.equal(parameters.data_source, 'Bundled data');
+    assert.equal(parameters.data_version, dataFingerprint(distData, nasData));
+    assert.equal(parameters.exported_at, '2024-05-01T12:00:00.000Z');
+
+    const summary = fields(sheets[1]);
+    assert.equal(summary.adjusted, 1);
+    assert.equal(summary.adjusted_mean, result.adjustedMean);
+    assert.ok(Math.abs(summary.gini_change - 0.05) < 1e-12);
+
+    const distribution = sheets[2].rows;
+    assert.equal(distribution.length, 1 + distData.distribution.length + result.paretoTailBins);
+    assert.equal(distribution[distribution.length - 1][8], 1);
+    assert.equal(typeof distribution[1][3], 'number');
+
+    const shares = sheets[3].rows;
+    assert.equal(shares.length, 14);
+    assert.equal(shares[10][0], 'D10');
+    assert.ok(shares[10][5] > 0);
+});
+
+test('a failed adjustment leaves the adjusted columns blank', () => {
+    const result = runMethod(params.method, distData.distribution, distData.surveyMean, distData.surveyMean * 0.9, 0.5, 0.9);
+    const sheets = buildWorkbookSheets(context(result));
+
+    assert.equal(fields(sheets[1]).adjusted, 0);
+    assert.match(fields(sheets[1]).reason, /no adjustment needed/);
+    assert.equal(sheets[2].rows.length, 1 + distData.distribution.length);
+    assert.equal(sheets[2].rows[1][6], null);
+    assert.equal(sheets[3].rows[1][4], null);
+});
+
+test('the summary and distribution sheets have the columns of the CSVs', () => {
+    const result = runMethod(params.method, distData.distribution, distData.surveyMean, nasData.hfce, 0.5, 0.9);
+    const ctx = context(result);
+    const sheets = buildWorkbookSheets(ctx);
+
+    const [summaryHeader, summaryRow] = buildSummaryCSV(result, ctx.ginis, 'USA', 2019).trim().split('\n');
+    const summary = fields(sheets[1]);
+    const csvSummary = Object.fromEntries(summaryHeader.split(',').map((key, i) => [key, summaryRow.split(',')[i]]));
+    Object.keys(csvSummary).forEach(key => assert.ok(key in summary, key));
+    assert.equal(summary.pareto_alpha.toFixed(4), csvSummary.pareto_alpha);
+    assert.equal(summary.gini_change_tail.toFixed(4), csvSummary.gini_change_tail);
+
+    const csv = buildDistributionCSV(result, 'USA', 2019).trim().split('\n');
+    assert.deepEqual(sheets[2].rows[0], csv[0].split(','));
+    assert.equal(sheets[2].rows.length, csv.length);
+    assert.equal(sheets[2].rows.at(-1)[6].toFixed(6), csv.at(-1).split(',')[6]);
+});
+
+test('dataFingerprint changes with the inputs', () => {
+    const fingerprint = dataFingerprint(distData, nasData);
+    assert.match(fingerprint, /^[0-9a-f]{8}$/);
+    assert.equal(dataFingerprint(distData, { ...nasData }), fingerprint);
+    assert.notEqual(dataFingerprint(distData, { ...nasData, hfce: nasData.hfce + 1 }), fingerprint);
+
+    const bins = distData.distribution.map((d, i) => (i === 5 ? { ...d, l: d.l + 1e-4 } : d));
+    assert.notEqual(dataFingerprint({ ...distData, distribution: bins }, nasData), fingerprint);
+});